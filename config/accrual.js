@@ -0,0 +1,31 @@
+// How often a leave type's yearly quota is credited
+const ACCRUAL_FREQUENCIES = {
+  NONE: 'NONE',               // never credited automatically
+  MONTHLY: 'MONTHLY',         // a twelfth of the quota on the 1st of every month
+  HALF_YEARLY: 'HALF_YEARLY', // half the quota on 1 January and 1 July
+  YEARLY: 'YEARLY'            // the whole quota on 1 January
+};
+
+// Months (1-12) in which each frequency credits, and the share of the yearly quota credited
+const ACCRUAL_SCHEDULE = {
+  [ACCRUAL_FREQUENCIES.MONTHLY]: { months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], share: 1 / 12 },
+  [ACCRUAL_FREQUENCIES.HALF_YEARLY]: { months: [1, 7], share: 1 / 2 },
+  [ACCRUAL_FREQUENCIES.YEARLY]: { months: [1], share: 1 }
+};
+
+// The scheduler credits the current month once per period. Off unless set to true, so
+// credits are previewed and committed by an admin until a deployment opts in.
+const ACCRUAL_SCHEDULER_ENABLED = process.env.ACCRUAL_SCHEDULER_ENABLED === 'true';
+
+const ACCRUAL_CHECK_INTERVAL_MINUTES = parseInt(process.env.ACCRUAL_CHECK_INTERVAL_MINUTES) || 60;
+
+// Year-end runs may be committed from this month of the year being closed
+const YEAR_END_OPENS_MONTH = 12;
+
+module.exports = {
+  ACCRUAL_FREQUENCIES,
+  ACCRUAL_SCHEDULE,
+  ACCRUAL_SCHEDULER_ENABLED,
+  ACCRUAL_CHECK_INTERVAL_MINUTES,
+  YEAR_END_OPENS_MONTH
+};
@@ -0,0 +1,37 @@
+// Approver levels a leave can pass through
+const APPROVER_ROLES = {
+  REPORTING_OFFICER: 'REPORTING_OFFICER', // the applicant's manager_id
+  HOD: 'HOD'                              // head of the applicant's department
+};
+
+const EL_HOD_APPROVAL_MIN_DAYS = parseInt(process.env.EL_HOD_APPROVAL_MIN_DAYS) || 10;
+
+// Approval chains, checked in order; the first rule matching the leave type and length wins.
+// A rule without `leaveTypes` matches every leave type, including ones added later.
+// A level whose approver cannot be resolved falls back to HR admins.
+const APPROVAL_RULES = [
+  {
+    leaveTypes: ['EL'],
+    minDays: EL_HOD_APPROVAL_MIN_DAYS,
+    levels: [APPROVER_ROLES.REPORTING_OFFICER, APPROVER_ROLES.HOD]
+  },
+  {
+    minDays: 0,
+    levels: [APPROVER_ROLES.REPORTING_OFFICER]
+  }
+];
+
+const MAX_APPROVAL_LEVELS = 3;
+
+// Ordered approver levels required for a leave
+const getApprovalLevels = (leaveType, days) => {
+  const rule = APPROVAL_RULES.find(r => (!r.leaveTypes || r.leaveTypes.includes(leaveType)) && days >= r.minDays);
+  return rule ? rule.levels.slice(0, MAX_APPROVAL_LEVELS) : [APPROVER_ROLES.REPORTING_OFFICER];
+};
+
+module.exports = {
+  APPROVER_ROLES,
+  APPROVAL_RULES,
+  MAX_APPROVAL_LEVELS,
+  getApprovalLevels
+};
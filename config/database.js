@@ -1,6 +1,9 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 require('dotenv').config();
 
+// Return NUMERIC columns (fractional leave days and balances) as numbers, not strings
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
+
 const pool = new Pool({
   user: process.env.DB_USER || 'postgres',
   host: process.env.DB_HOST || 'localhost',
@@ -0,0 +1,39 @@
+// Email channel for notifications. It is off until SMTP_HOST is set; to try it locally,
+// point SMTP_HOST/SMTP_PORT at an SMTP catcher such as Mailpit (localhost:1025).
+const EMAIL_ENABLED = Boolean(process.env.SMTP_HOST) && process.env.EMAIL_ENABLED !== 'false';
+
+const SMTP_OPTIONS = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+    : undefined
+};
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Employee Nexus <no-reply@localhost>';
+
+// Link to the application included in every email
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Sends are retried with a doubling delay (1, 2, 4, ... minutes) until they give up
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const EMAIL_RETRY_BASE_MINUTES = parseInt(process.env.EMAIL_RETRY_BASE_MINUTES) || 1;
+
+const EMAIL_QUEUE_INTERVAL_SECONDS = parseInt(process.env.EMAIL_QUEUE_INTERVAL_SECONDS) || 30;
+const EMAIL_BATCH_SIZE = 50;
+
+// A send claimed this long ago without an outcome (e.g. the process died) is retried
+const EMAIL_SEND_TIMEOUT_MINUTES = 10;
+
+module.exports = {
+  EMAIL_ENABLED,
+  SMTP_OPTIONS,
+  EMAIL_FROM,
+  APP_URL,
+  EMAIL_MAX_ATTEMPTS,
+  EMAIL_RETRY_BASE_MINUTES,
+  EMAIL_QUEUE_INTERVAL_SECONDS,
+  EMAIL_BATCH_SIZE,
+  EMAIL_SEND_TIMEOUT_MINUTES
+};
@@ -0,0 +1,35 @@
+// Email wording for notifications, keyed by notification type; types without their own
+// entry use `default`. Each has a subject, a plain-text body and an HTML body, with
+// {placeholders} filled from the notification:
+//   employee_name, employee_id, type, message, created_at, app_url
+// Values are HTML-escaped in the HTML body.
+const EMAIL_TEMPLATES = {
+  default: {
+    subject: '[Employee Nexus] {type}',
+    text: [
+      'Dear {employee_name},',
+      '',
+      '{message}',
+      '',
+      'View your notifications: {app_url}',
+      '',
+      '--',
+      'Employee Nexus Leave Management. This is an automated message; please do not reply.'
+    ].join('\n'),
+    html: `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222222; line-height: 1.5;">
+    <h2 style="font-size: 18px; margin: 0 0 16px;">{type}</h2>
+    <p>Dear {employee_name},</p>
+    <p style="white-space: pre-line;">{message}</p>
+    <p><a href="{app_url}" style="color: #1a56db;">View your notifications</a></p>
+    <hr style="border: none; border-top: 1px solid #dddddd; margin: 24px 0 8px;">
+    <p style="font-size: 12px; color: #777777;">
+      Employee Nexus Leave Management. This is an automated message; please do not reply.
+    </p>
+  </body>
+</html>`
+  }
+};
+
+module.exports = { EMAIL_TEMPLATES };
@@ -0,0 +1,27 @@
+// Parse a comma-separated env list, falling back to a default
+const parseList = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+// Days of the week that are not working days (0 = Sunday, 6 = Saturday)
+const WEEKEND_DAYS = parseList(process.env.WEEKEND_DAYS, ['0', '6']).map(Number);
+
+// Leave types charged under the sandwich rule: weekends and holidays falling
+// between two leave days are counted as leave
+const SANDWICH_LEAVE_TYPES = parseList(process.env.SANDWICH_LEAVE_TYPES, ['EL'])
+  .map(type => type.toUpperCase());
+
+// Maximum restricted holidays (RH) an employee may take per calendar year
+const RH_YEARLY_QUOTA = parseInt(process.env.RH_YEARLY_QUOTA) || 2;
+
+const appliesSandwichRule = (leaveType) => {
+  return SANDWICH_LEAVE_TYPES.includes((leaveType || '').toUpperCase());
+};
+
+module.exports = {
+  WEEKEND_DAYS,
+  SANDWICH_LEAVE_TYPES,
+  RH_YEARLY_QUOTA,
+  appliesSandwichRule
+};
@@ -0,0 +1,85 @@
+// Notification templates per leave event, one per audience: `employee` is the applicant
+// and `approver` whoever the leave is waiting on (for a cancellation request, the
+// leave's approvers). `type` becomes the notification type and {placeholders} in
+// `message` are filled from the event:
+//   employee_id, employee_name, leave_id, leave_type, leave_type_name, start_date,
+//   end_date, days, status, actor_id, actor_name, remarks, level, reason,
+//   new_end_date, days_restored
+const NOTIFICATION_TEMPLATES = {
+  'leave.submitted': {
+    approver: {
+      type: 'Leave Request',
+      message: '{employee_name} ({employee_id}) applied for {days} day(s) of {leave_type_name} from {start_date} to {end_date}. Reason: {reason}'
+    }
+  },
+  'leave.forwarded': {
+    approver: {
+      type: 'Leave Request',
+      message: '{employee_name} ({employee_id}) applied for {days} day(s) of {leave_type_name} from {start_date} to {end_date}, approved at level {level} by {actor_name} and now awaiting your approval.'
+    },
+    employee: {
+      type: 'Leave Forwarded',
+      message: 'Your {leave_type_name} from {start_date} to {end_date} was approved at level {level} by {actor_name} and forwarded for further approval.'
+    }
+  },
+  'leave.approved': {
+    employee: {
+      type: 'Leave Approved',
+      message: 'Your {leave_type_name} from {start_date} to {end_date} ({days} day(s)) was approved by {actor_name}.'
+    }
+  },
+  'leave.rejected': {
+    employee: {
+      type: 'Leave Rejected',
+      message: 'Your {leave_type_name} from {start_date} to {end_date} was rejected by {actor_name}. Remarks: {remarks}'
+    }
+  },
+  'leave.withdrawn': {
+    approver: {
+      type: 'Leave Withdrawn',
+      message: '{employee_name} ({employee_id}) withdrew the {leave_type_name} request from {start_date} to {end_date}.'
+    }
+  },
+  'leave.cancellation_requested': {
+    approver: {
+      type: 'Cancellation Request',
+      message: '{employee_name} ({employee_id}) asked to cancel the approved {leave_type_name} from {start_date} to {end_date}. Reason: {reason}'
+    }
+  },
+  'leave.cancellation_approved': {
+    employee: {
+      type: 'Cancellation Approved',
+      message: 'Cancellation of your {leave_type_name} from {start_date} was approved by {actor_name}; {days_restored} day(s) were credited back.'
+    }
+  },
+  'leave.cancellation_rejected': {
+    employee: {
+      type: 'Cancellation Rejected',
+      message: 'Cancellation of your {leave_type_name} from {start_date} to {end_date} was rejected by {actor_name}. Remarks: {remarks}'
+    }
+  }
+};
+
+// The digest of requests waiting on an approver: `message` wraps one `items` line per
+// pending leave or cancellation request, and `more` ends a list cut short. Placeholders:
+//   message: count, items
+//   items: employee_id, employee_name, leave_id, leave_type_name, start_date, end_date,
+//     days, waiting_since
+//   more: more
+const DIGEST_TEMPLATE = {
+  type: 'Approval Digest',
+  message: 'You have {count} request(s) awaiting your approval:\n{items}',
+  items: {
+    leave: '- {employee_name} ({employee_id}): {days} day(s) of {leave_type_name} from {start_date} to {end_date}, waiting since {waiting_since}',
+    cancellation: '- {employee_name} ({employee_id}): cancellation of {leave_type_name} from {start_date} to {end_date}, waiting since {waiting_since}'
+  },
+  more: '...and {more} more'
+};
+
+// Every notification type the application generates
+const NOTIFICATION_TYPES = [...new Set([
+  ...Object.values(NOTIFICATION_TEMPLATES).flatMap(templates => Object.values(templates).map(template => template.type)),
+  DIGEST_TEMPLATE.type
+])];
+
+module.exports = { NOTIFICATION_TEMPLATES, DIGEST_TEMPLATE, NOTIFICATION_TYPES };
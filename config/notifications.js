@@ -0,0 +1,35 @@
+// Delivery channels a user can switch on or off per notification type
+const NOTIFICATION_CHANNELS = ['in_app', 'email'];
+
+// How often a user's pending-approval notifications are summarised
+const DIGEST_FREQUENCIES = {
+  OFF: 'OFF',       // every notification is delivered as it happens
+  DAILY: 'DAILY',   // one digest a day at DIGEST_HOUR
+  WEEKLY: 'WEEKLY'  // one digest a week, on DIGEST_WEEKDAY at DIGEST_HOUR
+};
+
+// Notification types asking the recipient to act on a pending approval. Users on a
+// digest do not receive these one by one; the digest lists what still waits on them.
+const DIGEST_TYPES = ['Leave Request', 'Cancellation Request'];
+
+// Server local time digests go out at; weekday 0 is Sunday
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '9');
+const DIGEST_WEEKDAY = parseInt(process.env.DIGEST_WEEKDAY || '1');
+
+const DIGEST_SCHEDULER_ENABLED = process.env.DIGEST_SCHEDULER_ENABLED !== 'false';
+
+const DIGEST_CHECK_INTERVAL_MINUTES = parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES) || 15;
+
+// Longest list of requests in one digest; the rest are only counted
+const DIGEST_MAX_ITEMS = 20;
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  DIGEST_FREQUENCIES,
+  DIGEST_TYPES,
+  DIGEST_HOUR,
+  DIGEST_WEEKDAY,
+  DIGEST_SCHEDULER_ENABLED,
+  DIGEST_CHECK_INTERVAL_MINUTES,
+  DIGEST_MAX_ITEMS
+};
@@ -0,0 +1,83 @@
+// Roles an employee can hold
+const ROLES = {
+  EMPLOYEE: 'EMPLOYEE',
+  MANAGER: 'MANAGER',
+  HR_ADMIN: 'HR_ADMIN',
+  SYSTEM_ADMIN: 'SYSTEM_ADMIN'
+};
+
+// How far a granted permission reaches
+const SCOPES = {
+  OWN: 'own',   // only the caller's own records
+  TEAM: 'team', // the caller and their direct reports
+  ALL: 'all'    // every record
+};
+
+const { EMPLOYEE, MANAGER, HR_ADMIN, SYSTEM_ADMIN } = ROLES;
+const { OWN, TEAM, ALL } = SCOPES;
+
+// Permission map: permission -> role -> scope. A role missing from an entry is denied.
+const PERMISSIONS = {
+  'employees:read': { [EMPLOYEE]: OWN, [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'employees:create': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'employees:update': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'employees:delete': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'employees:import': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'employees:assign-admin': { [SYSTEM_ADMIN]: ALL },
+  'balances:fix': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'balances:adjust': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'leaves:read': { [EMPLOYEE]: OWN, [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:create': { [EMPLOYEE]: OWN, [MANAGER]: OWN, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:cancel': { [EMPLOYEE]: OWN, [MANAGER]: OWN, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:delete': { [EMPLOYEE]: OWN, [MANAGER]: OWN, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:approve': { [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:stats': { [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:export': { [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leaves:availability': { [MANAGER]: TEAM, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'notifications:read': { [EMPLOYEE]: OWN, [MANAGER]: OWN, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'notifications:update': { [EMPLOYEE]: OWN, [MANAGER]: OWN, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'notifications:create': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'notifications:test': { [SYSTEM_ADMIN]: ALL },
+
+  'holidays:read': { [EMPLOYEE]: ALL, [MANAGER]: ALL, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'holidays:manage': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'leave-types:read': { [EMPLOYEE]: ALL, [MANAGER]: ALL, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'leave-types:manage': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'staffing:read': { [MANAGER]: ALL, [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'staffing:manage': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'accruals:read': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+  'accruals:run': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'audit:read': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL },
+
+  'system:health': { [HR_ADMIN]: ALL, [SYSTEM_ADMIN]: ALL }
+};
+
+const ADMIN_ROLES = [HR_ADMIN, SYSTEM_ADMIN];
+
+// Scope a role has for a permission, or null when it is not granted
+const getScope = (role, permission) => {
+  const grants = PERMISSIONS[permission];
+  if (!grants) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return grants[role] || null;
+};
+
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+module.exports = {
+  ROLES,
+  SCOPES,
+  PERMISSIONS,
+  getScope,
+  isValidRole,
+  isAdminRole
+};
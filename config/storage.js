@@ -0,0 +1,53 @@
+const path = require('path');
+
+// Where uploaded documents are kept: `local` (a directory on this server) or `s3` (an
+// S3-compatible object store such as AWS S3 or MinIO)
+const STORAGE_DRIVERS = {
+  LOCAL: 'local',
+  S3: 's3'
+};
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || STORAGE_DRIVERS.LOCAL).toLowerCase();
+
+const LOCAL_STORAGE_DIR = process.env.UPLOAD_PATH
+  ? path.resolve(process.env.UPLOAD_PATH)
+  : path.join(__dirname, '..', 'uploads');
+
+// For MinIO, set S3_ENDPOINT (e.g. http://localhost:9000) and S3_FORCE_PATH_STYLE=true.
+// Signed URLs are built against S3_PUBLIC_ENDPOINT when browsers reach the store at a
+// different address than the server does.
+const S3_OPTIONS = {
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  publicEndpoint: process.env.S3_PUBLIC_ENDPOINT || process.env.S3_ENDPOINT || undefined,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID
+    ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+    : undefined
+};
+
+// Document types accepted for upload, by file extension, and the content type each is
+// stored and served as. The content type a client sends is only checked against these,
+// never stored.
+const DOCUMENT_CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// How long a signed document URL stays valid
+const DOCUMENT_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS) || 300;
+
+module.exports = {
+  STORAGE_DRIVERS,
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  S3_OPTIONS,
+  DOCUMENT_CONTENT_TYPES,
+  DOCUMENT_URL_TTL_SECONDS
+};
@@ -0,0 +1,35 @@
+const { recordAudit } = require('../utils/audit');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Record every successful write handled by a router in the audit log. Handlers describe
+// the change in res.locals.audit ({ action, entityType, entityId, before, after });
+// writes that do not are still recorded with their method and path. A handler that
+// changes nothing (e.g. a preview) sets res.locals.audit = false.
+const auditWrites = (entityType) => (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) return next();
+
+  res.on('finish', () => {
+    const details = res.locals.audit;
+    if (details === false || res.statusCode >= 400) return;
+
+    recordAudit({
+      actorId: req.user ? req.user.employee_id : null,
+      actorRole: req.user ? req.user.role : null,
+      action: (details && details.action) || `${entityType}.${req.method.toLowerCase()}`,
+      entityType: (details && details.entityType) || entityType,
+      entityId: details ? details.entityId : null,
+      before: details ? details.before : null,
+      after: details ? details.after : null,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent') || null,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode
+    }).catch(err => console.error('Error recording audit entry:', err));
+  });
+
+  next();
+};
+
+module.exports = { auditWrites };
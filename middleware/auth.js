@@ -0,0 +1,55 @@
+const { verifyAccessToken } = require('../utils/auth');
+const { getScope } = require('../config/permissions');
+
+const verifyRequestToken = (token, req, res, next) => {
+  try {
+    const payload = verifyAccessToken(token);
+    req.user = {
+      employee_id: payload.sub,
+      role: payload.role,
+      is_admin: payload.is_admin === true
+    };
+    req.tokenExpiresAt = payload.exp * 1000;
+    next();
+  } catch (err) {
+    const message = err.name === 'TokenExpiredError'
+      ? 'Access token expired'
+      : 'Invalid access token';
+    return res.status(401).json({ success: false, message });
+  }
+};
+
+// Require a valid bearer access token and expose the caller as req.user
+const authenticate = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+
+  verifyRequestToken(token, req, res, next);
+};
+
+// Like authenticate, but also accepts the token as ?access_token= for event streams,
+// since the browser EventSource API cannot send an Authorization header
+const authenticateEventStream = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    return verifyRequestToken(req.query.access_token, req, res, next);
+  }
+  authenticate(req, res, next);
+};
+
+// Require the caller's role to hold a permission and expose the granted scope as req.scope
+const authorize = (permission) => (req, res, next) => {
+  const scope = req.user && getScope(req.user.role, permission);
+
+  if (!scope) {
+    return res.status(403).json({ success: false, message: 'You do not have permission to perform this action' });
+  }
+
+  req.scope = scope;
+  next();
+};
+
+module.exports = { authenticate, authenticateEventStream, authorize };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+
+// How long a stored response is replayed for a repeated key
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+  .digest('hex');
+
+// Honour an Idempotency-Key header: the first request with a key runs and its response
+// is stored; a retry with the same key and body gets the stored response back instead
+// of running again. Server errors and aborted requests are not stored, so the request
+// can be retried. Requests without the header run as usual. Must come after authenticate.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ success: false, message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  const actorId = req.user.employee_id;
+  const requestHash = hashRequest(req);
+
+  try {
+    await pool.query(
+      'DELETE FROM idempotency_keys WHERE created_at < NOW() - make_interval(hours => $1)',
+      [IDEMPOTENCY_KEY_TTL_HOURS]
+    );
+
+    const claimed = await pool.query(`
+      INSERT INTO idempotency_keys (actor_id, idempotency_key, method, path, request_hash)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (actor_id, idempotency_key) DO NOTHING
+      RETURNING actor_id
+    `, [actorId, key, req.method, req.originalUrl, requestHash]);
+
+    if (claimed.rows.length === 0) {
+      const existing = await pool.query(
+        'SELECT * FROM idempotency_keys WHERE actor_id = $1 AND idempotency_key = $2',
+        [actorId, key]
+      );
+      const stored = existing.rows[0];
+
+      if (!stored) {
+        return res.status(409).json({ success: false, message: 'Idempotency-Key was released; retry the request' });
+      }
+
+      if (stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (stored.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      // The original request was audited; the replay changes nothing
+      res.locals.audit = false;
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status_code).json(stored.response_body);
+    }
+  } catch (err) {
+    console.error('Error checking idempotency key:', err);
+    return res.status(500).json({ success: false, message: err.message });
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  // 'close' also fires when the client disconnects before the response is sent
+  res.on('close', () => {
+    const completed = res.writableFinished && responseBody !== undefined && res.statusCode < 500;
+    const query = completed
+      ? pool.query(`
+        UPDATE idempotency_keys
+        SET status_code = $1, response_body = $2, completed_at = CURRENT_TIMESTAMP
+        WHERE actor_id = $3 AND idempotency_key = $4
+      `, [res.statusCode, JSON.stringify(responseBody), actorId, key])
+      : pool.query(
+        'DELETE FROM idempotency_keys WHERE actor_id = $1 AND idempotency_key = $2',
+        [actorId, key]
+      );
+
+    query.catch(err => console.error('Error storing idempotent response:', err));
+  });
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -14,6 +14,17 @@ const limiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
+// Stricter limit for credential endpoints to slow down password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS) || 20,
+  message: {
+    error: 'Too many authentication attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -31,6 +42,7 @@ const corsOptions = {
     }
   },
   credentials: true,
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 200 // some legacy browsers (IE11, various SmartTVs) choke on 204
 };
 
@@ -55,7 +67,8 @@ const setupSecurity = (app) => {
   // Compression
   app.use(compression());
 
-  // Logging
+  // Logging; tokens passed in the query string (event streams, calendar feeds) are masked
+  morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:access_)?token=)[^&]*/g, '$1[redacted]'));
   if (process.env.NODE_ENV === 'production') {
     app.use(morgan('combined'));
   } else {
@@ -72,4 +85,4 @@ const setupSecurity = (app) => {
   });
 };
 
-module.exports = { setupSecurity, corsOptions }; 
\ No newline at end of file
+module.exports = { setupSecurity, corsOptions, authLimiter }; 
\ No newline at end of file
@@ -0,0 +1,416 @@
+// Baseline schema: every table as of the introduction of migrations. The upgrade
+// steps from the old createTables-on-boot setup are kept, so a database that was
+// created by it is brought up to date and recorded as migrated.
+
+const up = async (client) => {
+  // Create employees table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(50) UNIQUE NOT NULL,
+      full_name VARCHAR(100) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      department VARCHAR(50) NOT NULL,
+      position VARCHAR(50) NOT NULL,
+      hire_date DATE NOT NULL,
+      is_admin BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Add password hash to existing employees tables
+  await client.query(`
+    ALTER TABLE employees ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255)
+  `);
+
+  // Add role and reporting manager to existing employees tables
+  await client.query(`
+    ALTER TABLE employees
+      ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'EMPLOYEE'
+        CHECK (role IN ('EMPLOYEE', 'MANAGER', 'HR_ADMIN', 'SYSTEM_ADMIN')),
+      ADD COLUMN IF NOT EXISTS manager_id VARCHAR(50)
+        REFERENCES employees(employee_id) ON DELETE SET NULL
+  `);
+
+  // Existing admins (from before roles existed) become HR admins
+  await client.query(`
+    UPDATE employees SET role = 'HR_ADMIN' WHERE is_admin = TRUE AND role = 'EMPLOYEE'
+  `);
+
+  // Add office location (for location-specific holidays) to existing employees tables
+  await client.query(`
+    ALTER TABLE employees ADD COLUMN IF NOT EXISTS location VARCHAR(50)
+  `);
+
+  // Add gender (leave type eligibility) to existing employees tables
+  await client.query(`
+    ALTER TABLE employees ADD COLUMN IF NOT EXISTS gender VARCHAR(10)
+      CHECK (gender IN ('MALE', 'FEMALE', 'OTHER'))
+  `);
+
+  // Create leave types catalogue
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_types (
+      code VARCHAR(10) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      yearly_quota NUMERIC(5,1) NOT NULL DEFAULT 0,
+      max_per_request NUMERIC(5,1) NOT NULL DEFAULT 30,
+      carry_forward BOOLEAN DEFAULT FALSE,
+      max_carry_forward NUMERIC(5,1) DEFAULT 0,
+      requires_document BOOLEAN DEFAULT FALSE,
+      eligible_gender VARCHAR(10) CHECK (eligible_gender IN ('MALE', 'FEMALE', 'OTHER')),
+      min_service_months INTEGER DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Seed the original leave types
+  await client.query(`
+    INSERT INTO leave_types (code, name, yearly_quota, max_per_request, carry_forward, max_carry_forward)
+    VALUES
+      ('CL', 'Casual Leave', 30, 30, FALSE, 0),
+      ('RH', 'Restricted Holiday', 15, 15, FALSE, 0),
+      ('EL', 'Earned Leave', 18, 60, TRUE, 12)
+    ON CONFLICT (code) DO NOTHING
+  `);
+
+  // Add accrual frequency to leave types; EL is credited half-yearly
+  await client.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'leave_types' AND column_name = 'accrual_frequency'
+      ) THEN
+        ALTER TABLE leave_types
+          ADD COLUMN accrual_frequency VARCHAR(15) NOT NULL DEFAULT 'YEARLY'
+          CHECK (accrual_frequency IN ('NONE', 'MONTHLY', 'HALF_YEARLY', 'YEARLY'));
+
+        UPDATE leave_types SET accrual_frequency = 'HALF_YEARLY' WHERE code = 'EL';
+      END IF;
+    END $$
+  `);
+
+  // Create per-employee, per-type balances table (kept in half days)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employee_leave_balances (
+      employee_id VARCHAR(50) NOT NULL,
+      leave_type VARCHAR(10) NOT NULL,
+      balance NUMERIC(5,1) NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (employee_id, leave_type),
+      FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE ON UPDATE CASCADE,
+      FOREIGN KEY (leave_type) REFERENCES leave_types(code) ON UPDATE CASCADE
+    )
+  `);
+
+  // Move balances out of the legacy cl/rh/el_balance columns
+  await client.query(`
+    DO $$
+    BEGIN
+      IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'employees' AND column_name = 'cl_balance'
+      ) THEN
+        INSERT INTO employee_leave_balances (employee_id, leave_type, balance)
+          SELECT employee_id, 'CL', COALESCE(cl_balance, 0) FROM employees
+          UNION ALL
+          SELECT employee_id, 'RH', COALESCE(rh_balance, 0) FROM employees
+          UNION ALL
+          SELECT employee_id, 'EL', COALESCE(el_balance, 0) FROM employees
+        ON CONFLICT DO NOTHING;
+
+        ALTER TABLE employees
+          DROP COLUMN cl_balance,
+          DROP COLUMN rh_balance,
+          DROP COLUMN el_balance;
+      END IF;
+    END $$
+  `);
+
+  // Create accrual runs table (one row per periodic credit or year-end run)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS accrual_runs (
+      id SERIAL PRIMARY KEY,
+      run_type VARCHAR(15) NOT NULL CHECK (run_type IN ('PERIODIC', 'YEAR_END')),
+      period VARCHAR(7) NOT NULL,
+      status VARCHAR(15) NOT NULL DEFAULT 'COMMITTED' CHECK (status IN ('COMMITTED', 'REVERSED')),
+      run_by VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reversed_by VARCHAR(50),
+      reversed_at TIMESTAMP,
+      FOREIGN KEY (run_by) REFERENCES employees(employee_id) ON DELETE SET NULL ON UPDATE CASCADE,
+      FOREIGN KEY (reversed_by) REFERENCES employees(employee_id) ON DELETE SET NULL ON UPDATE CASCADE
+    )
+  `);
+
+  // A period can only be committed once (until that run is reversed)
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS accrual_runs_committed_period_idx
+    ON accrual_runs (run_type, period)
+    WHERE status = 'COMMITTED'
+  `);
+
+  // Create accrual entries table (every balance change made by a run)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS accrual_entries (
+      id SERIAL PRIMARY KEY,
+      run_id INTEGER NOT NULL REFERENCES accrual_runs(id) ON DELETE CASCADE,
+      employee_id VARCHAR(50) NOT NULL,
+      leave_type VARCHAR(10) NOT NULL,
+      reason VARCHAR(15) NOT NULL CHECK (reason IN ('CREDIT', 'LAPSE')),
+      balance_before NUMERIC(5,1) NOT NULL,
+      delta NUMERIC(5,1) NOT NULL,
+      balance_after NUMERIC(5,1) NOT NULL,
+      FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE ON UPDATE CASCADE,
+      FOREIGN KEY (leave_type) REFERENCES leave_types(code) ON UPDATE CASCADE
+    )
+  `);
+
+  // Create auth sessions table (one row per issued refresh token)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS auth_sessions (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(50) NOT NULL,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP,
+      user_agent VARCHAR(255),
+      ip_address VARCHAR(45),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create leaves table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leaves (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(50) NOT NULL,
+      leave_type VARCHAR(10) NOT NULL REFERENCES leave_types(code) ON UPDATE CASCADE,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      days NUMERIC(5,1) NOT NULL,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) DEFAULT 'PENDING',
+      approved_by VARCHAR(50),
+      approved_at TIMESTAMP,
+      document_path VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Half-day leaves: sessions on the start and end dates, fractional days
+  await client.query(`
+    ALTER TABLE leaves
+      ALTER COLUMN days TYPE NUMERIC(5,1),
+      ADD COLUMN IF NOT EXISTS start_session VARCHAR(12) NOT NULL DEFAULT 'FULL'
+        CHECK (start_session IN ('FULL', 'FIRST_HALF', 'SECOND_HALF')),
+      ADD COLUMN IF NOT EXISTS end_session VARCHAR(12) NOT NULL DEFAULT 'FULL'
+        CHECK (end_session IN ('FULL', 'FIRST_HALF', 'SECOND_HALF'))
+  `);
+
+  // Leave types come from the catalogue rather than a fixed list
+  await client.query(`
+    ALTER TABLE leaves DROP CONSTRAINT IF EXISTS leaves_leave_type_check
+  `);
+  await client.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'leaves_leave_type_fkey'
+      ) THEN
+        ALTER TABLE leaves ADD CONSTRAINT leaves_leave_type_fkey
+          FOREIGN KEY (leave_type) REFERENCES leave_types(code) ON UPDATE CASCADE;
+      END IF;
+    END $$
+  `);
+
+  // Leave statuses include one pending state per approval level
+  await client.query(`
+    ALTER TABLE leaves DROP CONSTRAINT IF EXISTS leaves_status_check
+  `);
+  await client.query(`
+    ALTER TABLE leaves ADD CONSTRAINT leaves_status_check
+      CHECK (status IN ('PENDING', 'PENDING_L2', 'PENDING_L3', 'APPROVED', 'REJECTED', 'CANCELLED'))
+  `);
+
+  // Create department heads table (HOD approval level)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS department_heads (
+      department VARCHAR(50) PRIMARY KEY,
+      hod_id VARCHAR(50) NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (hod_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create leave approvals table (one row per approval level)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_approvals (
+      id SERIAL PRIMARY KEY,
+      leave_id INTEGER NOT NULL,
+      level INTEGER NOT NULL,
+      approver_role VARCHAR(30) NOT NULL,
+      approver_id VARCHAR(50),
+      status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED')),
+      acted_by VARCHAR(50),
+      acted_at TIMESTAMP,
+      remarks TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (leave_id, level),
+      FOREIGN KEY (leave_id) REFERENCES leaves(id) ON DELETE CASCADE,
+      FOREIGN KEY (approver_id) REFERENCES employees(employee_id) ON DELETE SET NULL
+    )
+  `);
+
+  // Create leave cancellations table (requests to cancel or shorten approved leaves)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_cancellations (
+      id SERIAL PRIMARY KEY,
+      leave_id INTEGER NOT NULL,
+      requested_by VARCHAR(50) NOT NULL,
+      original_end_date DATE NOT NULL,
+      new_end_date DATE,
+      days_to_restore NUMERIC(5,1) NOT NULL,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'APPROVED', 'REJECTED')),
+      decided_by VARCHAR(50),
+      decided_at TIMESTAMP,
+      remarks TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (leave_id) REFERENCES leaves(id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create holidays table (location NULL = applies to every office)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id SERIAL PRIMARY KEY,
+      holiday_date DATE NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      location VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Restricted holidays (RH) are optional days chosen from the published list
+  await client.query(`
+    ALTER TABLE holidays
+      ADD COLUMN IF NOT EXISTS type VARCHAR(20) NOT NULL DEFAULT 'GAZETTED'
+        CHECK (type IN ('GAZETTED', 'RESTRICTED'))
+  `);
+  // One holiday of each type per date and location: a gazetted holiday can also be
+  // on the restricted list
+  await client.query('DROP INDEX IF EXISTS holidays_date_location_idx');
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS holidays_date_location_type_idx
+      ON holidays (holiday_date, COALESCE(location, ''), type)
+  `);
+
+  await client.query(`
+    ALTER TABLE leave_cancellations ALTER COLUMN days_to_restore TYPE NUMERIC(5,1)
+  `);
+
+  // Create leave balance ledger (every credit and debit of a balance)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_ledger (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(50) NOT NULL,
+      leave_type VARCHAR(10) NOT NULL,
+      entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN (
+        'OPENING', 'ACCRUAL', 'LAPSE', 'ACCRUAL_REVERSAL',
+        'LEAVE_APPROVED', 'CANCELLATION', 'ADJUSTMENT', 'INTEGRITY_FIX'
+      )),
+      delta NUMERIC(5,1) NOT NULL,
+      balance_after NUMERIC(5,1) NOT NULL,
+      leave_id INTEGER REFERENCES leaves(id) ON DELETE SET NULL,
+      accrual_run_id INTEGER REFERENCES accrual_runs(id) ON DELETE SET NULL,
+      remarks TEXT,
+      actor_id VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (employee_id) REFERENCES employees(employee_id) ON DELETE CASCADE ON UPDATE CASCADE,
+      FOREIGN KEY (leave_type) REFERENCES leave_types(code) ON UPDATE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES employees(employee_id) ON DELETE SET NULL ON UPDATE CASCADE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS leave_ledger_employee_idx
+    ON leave_ledger (employee_id, leave_type, id)
+  `);
+
+  // Open the ledger for balances that predate it
+  await client.query(`
+    INSERT INTO leave_ledger (employee_id, leave_type, entry_type, delta, balance_after, remarks)
+    SELECT b.employee_id, b.leave_type, 'OPENING', b.balance, b.balance, 'Balance carried into the ledger'
+    FROM employee_leave_balances b
+    WHERE NOT EXISTS (
+      SELECT 1 FROM leave_ledger l
+      WHERE l.employee_id = b.employee_id AND l.leave_type = b.leave_type
+    )
+  `);
+
+  // Create notifications table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS notifications (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(50) NOT NULL,
+      message TEXT NOT NULL,
+      user_id VARCHAR(50),
+      is_read BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES employees(employee_id) ON DELETE CASCADE
+    )
+  `);
+
+  // Create audit log (one row per successful write through the API)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      actor_id VARCHAR(50),
+      actor_role VARCHAR(20),
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(100),
+      before JSONB,
+      after JSONB,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      method VARCHAR(10),
+      path TEXT,
+      status_code INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS audit_log_actor_idx ON audit_log (actor_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at)');
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      audit_log,
+      leave_ledger,
+      notifications,
+      holidays,
+      leave_cancellations,
+      leave_approvals,
+      department_heads,
+      leaves,
+      auth_sessions,
+      accrual_entries,
+      accrual_runs,
+      employee_leave_balances,
+      leave_types,
+      employees
+  `);
+};
+
+module.exports = { up, down };
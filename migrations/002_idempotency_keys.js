@@ -0,0 +1,27 @@
+// Responses stored against client-supplied Idempotency-Key headers, so a retried
+// request returns the original result instead of running again.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE idempotency_keys (
+      actor_id VARCHAR(50) NOT NULL,
+      idempotency_key VARCHAR(255) NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      path TEXT NOT NULL,
+      request_hash VARCHAR(64) NOT NULL,
+      status_code INTEGER,
+      response_body JSON,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      completed_at TIMESTAMP,
+      PRIMARY KEY (actor_id, idempotency_key)
+    )
+  `);
+
+  await client.query('CREATE INDEX idempotency_keys_created_at_idx ON idempotency_keys (created_at)');
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS idempotency_keys');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// Secret tokens for iCalendar feed subscriptions, one per employee. Calendar clients
+// cannot send an Authorization header, so the token in the feed URL identifies the user.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE calendar_feed_tokens (
+      employee_id VARCHAR(50) PRIMARY KEY REFERENCES employees(employee_id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS calendar_feed_tokens');
+};
+
+module.exports = { up, down };
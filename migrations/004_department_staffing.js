@@ -0,0 +1,49 @@
+// Department staffing rules (maximum absentees or minimum headcount present), blackout
+// periods, and the justification recorded when an approver overrides them.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE department_staffing_rules (
+      department VARCHAR(50) PRIMARY KEY,
+      max_absent INTEGER CHECK (max_absent >= 0),
+      min_present INTEGER CHECK (min_present >= 0),
+      updated_by VARCHAR(50) REFERENCES employees(employee_id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE UNIQUE INDEX department_staffing_rules_department_idx ON department_staffing_rules (LOWER(department))');
+
+  // A blackout without a department applies to every department
+  await client.query(`
+    CREATE TABLE department_blackouts (
+      id SERIAL PRIMARY KEY,
+      department VARCHAR(50),
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason TEXT NOT NULL,
+      created_by VARCHAR(50) REFERENCES employees(employee_id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (end_date >= start_date)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE leaves
+      ADD COLUMN staffing_override_reason TEXT,
+      ADD COLUMN staffing_override_by VARCHAR(50),
+      ADD COLUMN staffing_override_at TIMESTAMP
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE leaves
+      DROP COLUMN IF EXISTS staffing_override_reason,
+      DROP COLUMN IF EXISTS staffing_override_by,
+      DROP COLUMN IF EXISTS staffing_override_at
+  `);
+  await client.query('DROP TABLE IF EXISTS department_blackouts, department_staffing_rules');
+};
+
+module.exports = { up, down };
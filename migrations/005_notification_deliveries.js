@@ -0,0 +1,36 @@
+// Outbound delivery of notifications, one row per recipient and channel. Rows are the
+// email send queue: PENDING rows are picked up when next_attempt_at comes due, and a
+// row that keeps failing ends up FAILED with the last error kept.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE notification_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+      channel VARCHAR(20) NOT NULL DEFAULT 'EMAIL',
+      user_id VARCHAR(50) NOT NULL REFERENCES employees(employee_id) ON DELETE CASCADE,
+      recipient VARCHAR(100) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+        CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'FAILED')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (notification_id, channel, user_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_notification_deliveries_due
+    ON notification_deliveries (next_attempt_at)
+    WHERE status IN ('PENDING', 'SENDING')
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS notification_deliveries');
+};
+
+module.exports = { up, down };
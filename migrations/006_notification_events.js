@@ -0,0 +1,49 @@
+// Announce notification changes on the notification_events channel so that every API
+// instance can push them to its connected clients. The payload is
+// {"op": "INSERT" | "UPDATE" | "DELETE", "id": <notification id>, "user_id": <user or null>};
+// NOTIFY is only delivered once the writing transaction commits.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION notify_notification_event() RETURNS trigger AS $$
+    DECLARE
+      row notifications%ROWTYPE;
+    BEGIN
+      IF TG_OP = 'DELETE' THEN
+        row := OLD;
+      ELSE
+        row := NEW;
+      END IF;
+
+      PERFORM pg_notify(
+        'notification_events',
+        json_build_object('op', TG_OP, 'id', row.id, 'user_id', row.user_id)::text
+      );
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query(`
+    CREATE TRIGGER notifications_notify_insert_delete
+    AFTER INSERT OR DELETE ON notifications
+    FOR EACH ROW EXECUTE FUNCTION notify_notification_event()
+  `);
+
+  // Only read-state changes move unread counts
+  await client.query(`
+    CREATE TRIGGER notifications_notify_read
+    AFTER UPDATE OF is_read ON notifications
+    FOR EACH ROW
+    WHEN (OLD.is_read IS DISTINCT FROM NEW.is_read)
+    EXECUTE FUNCTION notify_notification_event()
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TRIGGER IF EXISTS notifications_notify_read ON notifications');
+  await client.query('DROP TRIGGER IF EXISTS notifications_notify_insert_delete ON notifications');
+  await client.query('DROP FUNCTION IF EXISTS notify_notification_event()');
+};
+
+module.exports = { up, down };
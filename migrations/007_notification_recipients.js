@@ -0,0 +1,109 @@
+// Per-recipient notification state. Every notification gets one row per employee it
+// is addressed to (its user, or everyone in its audience for a broadcast), holding
+// that employee's read, dismissed and archived state, which replaces the single
+// notifications.is_read flag that broadcasts used to share. Broadcasts may target a
+// department and/or role. Change announcements for live streams move to this table.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE notifications
+    ADD COLUMN audience_department VARCHAR(100),
+    ADD COLUMN audience_role VARCHAR(20)
+  `);
+
+  await client.query(`
+    CREATE TABLE notification_recipients (
+      notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+      user_id VARCHAR(50) NOT NULL REFERENCES employees(employee_id) ON DELETE CASCADE,
+      read_at TIMESTAMP,
+      dismissed_at TIMESTAMP,
+      archived_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (notification_id, user_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX idx_notification_recipients_user
+    ON notification_recipients (user_id, notification_id)
+  `);
+
+  // Existing rows keep their flag; for broadcasts it is all there is to go on
+  await client.query(`
+    INSERT INTO notification_recipients (notification_id, user_id, read_at, created_at)
+    SELECT n.id, e.employee_id, CASE WHEN n.is_read THEN n.created_at END, n.created_at
+    FROM notifications n
+    JOIN employees e ON e.employee_id = n.user_id OR n.user_id IS NULL
+  `);
+
+  await client.query('DROP TRIGGER IF EXISTS notifications_notify_read ON notifications');
+  await client.query('DROP TRIGGER IF EXISTS notifications_notify_insert_delete ON notifications');
+  await client.query('DROP FUNCTION IF EXISTS notify_notification_event()');
+  await client.query('ALTER TABLE notifications DROP COLUMN is_read');
+
+  await client.query(`
+    CREATE FUNCTION notify_notification_event() RETURNS trigger AS $$
+    DECLARE
+      row notification_recipients%ROWTYPE;
+    BEGIN
+      IF TG_OP = 'DELETE' THEN
+        row := OLD;
+      ELSE
+        row := NEW;
+      END IF;
+
+      PERFORM pg_notify(
+        'notification_events',
+        json_build_object('op', TG_OP, 'id', row.notification_id, 'user_id', row.user_id)::text
+      );
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await client.query(`
+    CREATE TRIGGER notification_recipients_notify_insert_delete
+    AFTER INSERT OR DELETE ON notification_recipients
+    FOR EACH ROW EXECUTE FUNCTION notify_notification_event()
+  `);
+
+  await client.query(`
+    CREATE TRIGGER notification_recipients_notify_state
+    AFTER UPDATE ON notification_recipients
+    FOR EACH ROW
+    WHEN (
+      OLD.read_at IS DISTINCT FROM NEW.read_at
+      OR OLD.dismissed_at IS DISTINCT FROM NEW.dismissed_at
+      OR OLD.archived_at IS DISTINCT FROM NEW.archived_at
+    )
+    EXECUTE FUNCTION notify_notification_event()
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TRIGGER IF EXISTS notification_recipients_notify_state ON notification_recipients');
+  await client.query('DROP TRIGGER IF EXISTS notification_recipients_notify_insert_delete ON notification_recipients');
+  await client.query('DROP FUNCTION IF EXISTS notify_notification_event()');
+
+  await client.query('ALTER TABLE notifications ADD COLUMN is_read BOOLEAN DEFAULT FALSE');
+  await client.query(`
+    UPDATE notifications n
+    SET is_read = EXISTS (
+      SELECT 1 FROM notification_recipients r
+      WHERE r.notification_id = n.id AND r.user_id = n.user_id AND r.read_at IS NOT NULL
+    )
+    WHERE n.user_id IS NOT NULL
+  `);
+
+  await client.query('DROP TABLE IF EXISTS notification_recipients');
+  await client.query(`
+    ALTER TABLE notifications
+    DROP COLUMN IF EXISTS audience_role,
+    DROP COLUMN IF EXISTS audience_department
+  `);
+
+  // Restore the triggers of 006_notification_events
+  await require('./006_notification_events').up(client);
+};
+
+module.exports = { up, down };
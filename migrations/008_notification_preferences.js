@@ -0,0 +1,34 @@
+// Per-user notification preferences: which channels each notification type is delivered
+// on (no row means every channel), and whether pending-approval notifications are held
+// back for a daily or weekly digest.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE notification_preferences (
+      user_id VARCHAR(50) NOT NULL REFERENCES employees(employee_id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      in_app BOOLEAN NOT NULL DEFAULT TRUE,
+      email BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, type)
+    )
+  `);
+
+  // digest_sent_at is the scheduled time of the last digest, sent or found empty
+  await client.query(`
+    CREATE TABLE notification_settings (
+      user_id VARCHAR(50) PRIMARY KEY REFERENCES employees(employee_id) ON DELETE CASCADE,
+      digest_frequency VARCHAR(10) NOT NULL DEFAULT 'OFF'
+        CHECK (digest_frequency IN ('OFF', 'DAILY', 'WEEKLY')),
+      digest_sent_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS notification_settings');
+  await client.query('DROP TABLE IF EXISTS notification_preferences');
+};
+
+module.exports = { up, down };
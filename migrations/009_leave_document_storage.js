@@ -0,0 +1,51 @@
+// Leave documents move behind the storage drivers: document_path becomes a storage key
+// relative to the upload directory (e.g. leave_docs/1700000000000-ab12cd34.pdf) instead
+// of a filesystem path, and the original file name and content type are kept for
+// downloads.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE leaves
+    ADD COLUMN document_name VARCHAR(255),
+    ADD COLUMN document_type VARCHAR(100)
+  `);
+
+  // Earlier uploads were named <timestamp>-<random>-<original name>
+  await client.query(`
+    UPDATE leaves
+    SET document_path = REGEXP_REPLACE(document_path, '^.*uploads/', ''),
+      document_name = REGEXP_REPLACE(document_path, '^.*/[0-9]+-[0-9]+-', '')
+    WHERE document_path IS NOT NULL
+  `);
+
+  // ...and their content type follows from the extension
+  await client.query(`
+    UPDATE leaves
+    SET document_type = CASE LOWER(SUBSTRING(document_path FROM '\\.([A-Za-z]+)$'))
+      WHEN 'pdf' THEN 'application/pdf'
+      WHEN 'jpg' THEN 'image/jpeg'
+      WHEN 'jpeg' THEN 'image/jpeg'
+      WHEN 'png' THEN 'image/png'
+      WHEN 'gif' THEN 'image/gif'
+      WHEN 'doc' THEN 'application/msword'
+      WHEN 'docx' THEN 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    END
+    WHERE document_path IS NOT NULL
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    UPDATE leaves
+    SET document_path = 'uploads/' || document_path
+    WHERE document_path IS NOT NULL
+  `);
+
+  await client.query(`
+    ALTER TABLE leaves
+    DROP COLUMN IF EXISTS document_type,
+    DROP COLUMN IF EXISTS document_name
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// At most one pending cancellation request per leave, so two requests racing past the
+// route's check cannot both be stored. Duplicates left by that race are rejected first,
+// keeping each leave's earliest request.
+
+const up = async (client) => {
+  await client.query(`
+    UPDATE leave_cancellations c
+    SET status = 'REJECTED', decided_at = CURRENT_TIMESTAMP, remarks = 'Duplicate of an earlier pending request'
+    WHERE c.status = 'PENDING'
+    AND EXISTS (
+      SELECT 1 FROM leave_cancellations earlier
+      WHERE earlier.leave_id = c.leave_id AND earlier.status = 'PENDING' AND earlier.id < c.id
+    )
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX leave_cancellations_pending_idx
+      ON leave_cancellations (leave_id) WHERE status = 'PENDING'
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS leave_cancellations_pending_idx');
+};
+
+module.exports = { up, down };
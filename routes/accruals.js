@@ -0,0 +1,129 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { RUN_TYPES, previewRun, commitRun, reverseRun } = require('../utils/accrual');
+
+const normalizeRunType = (runType) => String(runType || '').toUpperCase().trim();
+
+// Get accrual runs, newest first
+router.get('/runs', authorize('accruals:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        r.*,
+        COUNT(a.id) as entries
+      FROM accrual_runs r
+      LEFT JOIN accrual_entries a ON a.run_id = r.id
+      GROUP BY r.id
+      ORDER BY r.id DESC
+    `);
+
+    res.json({ success: true, runs: result.rows });
+  } catch (err) {
+    console.error('Error fetching accrual runs:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get accrual run with its balance changes
+router.get('/runs/:runId', authorize('accruals:read'), async (req, res) => {
+  try {
+    const { runId } = req.params;
+
+    const runResult = await pool.query('SELECT * FROM accrual_runs WHERE id = $1', [runId]);
+
+    if (runResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Accrual run not found' });
+    }
+
+    const entries = await pool.query(`
+      SELECT a.*, e.full_name as employee_name
+      FROM accrual_entries a
+      JOIN employees e ON a.employee_id = e.employee_id
+      WHERE a.run_id = $1
+      ORDER BY a.employee_id, a.leave_type
+    `, [runId]);
+
+    res.json({ success: true, run: { ...runResult.rows[0], entries: entries.rows } });
+  } catch (err) {
+    console.error('Error fetching accrual run:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Preview a run without changing any balance
+router.post('/preview', authorize('accruals:run'), async (req, res) => {
+  try {
+    const runType = normalizeRunType(req.body.run_type);
+    const { period } = req.body;
+
+    if (!Object.values(RUN_TYPES).includes(runType)) {
+      return res.status(400).json({ success: false, message: 'Run type must be PERIODIC or YEAR_END' });
+    }
+
+    const preview = await previewRun(runType, period);
+    if (preview.error) {
+      return res.status(400).json({ success: false, message: preview.error });
+    }
+
+    // A preview changes nothing, so it is not audited
+    res.locals.audit = false;
+
+    res.json({ success: true, run_type: runType, period, ...preview });
+  } catch (err) {
+    console.error('Error previewing accrual run:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Commit a run
+router.post('/runs', authorize('accruals:run'), async (req, res) => {
+  try {
+    const runType = normalizeRunType(req.body.run_type);
+    const { period } = req.body;
+
+    if (!Object.values(RUN_TYPES).includes(runType)) {
+      return res.status(400).json({ success: false, message: 'Run type must be PERIODIC or YEAR_END' });
+    }
+
+    const result = await commitRun(runType, period, req.user.employee_id);
+    if (result.error) {
+      return res.status(result.conflict ? 409 : 400).json({ success: false, message: result.error });
+    }
+
+    res.locals.audit = {
+      action: 'accrual.commit',
+      entityId: result.run.id,
+      after: { ...result.run, summary: result.summary }
+    };
+
+    res.status(201).json({
+      success: true,
+      run: { ...result.run, entries: result.entries },
+      summary: result.summary
+    });
+  } catch (err) {
+    console.error('Error committing accrual run:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Reverse a run committed by mistake
+router.post('/runs/:runId/reverse', authorize('accruals:run'), async (req, res) => {
+  try {
+    const result = await reverseRun(req.params.runId, req.user.employee_id);
+    if (result.error) {
+      return res.status(result.notFound ? 404 : 409).json({ success: false, message: result.error });
+    }
+
+    res.locals.audit = { action: 'accrual.reverse', entityId: result.run.id, after: result.run };
+
+    res.json({ success: true, message: 'Accrual run reversed successfully', run: result.run });
+  } catch (err) {
+    console.error('Error reversing accrual run:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validateDate } = require('../utils/validation');
+const { parsePagination, paginationInfo } = require('../utils/pagination');
+
+// Get audit entries, newest first, filtered by entity, actor, action and date range
+router.get('/', authorize('audit:read'), async (req, res) => {
+  try {
+    const { entity_type, entity_id, actor_id, action, from, to } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (entity_type) {
+      params.push(entity_type.trim());
+      conditions.push(`a.entity_type = $${params.length}`);
+    }
+
+    if (entity_id) {
+      params.push(entity_id.trim());
+      conditions.push(`LOWER(a.entity_id) = LOWER($${params.length})`);
+    }
+
+    if (actor_id) {
+      params.push(actor_id.trim());
+      conditions.push(`LOWER(a.actor_id) = LOWER($${params.length})`);
+    }
+
+    if (action) {
+      params.push(action.trim());
+      conditions.push(`a.action = $${params.length}`);
+    }
+
+    if (from) {
+      if (!validateDate(from)) {
+        return res.status(400).json({ success: false, message: 'From must be a YYYY-MM-DD date' });
+      }
+      params.push(from);
+      conditions.push(`a.created_at >= $${params.length}::date`);
+    }
+
+    if (to) {
+      if (!validateDate(to)) {
+        return res.status(400).json({ success: false, message: 'To must be a YYYY-MM-DD date' });
+      }
+      params.push(to);
+      conditions.push(`a.created_at < $${params.length}::date + 1`);
+    }
+
+    const pagination = parsePagination(req.query);
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM audit_log a ${whereClause}`, params);
+
+    const result = await pool.query(`
+      SELECT
+        a.*,
+        e.full_name as actor_name
+      FROM audit_log a
+      LEFT JOIN employees e ON a.actor_id = e.employee_id
+      ${whereClause}
+      ORDER BY a.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
+
+    res.json({
+      success: true,
+      entries: result.rows,
+      pagination: paginationInfo(parseInt(countResult.rows[0].total), pagination)
+    });
+  } catch (err) {
+    console.error('Error fetching audit log:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/security');
+const { auditWrites } = require('../middleware/audit');
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signAccessToken,
+  generateRefreshToken,
+  hashToken,
+  refreshTokenExpiry
+} = require('../utils/auth');
+
+// Create a refresh session and return the token pair for an employee
+const issueTokens = async (client, employee, req) => {
+  const refreshToken = generateRefreshToken();
+
+  await client.query(`
+    INSERT INTO auth_sessions (employee_id, token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    employee.employee_id,
+    hashToken(refreshToken),
+    refreshTokenExpiry(),
+    (req.headers['user-agent'] || '').substring(0, 255),
+    req.ip
+  ]);
+
+  return {
+    access_token: signAccessToken(employee),
+    refresh_token: refreshToken,
+    token_type: 'Bearer'
+  };
+};
+
+// Login with employee ID or email and password
+router.post('/login', authLimiter, async (req, res) => {
+  try {
+    const { employee_id, email, password } = req.body;
+
+    if ([employee_id, email, password].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ success: false, message: 'Employee ID, email and password must be strings' });
+    }
+
+    // The field sent picks the column, so an employee ID never matches someone's email
+    const column = employee_id !== undefined ? 'employee_id' : 'email';
+    const identifier = (employee_id !== undefined ? employee_id : email || '').trim();
+
+    if (!identifier || !password) {
+      return res.status(400).json({ success: false, message: 'Employee ID or email and password are required' });
+    }
+
+    const result = await pool.query(
+      `SELECT employee_id, full_name, email, department, position, role, manager_id, is_admin, password_hash
+       FROM employees
+       WHERE LOWER(${column}) = LOWER($1)`,
+      [identifier]
+    );
+
+    // Unknown employees are checked against a dummy hash, taking as long as a known one
+    const employee = result.rows[0];
+    const passwordMatches = await verifyPassword(password, employee && employee.password_hash);
+
+    if (!passwordMatches) {
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
+
+    const tokens = await issueTokens(pool, employee, req);
+    const { password_hash, ...profile } = employee;
+
+    res.json({ success: true, ...tokens, employee: profile });
+  } catch (err) {
+    console.error('Error logging in:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Exchange a refresh token for a new token pair (rotating the refresh token)
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({ success: false, message: 'Refresh token is required' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(`
+      SELECT s.id, s.expires_at, s.revoked_at, e.employee_id, e.role, e.is_admin
+      FROM auth_sessions s
+      JOIN employees e ON s.employee_id = e.employee_id
+      WHERE s.token_hash = $1
+      FOR UPDATE OF s
+    `, [hashToken(refresh_token)]);
+
+    const session = sessionResult.rows[0];
+
+    if (!session) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    if (session.revoked_at) {
+      // A rotated token being replayed means it may have leaked; end every session
+      await client.query(
+        'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE employee_id = $1 AND revoked_at IS NULL',
+        [session.employee_id]
+      );
+      await client.query('COMMIT');
+      return res.status(401).json({ success: false, message: 'Refresh token has been revoked' });
+    }
+
+    if (new Date(session.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({ success: false, message: 'Refresh token expired' });
+    }
+
+    await client.query(
+      'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [session.id]
+    );
+
+    const tokens = await issueTokens(client, session, req);
+    await client.query('COMMIT');
+
+    res.json({ success: true, ...tokens });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error refreshing token:', err);
+    res.status(500).json({ success: false, message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Logout by revoking the refresh session
+router.post('/logout', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    await pool.query(
+      'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL',
+      [hashToken(refresh_token)]
+    );
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (err) {
+    console.error('Error logging out:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get the currently authenticated employee
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT employee_id, full_name, email, department, position, role, manager_id, is_admin
+       FROM employees WHERE employee_id = $1`,
+      [req.user.employee_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    res.json({ success: true, employee: result.rows[0] });
+  } catch (err) {
+    console.error('Error fetching current employee:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Change own password and revoke all existing sessions
+router.put('/password', authenticate, auditWrites('employee'), async (req, res) => {
+  try {
+    const { current_password, new_password } = req.body;
+
+    if (!validatePassword(new_password)) {
+      return res.status(400).json({
+        success: false,
+        message: `New password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT password_hash FROM employees WHERE employee_id = $1',
+      [req.user.employee_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    if (!await verifyPassword(current_password, result.rows[0].password_hash)) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    await pool.query(
+      'UPDATE employees SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE employee_id = $2',
+      [await hashPassword(new_password), req.user.employee_id]
+    );
+
+    await pool.query(
+      'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE employee_id = $1 AND revoked_at IS NULL',
+      [req.user.employee_id]
+    );
+
+    res.locals.audit = { action: 'employee.password_change', entityId: req.user.employee_id };
+
+    res.json({ success: true, message: 'Password changed successfully. Please log in again.' });
+  } catch (err) {
+    console.error('Error changing password:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { getScope } = require('../config/permissions');
+const { canAccessEmployee, scopeCondition } = require('../utils/access');
+const { validateEmployeeId } = require('../utils/validation');
+const { generateFeedToken, hashToken } = require('../utils/auth');
+const { buildCalendar } = require('../utils/ical');
+
+// How far back feeds reach; calendar clients keep older events they have already seen
+const FEED_HISTORY_DAYS = 365;
+
+const SESSION_LABELS = { FIRST_HALF: 'forenoon', SECOND_HALF: 'afternoon' };
+
+const feedUrls = (req, employee, token) => {
+  const base = `${req.protocol}://${req.get('host')}/api/calendar/feeds`;
+  return {
+    employee: `${base}/employee/${encodeURIComponent(employee.employee_id)}.ics?token=${token}`,
+    department: `${base}/department/${encodeURIComponent(employee.department)}.ics?token=${token}`
+  };
+};
+
+// Resolve the employee a feed token belongs to, or null
+const authenticateFeed = async (token) => {
+  if (!token) return null;
+
+  const result = await pool.query(`
+    UPDATE calendar_feed_tokens t
+    SET last_used_at = CURRENT_TIMESTAMP
+    FROM employees e
+    WHERE t.token_hash = $1 AND e.employee_id = t.employee_id
+    RETURNING e.employee_id, e.role
+  `, [hashToken(String(token))]);
+
+  return result.rows[0] || null;
+};
+
+// Approved leaves matching `conditions` (aliases l = leaves, e = employees) as calendar events
+const getLeaveEvents = async (conditions, params) => {
+  params.push(FEED_HISTORY_DAYS);
+  const result = await pool.query(`
+    SELECT
+      l.*,
+      e.full_name as employee_name,
+      t.name as leave_type_name
+    FROM leaves l
+    JOIN employees e ON l.employee_id = e.employee_id
+    LEFT JOIN leave_types t ON l.leave_type = t.code
+    WHERE l.status = 'APPROVED'
+      AND l.end_date >= CURRENT_DATE - $${params.length}::int
+      AND ${conditions.join(' AND ')}
+    ORDER BY l.start_date
+  `, params);
+
+  return result.rows.map(leave => {
+    const sessions = [];
+    if (leave.start_session !== 'FULL') sessions.push(`First day: ${SESSION_LABELS[leave.start_session]} only`);
+    if (leave.end_session !== 'FULL' && leave.end_date.getTime() !== leave.start_date.getTime()) {
+      sessions.push(`Last day: ${SESSION_LABELS[leave.end_session]} only`);
+    }
+
+    return {
+      uid: `leave-${leave.id}@employee-nexus`,
+      start: leave.start_date,
+      end: leave.end_date,
+      summary: `${leave.employee_name} - ${leave.leave_type_name || leave.leave_type}`,
+      description: [`${leave.leave_type} leave, ${leave.days} day(s)`, ...sessions].join('\n'),
+      updatedAt: leave.updated_at,
+      // Bumped whenever the leave changes, e.g. when it is shortened by a cancellation
+      sequence: Math.floor(new Date(leave.updated_at).getTime() / 1000)
+    };
+  });
+};
+
+const sendCalendar = (res, name, events) => {
+  res.type('text/calendar; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, max-age=300');
+  res.send(buildCalendar({ name, events }));
+};
+
+// Get whether the caller has a feed token (the token itself is only shown when created)
+router.get('/feed-token', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT created_at, last_used_at FROM calendar_feed_tokens WHERE employee_id = $1',
+      [req.user.employee_id]
+    );
+
+    res.json({ success: true, has_token: result.rows.length > 0, ...(result.rows[0] || {}) });
+  } catch (err) {
+    console.error('Error fetching feed token:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Create the caller's feed token, replacing any previous one
+router.post('/feed-token', authenticate, async (req, res) => {
+  try {
+    const token = generateFeedToken();
+
+    const result = await pool.query(`
+      INSERT INTO calendar_feed_tokens (employee_id, token_hash)
+      VALUES ($1, $2)
+      ON CONFLICT (employee_id)
+      DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = CURRENT_TIMESTAMP, last_used_at = NULL
+      RETURNING employee_id, created_at
+    `, [req.user.employee_id, hashToken(token)]);
+
+    const employee = await pool.query(
+      'SELECT employee_id, department FROM employees WHERE employee_id = $1',
+      [req.user.employee_id]
+    );
+
+    res.locals.audit = { action: 'calendar_feed.token_create', entityId: req.user.employee_id, after: result.rows[0] };
+
+    res.status(201).json({
+      success: true,
+      token,
+      feeds: feedUrls(req, employee.rows[0], token),
+      created_at: result.rows[0].created_at
+    });
+  } catch (err) {
+    console.error('Error creating feed token:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Revoke the caller's feed token; subscribed calendars stop updating
+router.delete('/feed-token', authenticate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM calendar_feed_tokens WHERE employee_id = $1 RETURNING employee_id',
+      [req.user.employee_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No feed token to revoke' });
+    }
+
+    res.locals.audit = { action: 'calendar_feed.token_revoke', entityId: req.user.employee_id };
+
+    res.json({ success: true, message: 'Feed token revoked successfully' });
+  } catch (err) {
+    console.error('Error revoking feed token:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// iCalendar feed of an employee's approved leaves
+router.get('/feeds/employee/:employeeId.ics', async (req, res) => {
+  try {
+    const user = await authenticateFeed(req.query.token);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid feed token' });
+    }
+
+    const { employeeId } = req.params;
+    if (!validateEmployeeId(employeeId)) {
+      return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
+    }
+
+    const scope = getScope(user.role, 'leaves:read');
+    if (!scope || !await canAccessEmployee(scope, user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee\'s leaves' });
+    }
+
+    const events = await getLeaveEvents(['LOWER(l.employee_id) = LOWER($1)'], [employeeId.trim()]);
+
+    sendCalendar(res, `Leave - ${employeeId.trim()}`, events);
+  } catch (err) {
+    console.error('Error building employee leave feed:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// iCalendar feed of a department's approved leaves, limited to the employees the
+// token's owner may see
+router.get('/feeds/department/:department.ics', async (req, res) => {
+  try {
+    const user = await authenticateFeed(req.query.token);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid feed token' });
+    }
+
+    const scope = getScope(user.role, 'leaves:read');
+    if (!scope) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to view leaves' });
+    }
+
+    const { department } = req.params;
+    const params = [department.trim()];
+    const conditions = [
+      'LOWER(e.department) = LOWER($1)',
+      scopeCondition(scope, user, 'l.employee_id', params)
+    ];
+
+    const events = await getLeaveEvents(conditions, params);
+
+    sendCalendar(res, `Leave - ${department.trim()}`, events);
+  } catch (err) {
+    console.error('Error building department leave feed:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { sendDocument, verifyDocumentSignature } = require('../utils/storage');
+
+// Signed document downloads. These take no access token: the expiry and signature from
+// GET /api/leaves/:leaveId/document/url vouch for the caller.
+
+// Download a leave's supporting document through a signed URL
+router.get('/leaves/:leaveId', async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!/^\d+$/.test(leaveId)) {
+      return res.status(403).json({ success: false, message: 'Invalid or expired document link' });
+    }
+
+    const result = await pool.query(
+      'SELECT document_path, document_name FROM leaves WHERE id = $1',
+      [leaveId]
+    );
+    const leave = result.rows[0];
+
+    if (!leave || !leave.document_path || !verifyDocumentSignature(leave.document_path, expires, signature)) {
+      return res.status(403).json({ success: false, message: 'Invalid or expired document link' });
+    }
+
+    const sent = await sendDocument(res, leave.document_path, { filename: leave.document_name });
+    if (!sent) {
+      return res.status(404).json({ success: false, message: 'Document file not found' });
+    }
+  } catch (err) {
+    console.error('Error fetching signed document:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
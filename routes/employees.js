@@ -1,17 +1,167 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const path = require('path');
 const pool = require('../config/database');
 const { 
   validateEmployeeId, 
   validateEmail, 
   sanitizeInput,
-  normalizeLeaveBalance 
+  validateDate,
+  normalizeLeaveBalance,
+  normalizeLeaveType
 } = require('../utils/validation');
 const { normalizeEmployeeBalances } = require('../utils/database');
+const { hashPassword, validatePassword, MIN_PASSWORD_LENGTH } = require('../utils/auth');
+const { authorize } = require('../middleware/auth');
+const { canAccessEmployee, scopeCondition } = require('../utils/access');
+const { ROLES, getScope, isValidRole, isAdminRole } = require('../config/permissions');
+const { getActiveLeaveTypes, getLeaveType, getBalances, initializeBalances } = require('../utils/leaveTypes');
+const { LEDGER_ENTRY_TYPES, postLedgerEntry, setLedgerBalance } = require('../utils/ledger');
+const { parsePagination, parseSort, parseList, paginationInfo } = require('../utils/pagination');
+const { parseCsvRecords } = require('../utils/csv');
 
-// Get all employees
-router.get('/', async (req, res) => {
+const GENDERS = ['MALE', 'FEMALE', 'OTHER'];
+
+// Leave balances of an employee row (aliased `employees`) as a JSON object keyed by leave type
+const BALANCES_SQL = `(
+  SELECT COALESCE(json_object_agg(b.leave_type, b.balance ORDER BY b.leave_type), '{}')
+  FROM employee_leave_balances b
+  WHERE b.employee_id = employees.employee_id
+) AS balances`;
+
+// Strip credentials before returning an employee row
+const toPublicEmployee = ({ password_hash, ...employee }) => employee;
+
+// Only callers allowed to assign admin roles may create, change or remove admin accounts
+const canManageAdmins = (user) => Boolean(getScope(user.role, 'employees:assign-admin'));
+
+// Validate a { CODE: days } balances object against active leave types.
+// Returns { balances } with normalized codes and values, otherwise { error }.
+const parseBalances = async (balances) => {
+  if (typeof balances !== 'object' || balances === null || Array.isArray(balances)) {
+    return { error: 'Balances must be an object keyed by leave type code' };
+  }
+
+  const activeCodes = (await getActiveLeaveTypes()).map(type => type.code);
+  const parsed = {};
+  for (const [type, balance] of Object.entries(balances)) {
+    const code = normalizeLeaveType(type);
+    if (!activeCodes.includes(code)) {
+      return { error: `Unknown leave type: ${type}` };
+    }
+    parsed[code] = normalizeLeaveBalance(balance);
+  }
+  return { balances: parsed };
+};
+
+const normalizeGender = (gender) => {
+  if (gender === null || gender === '') return null;
+  const normalizedGender = String(gender).toUpperCase().trim();
+  return GENDERS.includes(normalizedGender) ? normalizedGender : undefined;
+};
+
+// Check that a manager ID refers to an existing employee who is neither the subject
+// nor anywhere below the subject in the reporting hierarchy
+const findManager = async (managerId, employeeId) => {
+  if (employeeId && managerId.trim().toLowerCase() === employeeId.trim().toLowerCase()) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+    [managerId.trim()]
+  );
+  const manager = result.rows[0];
+  if (!manager || !employeeId) return manager || null;
+
+  const cycle = await pool.query(`
+    WITH RECURSIVE subordinates AS (
+      SELECT employee_id FROM employees WHERE manager_id = (
+        SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1)
+      )
+      UNION
+      SELECT e.employee_id FROM employees e
+      JOIN subordinates s ON e.manager_id = s.employee_id
+    )
+    SELECT 1 FROM subordinates WHERE employee_id = $2
+  `, [employeeId.trim(), manager.employee_id]);
+
+  return cycle.rows.length > 0 ? null : manager;
+};
+
+// Sortable fields of the employee listing
+const EMPLOYEE_SORT_COLUMNS = {
+  full_name: 'full_name',
+  employee_id: 'employee_id',
+  department: 'department',
+  role: 'role',
+  hire_date: 'hire_date',
+  created_at: 'created_at'
+};
+
+// Get employees, filtered, sorted and paginated
+router.get('/', authorize('employees:read'), async (req, res) => {
   try {
+    const { department, role, location, manager_id, search, hired_from, hired_to } = req.query;
+    const params = [];
+    const conditions = [scopeCondition(req.scope, req.user, 'employee_id', params)];
+
+    if (department) {
+      params.push(department.trim());
+      conditions.push(`LOWER(department) = LOWER($${params.length})`);
+    }
+
+    if (role) {
+      params.push(parseList(role));
+      conditions.push(`role = ANY($${params.length})`);
+    }
+
+    if (location) {
+      params.push(location.trim());
+      conditions.push(`LOWER(location) = LOWER($${params.length})`);
+    }
+
+    if (manager_id) {
+      params.push(manager_id.trim());
+      conditions.push(`LOWER(manager_id) = LOWER($${params.length})`);
+    }
+
+    // Match on employee ID, name or email
+    if (search) {
+      params.push(`%${search.trim()}%`);
+      conditions.push(`(employee_id ILIKE $${params.length} OR full_name ILIKE $${params.length} OR email ILIKE $${params.length})`);
+    }
+
+    if (hired_from) {
+      if (!validateDate(hired_from)) {
+        return res.status(400).json({ success: false, message: 'hired_from must be a YYYY-MM-DD date' });
+      }
+      params.push(hired_from);
+      conditions.push(`hire_date >= $${params.length}`);
+    }
+
+    if (hired_to) {
+      if (!validateDate(hired_to)) {
+        return res.status(400).json({ success: false, message: 'hired_to must be a YYYY-MM-DD date' });
+      }
+      params.push(hired_to);
+      conditions.push(`hire_date <= $${params.length}`);
+    }
+
+    const { orderBy, error } = parseSort(req.query, EMPLOYEE_SORT_COLUMNS, {
+      defaultSort: 'full_name',
+      tieBreaker: 'employee_id'
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const pagination = parsePagination(req.query);
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total FROM employees ${whereClause}`, params);
+
     const result = await pool.query(`
       SELECT 
         employee_id, 
@@ -19,42 +169,122 @@ router.get('/', async (req, res) => {
         email, 
         department, 
         position, 
+        location,
+        gender,
         hire_date,
-        cl_balance,
-        rh_balance,
-        el_balance,
+        ${BALANCES_SQL},
+        role,
+        manager_id,
         is_admin,
         created_at
       FROM employees 
-      ORDER BY full_name
-    `);
-    
-    // Normalize balances for all employees
-    const employees = result.rows.map(employee => ({
-      ...employee,
-      cl_balance: normalizeLeaveBalance(employee.cl_balance),
-      rh_balance: normalizeLeaveBalance(employee.rh_balance),
-      el_balance: normalizeLeaveBalance(employee.el_balance)
-    }));
+      ${whereClause}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
     
-    res.json({ success: true, employees });
+    res.json({
+      success: true,
+      employees: result.rows,
+      pagination: paginationInfo(parseInt(countResult.rows[0].total), pagination)
+    });
   } catch (err) {
     console.error('Error fetching employees:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// Get department heads (HOD approval level)
+router.get('/departments/heads', authorize('employees:read'), async (req, res) => {
+  try {
+    // Only the departments of employees in the caller's scope
+    const params = [];
+    const result = await pool.query(`
+      SELECT 
+        d.department,
+        d.hod_id,
+        e.full_name as hod_name,
+        d.updated_at
+      FROM department_heads d
+      JOIN employees e ON d.hod_id = e.employee_id
+      WHERE LOWER(d.department) IN (
+        SELECT LOWER(department) FROM employees
+        WHERE ${scopeCondition(req.scope, req.user, 'employee_id', params)}
+      )
+      ORDER BY d.department
+    `, params);
+
+    res.json({ success: true, departments: result.rows });
+  } catch (err) {
+    console.error('Error fetching department heads:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Set the head of a department
+router.put('/departments/:department/head', authorize('employees:update'), async (req, res) => {
+  try {
+    const department = sanitizeInput((req.params.department || '').trim());
+    const { hod_id } = req.body;
+
+    if (!department) {
+      return res.status(400).json({ success: false, message: 'Department is required' });
+    }
+
+    if (!validateEmployeeId(hod_id)) {
+      return res.status(400).json({ success: false, message: 'Valid HOD employee ID is required' });
+    }
+
+    const hodResult = await pool.query(
+      'SELECT employee_id, full_name FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      [hod_id.trim()]
+    );
+
+    if (hodResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const hod = hodResult.rows[0];
+
+    const previous = await pool.query('SELECT * FROM department_heads WHERE department = $1', [department]);
+
+    const result = await pool.query(`
+      INSERT INTO department_heads (department, hod_id)
+      VALUES ($1, $2)
+      ON CONFLICT (department) DO UPDATE SET hod_id = EXCLUDED.hod_id, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [department, hod.employee_id]);
+
+    res.locals.audit = {
+      action: 'department.head_set',
+      entityType: 'department',
+      entityId: department,
+      before: previous.rows[0] || null,
+      after: result.rows[0]
+    };
+
+    res.json({ success: true, department: { ...result.rows[0], hod_name: hod.full_name } });
+  } catch (err) {
+    console.error('Error setting department head:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Get employee by ID
-router.get('/:employeeId', async (req, res) => {
+router.get('/:employeeId', authorize('employees:read'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     
     if (!validateEmployeeId(employeeId)) {
       return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
     }
+
+    if (!await canAccessEmployee(req.scope, req.user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee' });
+    }
     
     const result = await pool.query(
-      'SELECT * FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      `SELECT *, ${BALANCES_SQL} FROM employees WHERE LOWER(employee_id) = LOWER($1)`,
       [employeeId.trim()]
     );
     
@@ -62,103 +292,493 @@ router.get('/:employeeId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
     
-    const employee = result.rows[0];
-    
-    // Normalize balances before returning
-    const normalizedEmployee = {
-      ...employee,
-      cl_balance: normalizeLeaveBalance(employee.cl_balance),
-      rh_balance: normalizeLeaveBalance(employee.rh_balance),
-      el_balance: normalizeLeaveBalance(employee.el_balance)
-    };
-    
-    res.json({ success: true, employee: normalizedEmployee });
+    res.json({ success: true, employee: toPublicEmployee(result.rows[0]) });
   } catch (err) {
     console.error('Error fetching employee:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Create new employee
-router.post('/', async (req, res) => {
+// Get direct reports of an employee
+router.get('/:employeeId/reports', authorize('employees:read'), async (req, res) => {
   try {
-    const { 
-      employee_id, 
-      full_name, 
-      email, 
-      department, 
-      position, 
-      hire_date,
-      cl_balance = 30,
-      rh_balance = 15,
-      el_balance = 18,
-      is_admin = false 
-    } = req.body;
+    const { employeeId } = req.params;
 
-    // Validation
-    if (!validateEmployeeId(employee_id)) {
+    if (!validateEmployeeId(employeeId)) {
       return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
     }
-    
-    if (!full_name || full_name.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Full name is required' });
-    }
-    
-    if (!validateEmail(email)) {
-      return res.status(400).json({ success: false, message: 'Valid email is required' });
+
+    if (!await canAccessEmployee(req.scope, req.user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee' });
     }
-    
-    if (!department || department.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Department is required' });
+
+    const result = await pool.query(`
+      SELECT employee_id, full_name, email, department, position, role
+      FROM employees
+      WHERE manager_id = (SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1))
+      ORDER BY full_name
+    `, [employeeId.trim()]);
+
+    res.json({ success: true, reports: result.rows });
+  } catch (err) {
+    console.error('Error fetching direct reports:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Validate the attributes of a new employee; the create route and CSV import share these
+// rules. Returns { employee, balances } with normalized column values, otherwise
+// { error, status }.
+const parseNewEmployee = async (body, user) => {
+  const { 
+    employee_id, 
+    full_name, 
+    email, 
+    department, 
+    position, 
+    location,
+    gender,
+    hire_date,
+    balances = {},
+    is_admin = false,
+    role
+  } = body;
+
+  if (!validateEmployeeId(employee_id)) {
+    return { error: 'Valid employee ID is required' };
+  }
+  
+  if (!full_name || full_name.trim() === '') {
+    return { error: 'Full name is required' };
+  }
+  
+  if (!validateEmail(email)) {
+    return { error: 'Valid email is required' };
+  }
+  
+  if (!department || department.trim() === '') {
+    return { error: 'Department is required' };
+  }
+  
+  if (!position || position.trim() === '') {
+    return { error: 'Position is required' };
+  }
+  
+  if (!hire_date) {
+    return { error: 'Hire date is required' };
+  }
+
+  const employeeGender = gender === undefined ? null : normalizeGender(gender);
+  if (employeeGender === undefined) {
+    return { error: `Gender must be one of ${GENDERS.join(', ')}` };
+  }
+
+  const openingBalances = await parseBalances(balances);
+  if (openingBalances.error) {
+    return { error: openingBalances.error };
+  }
+
+  // Role defaults from the legacy is_admin flag when not given explicitly
+  const employeeRole = role !== undefined ? role : (is_admin ? ROLES.HR_ADMIN : ROLES.EMPLOYEE);
+
+  if (!isValidRole(employeeRole)) {
+    return { error: `Role must be one of ${Object.values(ROLES).join(', ')}` };
+  }
+
+  if (isAdminRole(employeeRole) && !canManageAdmins(user)) {
+    return { error: 'You do not have permission to create admin accounts', status: 403 };
+  }
+
+  return {
+    employee: {
+      employee_id: sanitizeInput(employee_id.trim()),
+      full_name: sanitizeInput(full_name.trim()),
+      email: email.trim().toLowerCase(),
+      department: sanitizeInput(department.trim()),
+      position: sanitizeInput(position.trim()),
+      location: location ? sanitizeInput(location.trim()) : null,
+      gender: employeeGender,
+      hire_date,
+      is_admin: isAdminRole(employeeRole),
+      role: employeeRole
+    },
+    balances: openingBalances.balances
+  };
+};
+
+// Insert an employee parsed by parseNewEmployee and open their leave balances
+const insertEmployee = async (client, employee, { managerId = null, passwordHash = null, openingBalances = {}, actorId }) => {
+  const result = await client.query(`
+    INSERT INTO employees (
+      employee_id, full_name, email, department, position, location, gender, hire_date,
+      is_admin, role, manager_id, password_hash
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    employee.employee_id,
+    employee.full_name,
+    employee.email,
+    employee.department,
+    employee.position,
+    employee.location,
+    employee.gender,
+    employee.hire_date,
+    employee.is_admin,
+    employee.role,
+    managerId,
+    passwordHash
+  ]);
+
+  await initializeBalances(client, result.rows[0], openingBalances, actorId);
+  return result.rows[0];
+};
+
+// Create new employee
+router.post('/', authorize('employees:create'), async (req, res) => {
+  try {
+    const { manager_id, password } = req.body;
+
+    // Validation
+    const parsed = await parseNewEmployee(req.body, req.user);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ success: false, message: parsed.error });
     }
-    
-    if (!position || position.trim() === '') {
-      return res.status(400).json({ success: false, message: 'Position is required' });
+
+    if (password !== undefined && !validatePassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
     }
-    
-    if (!hire_date) {
-      return res.status(400).json({ success: false, message: 'Hire date is required' });
+
+    let manager = null;
+    if (manager_id) {
+      manager = await findManager(manager_id, parsed.employee.employee_id);
+      if (!manager) {
+        return res.status(400).json({ success: false, message: 'Manager must be an existing employee' });
+      }
     }
 
     // Check if employee already exists
     const existingEmployee = await pool.query(
       'SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1) OR LOWER(email) = LOWER($2)',
-      [employee_id.trim(), email.trim()]
+      [parsed.employee.employee_id, parsed.employee.email]
     );
     
     if (existingEmployee.rows.length > 0) {
       return res.status(409).json({ success: false, message: 'Employee ID or email already exists' });
     }
 
-    // Insert new employee
-    const result = await pool.query(`
-      INSERT INTO employees (
-        employee_id, full_name, email, department, position, hire_date,
-        cl_balance, rh_balance, el_balance, is_admin
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
-    `, [
-      sanitizeInput(employee_id.trim()),
-      sanitizeInput(full_name.trim()),
-      email.trim().toLowerCase(),
-      sanitizeInput(department.trim()),
-      sanitizeInput(position.trim()),
-      hire_date,
-      normalizeLeaveBalance(cl_balance),
-      normalizeLeaveBalance(rh_balance),
-      normalizeLeaveBalance(el_balance),
-      is_admin
-    ]);
+    // Insert new employee with opening balances for each eligible leave type
+    const client = await pool.connect();
+    let employee;
+    try {
+      await client.query('BEGIN');
+
+      employee = await insertEmployee(client, parsed.employee, {
+        managerId: manager ? manager.employee_id : null,
+        passwordHash: password ? await hashPassword(password) : null,
+        openingBalances: parsed.balances,
+        actorId: req.user.employee_id
+      });
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    employee.balances = await getBalances(employee.employee_id);
+
+    res.locals.audit = { action: 'employee.create', entityId: employee.employee_id, after: employee };
 
-    res.status(201).json({ success: true, employee: result.rows[0] });
+    res.status(201).json({ success: true, employee: toPublicEmployee(employee) });
   } catch (err) {
     console.error('Error creating employee:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// Columns accepted by the CSV import, besides balance_<LEAVE TYPE> opening balance columns
+const IMPORT_COLUMNS = [
+  'employee_id', 'full_name', 'email', 'department', 'position', 'hire_date',
+  'location', 'gender', 'role', 'manager_id'
+];
+const REQUIRED_IMPORT_COLUMNS = IMPORT_COLUMNS.slice(0, 6);
+const BALANCE_COLUMN_PREFIX = 'balance_';
+const MAX_IMPORT_ROWS = 5000;
+
+const IMPORT_MODES = ['create', 'upsert'];
+
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV files are allowed'));
+  }
+});
+
+// Build a parseNewEmployee body from a CSV record. Returns { body } or { error }.
+const importRecordToBody = (record, headers) => {
+  const body = {
+    employee_id: record.employee_id,
+    full_name: record.full_name,
+    email: record.email,
+    department: record.department,
+    position: record.position,
+    hire_date: record.hire_date,
+    location: record.location || null,
+    balances: {}
+  };
+
+  if (record.gender) body.gender = record.gender;
+  if (record.role) body.role = record.role.toUpperCase();
+
+  for (const header of headers.filter(name => name.startsWith(BALANCE_COLUMN_PREFIX))) {
+    if (record[header] === '') continue;
+    const days = Number(record[header]);
+    if (isNaN(days) || days < 0) {
+      return { error: `${header} must be a non-negative number of days` };
+    }
+    body.balances[header.slice(BALANCE_COLUMN_PREFIX.length)] = days;
+  }
+
+  return { body };
+};
+
+// Import employees from a CSV file. Every row is validated with the create rules before
+// anything is written; with dry_run=true only the validation report is returned. In
+// upsert mode, rows whose employee_id exists update that employee. The import runs in
+// one transaction, so either every row is written or none is.
+router.post('/import', authorize('employees:import'), uploadCsv.single('file'), async (req, res) => {
+  try {
+    const dryRun = String(req.query.dry_run || req.body.dry_run) === 'true';
+    const mode = String(req.query.mode || req.body.mode || 'create').toLowerCase();
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ success: false, message: `Mode must be one of ${IMPORT_MODES.join(', ')}` });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A CSV file is required in the file field' });
+    }
+
+    let headers, records;
+    try {
+      ({ headers, records } = parseCsvRecords(req.file.buffer.toString('utf8')));
+    } catch (err) {
+      return res.status(400).json({ success: false, message: `Invalid CSV: ${err.message}` });
+    }
+
+    const missingColumns = REQUIRED_IMPORT_COLUMNS.filter(column => !headers.includes(column));
+    if (missingColumns.length > 0) {
+      return res.status(400).json({ success: false, message: `Missing column(s): ${missingColumns.join(', ')}` });
+    }
+
+    const unknownColumns = headers.filter(
+      header => !IMPORT_COLUMNS.includes(header) && !header.startsWith(BALANCE_COLUMN_PREFIX)
+    );
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown column(s): ${unknownColumns.join(', ')}` });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({ success: false, message: 'The CSV file has no employee rows' });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ success: false, message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` });
+    }
+
+    const existing = await pool.query('SELECT employee_id, email, role, manager_id FROM employees');
+    const existingById = new Map(existing.rows.map(row => [row.employee_id.toLowerCase(), row]));
+    const existingByEmail = new Map(existing.rows.map(row => [row.email.toLowerCase(), row]));
+
+    // Validate every row
+    const seenIds = new Map();
+    const seenEmails = new Map();
+    const rows = [];
+    for (const record of records) {
+      const row = { row: record.line, employee_id: record.employee_id, action: null, errors: [] };
+      rows.push(row);
+
+      const { body, error } = importRecordToBody(record, headers);
+      if (error) {
+        row.errors.push(error);
+        continue;
+      }
+
+      const parsed = await parseNewEmployee(body, req.user);
+      if (parsed.error) {
+        row.errors.push(parsed.error);
+        continue;
+      }
+
+      const { employee } = parsed;
+      const id = employee.employee_id.toLowerCase();
+      const current = existingById.get(id);
+      row.employee_id = current ? current.employee_id : employee.employee_id;
+      row.action = current ? 'update' : 'create';
+
+      if (!validateDate(employee.hire_date)) {
+        row.errors.push('Hire date must be a YYYY-MM-DD date');
+      }
+
+      if (current && mode === 'create') {
+        row.errors.push('Employee ID already exists');
+      }
+
+      if (current && isAdminRole(current.role) && !canManageAdmins(req.user)) {
+        row.errors.push('You do not have permission to modify admin accounts');
+      }
+
+      const emailOwner = existingByEmail.get(employee.email);
+      if (emailOwner && emailOwner.employee_id.toLowerCase() !== id) {
+        row.errors.push(`Email already belongs to employee ${emailOwner.employee_id}`);
+      }
+
+      if (seenIds.has(id)) {
+        row.errors.push(`Duplicate employee ID (also on row ${seenIds.get(id)})`);
+      } else {
+        seenIds.set(id, row.row);
+      }
+
+      if (seenEmails.has(employee.email)) {
+        row.errors.push(`Duplicate email (also on row ${seenEmails.get(employee.email)})`);
+      } else {
+        seenEmails.set(employee.email, row.row);
+      }
+
+      row.parsed = parsed;
+      row.hasRole = body.role !== undefined;
+      row.managerId = headers.includes('manager_id') ? (record.manager_id || null) : undefined;
+    }
+
+    // Managers may be existing employees or other rows of the file. Follow each reporting
+    // line through the file's and the database's managers to rule out cycles.
+    const canonicalIds = new Map([
+      ...existing.rows.map(row => [row.employee_id.toLowerCase(), row.employee_id]),
+      ...rows.filter(row => row.parsed).map(row => [row.employee_id.toLowerCase(), row.employee_id])
+    ]);
+    const managerOf = new Map(existing.rows.map(row => [row.employee_id.toLowerCase(), row.manager_id]));
+    for (const row of rows.filter(row => row.parsed && row.managerId !== undefined)) {
+      if (row.managerId === null) {
+        managerOf.set(row.employee_id.toLowerCase(), null);
+        continue;
+      }
+
+      const managerId = canonicalIds.get(row.managerId.toLowerCase());
+      if (!managerId) {
+        row.errors.push(`Manager ${row.managerId} is not an existing employee or a row of this file`);
+      } else {
+        row.managerId = managerId;
+        managerOf.set(row.employee_id.toLowerCase(), managerId);
+      }
+    }
+
+    for (const row of rows.filter(row => row.parsed && row.managerId)) {
+      const id = row.employee_id.toLowerCase();
+      const visited = new Set();
+      let current = row.managerId.toLowerCase();
+      while (current && !visited.has(current)) {
+        if (current === id) {
+          row.errors.push('Manager assignment would create a reporting cycle');
+          break;
+        }
+        visited.add(current);
+        current = managerOf.get(current) ? managerOf.get(current).toLowerCase() : null;
+      }
+    }
+
+    const summary = {
+      total: rows.length,
+      create: rows.filter(row => row.errors.length === 0 && row.action === 'create').length,
+      update: rows.filter(row => row.errors.length === 0 && row.action === 'update').length,
+      failed: rows.filter(row => row.errors.length > 0).length
+    };
+    const report = rows.map(({ row, employee_id, action, errors }) => ({ row, employee_id, action, errors }));
+
+    if (dryRun || summary.failed > 0) {
+      res.locals.audit = false;
+      return res.status(summary.failed > 0 ? 422 : 200).json({
+        success: summary.failed === 0,
+        dry_run: dryRun,
+        mode,
+        message: summary.failed > 0 ? 'Nothing was imported; fix the rows with errors and upload again' : undefined,
+        summary,
+        rows: report
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (const row of rows) {
+        const { employee, balances } = row.parsed;
+
+        if (row.action === 'create') {
+          await insertEmployee(client, employee, { openingBalances: balances, actorId: req.user.employee_id });
+          continue;
+        }
+
+        const fields = ['full_name', 'email', 'department', 'position', 'hire_date'];
+        if (headers.includes('location')) fields.push('location');
+        if (headers.includes('gender') && employee.gender) fields.push('gender');
+        if (row.hasRole) fields.push('role', 'is_admin');
+
+        await client.query(`
+          UPDATE employees
+          SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE LOWER(employee_id) = LOWER($${fields.length + 1})
+        `, [...fields.map(field => employee[field]), employee.employee_id]);
+
+        for (const [code, balance] of Object.entries(balances)) {
+          await setLedgerBalance(client, row.employee_id, code, balance, {
+            entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+            actorId: req.user.employee_id,
+            remarks: 'Balance set by CSV import'
+          });
+        }
+      }
+
+      // Managers are assigned once every row exists
+      for (const row of rows.filter(row => row.managerId !== undefined)) {
+        await client.query(
+          'UPDATE employees SET manager_id = $1 WHERE LOWER(employee_id) = LOWER($2)',
+          [row.managerId, row.employee_id]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.locals.audit = {
+      action: 'employee.import',
+      after: { mode, summary, employee_ids: rows.map(row => row.employee_id) }
+    };
+
+    res.status(201).json({ success: true, dry_run: false, mode, summary, rows: report });
+  } catch (err) {
+    console.error('Error importing employees:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Update employee
-router.put('/:employeeId', async (req, res) => {
+router.put('/:employeeId', authorize('employees:update'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     const { 
@@ -166,10 +786,14 @@ router.put('/:employeeId', async (req, res) => {
       email, 
       department, 
       position, 
-      cl_balance, 
-      rh_balance, 
-      el_balance, 
-      is_admin 
+      location,
+      gender,
+      balances,
+      balance_remarks,
+      is_admin,
+      role,
+      manager_id,
+      password
     } = req.body;
 
     if (!validateEmployeeId(employeeId)) {
@@ -186,6 +810,11 @@ router.put('/:employeeId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
 
+    const currentRole = existingEmployee.rows[0].role;
+    if (isAdminRole(currentRole) && !canManageAdmins(req.user)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to modify admin accounts' });
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const updateValues = [];
@@ -213,42 +842,132 @@ router.put('/:employeeId', async (req, res) => {
       updateFields.push(`position = $${paramCount++}`);
       updateValues.push(sanitizeInput(position.trim()));
     }
-    
-    if (cl_balance !== undefined) {
-      updateFields.push(`cl_balance = $${paramCount++}`);
-      updateValues.push(normalizeLeaveBalance(cl_balance));
+
+    if (location !== undefined) {
+      updateFields.push(`location = $${paramCount++}`);
+      updateValues.push(location ? sanitizeInput(location.trim()) : null);
     }
-    
-    if (rh_balance !== undefined) {
-      updateFields.push(`rh_balance = $${paramCount++}`);
-      updateValues.push(normalizeLeaveBalance(rh_balance));
+
+
+    if (gender !== undefined) {
+      const employeeGender = normalizeGender(gender);
+      if (employeeGender === undefined) {
+        return res.status(400).json({ success: false, message: `Gender must be one of ${GENDERS.join(', ')}` });
+      }
+      updateFields.push(`gender = $${paramCount++}`);
+      updateValues.push(employeeGender);
     }
-    
-    if (el_balance !== undefined) {
-      updateFields.push(`el_balance = $${paramCount++}`);
-      updateValues.push(normalizeLeaveBalance(el_balance));
+
+    let newBalances = {};
+    if (balances !== undefined) {
+      const parsed = await parseBalances(balances);
+      if (parsed.error) {
+        return res.status(400).json({ success: false, message: parsed.error });
+      }
+      newBalances = parsed.balances;
     }
     
-    if (is_admin !== undefined) {
+    // Role and the legacy is_admin flag are kept in step
+    if (role !== undefined || is_admin !== undefined) {
+      const newRole = role !== undefined ? role : (is_admin ? ROLES.HR_ADMIN : ROLES.EMPLOYEE);
+
+      if (!isValidRole(newRole)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of ${Object.values(ROLES).join(', ')}`
+        });
+      }
+
+      if (isAdminRole(newRole) && !canManageAdmins(req.user)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to assign admin roles' });
+      }
+
+      updateFields.push(`role = $${paramCount++}`);
+      updateValues.push(newRole);
       updateFields.push(`is_admin = $${paramCount++}`);
-      updateValues.push(is_admin);
+      updateValues.push(isAdminRole(newRole));
+    }
+
+    if (manager_id !== undefined) {
+      let manager = null;
+      if (manager_id) {
+        manager = await findManager(manager_id, employeeId);
+        if (!manager) {
+          return res.status(400).json({
+            success: false,
+            message: 'Manager must be an existing employee outside this employee\'s reporting line'
+          });
+        }
+      }
+      updateFields.push(`manager_id = $${paramCount++}`);
+      updateValues.push(manager ? manager.employee_id : null);
     }
 
-    if (updateFields.length === 0) {
+    if (password !== undefined) {
+      if (!validatePassword(password)) {
+        return res.status(400).json({
+          success: false,
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+      }
+      updateFields.push(`password_hash = $${paramCount++}`);
+      updateValues.push(await hashPassword(password));
+    }
+
+    if (updateFields.length === 0 && Object.keys(newBalances).length === 0) {
       return res.status(400).json({ success: false, message: 'No fields to update' });
     }
 
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
     updateValues.push(employeeId.trim());
 
-    const result = await pool.query(`
-      UPDATE employees 
-      SET ${updateFields.join(', ')}
-      WHERE LOWER(employee_id) = LOWER($${paramCount})
-      RETURNING *
-    `, updateValues);
+    const before = {
+      ...existingEmployee.rows[0],
+      balances: await getBalances(existingEmployee.rows[0].employee_id)
+    };
+
+    const client = await pool.connect();
+    let employee;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE employees 
+        SET ${updateFields.join(', ')}
+        WHERE LOWER(employee_id) = LOWER($${paramCount})
+        RETURNING *
+      `, updateValues);
+      employee = result.rows[0];
+
+      // A password reset signs the employee out everywhere, as a password change does
+      if (password !== undefined) {
+        await client.query(
+          'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE employee_id = $1 AND revoked_at IS NULL',
+          [employee.employee_id]
+        );
+      }
+
+      for (const [code, balance] of Object.entries(newBalances)) {
+        await setLedgerBalance(client, employee.employee_id, code, balance, {
+          entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+          actorId: req.user.employee_id,
+          remarks: balance_remarks ? sanitizeInput(String(balance_remarks).trim()) : 'Balance set on employee update'
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    employee.balances = await getBalances(employee.employee_id);
+
+    res.locals.audit = { action: 'employee.update', entityId: employee.employee_id, before, after: employee };
 
-    res.json({ success: true, employee: result.rows[0] });
+    res.json({ success: true, employee: toPublicEmployee(employee) });
   } catch (err) {
     console.error('Error updating employee:', err);
     res.status(500).json({ success: false, message: err.message });
@@ -256,7 +975,7 @@ router.put('/:employeeId', async (req, res) => {
 });
 
 // Delete employee
-router.delete('/:employeeId', async (req, res) => {
+router.delete('/:employeeId', authorize('employees:delete'), async (req, res) => {
   try {
     const { employeeId } = req.params;
 
@@ -264,15 +983,30 @@ router.delete('/:employeeId', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
     }
 
-    const result = await pool.query(
-      'DELETE FROM employees WHERE LOWER(employee_id) = LOWER($1) RETURNING *',
+    const existingEmployee = await pool.query(
+      'SELECT * FROM employees WHERE LOWER(employee_id) = LOWER($1)',
       [employeeId.trim()]
     );
 
-    if (result.rows.length === 0) {
+    if (existingEmployee.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
 
+    if (isAdminRole(existingEmployee.rows[0].role) && !canManageAdmins(req.user)) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to delete admin accounts' });
+    }
+
+    await pool.query(
+      'DELETE FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      [employeeId.trim()]
+    );
+
+    res.locals.audit = {
+      action: 'employee.delete',
+      entityId: existingEmployee.rows[0].employee_id,
+      before: existingEmployee.rows[0]
+    };
+
     res.json({ success: true, message: 'Employee deleted successfully' });
   } catch (err) {
     console.error('Error deleting employee:', err);
@@ -280,8 +1014,157 @@ router.delete('/:employeeId', async (req, res) => {
   }
 });
 
+// Get the balance statement (ledger) of an employee
+router.get('/:employeeId/ledger', authorize('employees:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { leave_type, from, to } = req.query;
+
+    if (!validateEmployeeId(employeeId)) {
+      return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
+    }
+
+    if (!await canAccessEmployee(req.scope, req.user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee' });
+    }
+
+    const employeeCheck = await pool.query(
+      'SELECT employee_id, full_name FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      [employeeId.trim()]
+    );
+
+    if (employeeCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const employee = employeeCheck.rows[0];
+    const conditions = ['l.employee_id = $1'];
+    const params = [employee.employee_id];
+
+    if (leave_type) {
+      params.push(normalizeLeaveType(leave_type));
+      conditions.push(`l.leave_type = $${params.length}`);
+    }
+
+    if (from) {
+      if (!validateDate(from)) {
+        return res.status(400).json({ success: false, message: 'From must be a YYYY-MM-DD date' });
+      }
+      params.push(from);
+      conditions.push(`l.created_at >= $${params.length}::date`);
+    }
+
+    if (to) {
+      if (!validateDate(to)) {
+        return res.status(400).json({ success: false, message: 'To must be a YYYY-MM-DD date' });
+      }
+      params.push(to);
+      conditions.push(`l.created_at < $${params.length}::date + 1`);
+    }
+
+    const result = await pool.query(`
+      SELECT
+        l.*,
+        a.full_name as actor_name
+      FROM leave_ledger l
+      LEFT JOIN employees a ON l.actor_id = a.employee_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY l.id
+    `, params);
+
+    res.json({
+      success: true,
+      employee_id: employee.employee_id,
+      full_name: employee.full_name,
+      balances: await getBalances(employee.employee_id),
+      entries: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching balance ledger:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Credit or debit an employee's balance by hand
+router.post('/:employeeId/balance-adjustments', authorize('balances:adjust'), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const { leave_type, days, reason } = req.body;
+
+    if (!validateEmployeeId(employeeId)) {
+      return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
+    }
+
+    const leaveType = await getLeaveType(normalizeLeaveType(leave_type), { activeOnly: false });
+    if (!leaveType) {
+      return res.status(400).json({ success: false, message: 'Valid leave type is required' });
+    }
+
+    const delta = Number(days);
+    if (!delta || delta * 2 !== Math.round(delta * 2)) {
+      return res.status(400).json({ success: false, message: 'Days must be a non-zero number of half days' });
+    }
+
+    if (!reason || String(reason).trim() === '') {
+      return res.status(400).json({ success: false, message: 'Reason is required' });
+    }
+
+    const employeeCheck = await pool.query(
+      'SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      [employeeId.trim()]
+    );
+
+    if (employeeCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const employee = employeeCheck.rows[0];
+    const client = await pool.connect();
+    let balance;
+    try {
+      await client.query('BEGIN');
+
+      balance = await postLedgerEntry(client, {
+        employeeId: employee.employee_id,
+        leaveType: leaveType.code,
+        delta,
+        entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+        actorId: req.user.employee_id,
+        remarks: sanitizeInput(String(reason).trim())
+      });
+
+      if (balance < 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Adjustment would leave a negative ${leaveType.code} balance`
+        });
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.locals.audit = {
+      action: 'employee.balance_adjust',
+      entityId: employee.employee_id,
+      before: { leave_type: leaveType.code, balance: balance - delta },
+      after: { leave_type: leaveType.code, balance, reason: sanitizeInput(String(reason).trim()) }
+    };
+
+    res.status(201).json({ success: true, leave_type: leaveType.code, balance });
+  } catch (err) {
+    console.error('Error adjusting balance:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Fix employee balances
-router.post('/:employeeId/fix-balances', async (req, res) => {
+router.post('/:employeeId/fix-balances', authorize('balances:fix'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     
@@ -300,7 +1183,15 @@ router.post('/:employeeId/fix-balances', async (req, res) => {
     }
     
     // Normalize balances
-    const normalizedBalances = await normalizeEmployeeBalances(employeeId.trim());
+    const balancesBefore = await getBalances(employeeCheck.rows[0].employee_id);
+    const normalizedBalances = await normalizeEmployeeBalances(employeeCheck.rows[0].employee_id, req.user.employee_id);
+
+    res.locals.audit = {
+      action: 'employee.balances_fix',
+      entityId: employeeCheck.rows[0].employee_id,
+      before: balancesBefore,
+      after: normalizedBalances
+    };
     
     res.json({
       success: true,
@@ -308,7 +1199,7 @@ router.post('/:employeeId/fix-balances', async (req, res) => {
       employee: {
         employee_id: employeeId,
         full_name: employeeCheck.rows[0].full_name,
-        ...normalizedBalances
+        balances: normalizedBalances
       }
     });
   } catch (err) {
@@ -318,7 +1209,7 @@ router.post('/:employeeId/fix-balances', async (req, res) => {
 });
 
 // Bulk fix all employee balances
-router.post('/fix-all-balances', async (req, res) => {
+router.post('/fix-all-balances', authorize('balances:fix'), async (req, res) => {
   try {
     // Get all employees
     const employees = await pool.query('SELECT employee_id, full_name FROM employees');
@@ -328,11 +1219,11 @@ router.post('/fix-all-balances', async (req, res) => {
     
     for (const employee of employees.rows) {
       try {
-        const normalizedBalances = await normalizeEmployeeBalances(employee.employee_id);
+        const normalizedBalances = await normalizeEmployeeBalances(employee.employee_id, req.user.employee_id);
         results.push({
           employee_id: employee.employee_id,
           full_name: employee.full_name,
-          ...normalizedBalances
+          balances: normalizedBalances
         });
       } catch (err) {
         errors.push({
@@ -343,6 +1234,11 @@ router.post('/fix-all-balances', async (req, res) => {
       }
     }
     
+    res.locals.audit = {
+      action: 'employee.balances_fix_all',
+      after: { fixed: results.length, errors: errors.length }
+    };
+
     res.json({
       success: true,
       message: `Fixed balances for ${results.length} employees`,
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validateDate, sanitizeInput } = require('../utils/validation');
+
+const HOLIDAY_TYPES = ['GAZETTED', 'RESTRICTED'];
+
+// Get holidays, optionally for one year, office location and type
+router.get('/', authorize('holidays:read'), async (req, res) => {
+  try {
+    const { year, location, type } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (year !== undefined) {
+      if (!/^\d{4}$/.test(year)) {
+        return res.status(400).json({ success: false, message: 'Year must be a four-digit number' });
+      }
+      params.push(parseInt(year));
+      conditions.push(`EXTRACT(YEAR FROM holiday_date) = $${params.length}`);
+    }
+
+    if (type !== undefined) {
+      if (!HOLIDAY_TYPES.includes(type.toUpperCase())) {
+        return res.status(400).json({ success: false, message: 'Type must be GAZETTED or RESTRICTED' });
+      }
+      params.push(type.toUpperCase());
+      conditions.push(`type = $${params.length}`);
+    }
+
+    // A location filter includes holidays that apply to every office
+    if (location) {
+      params.push(location.trim());
+      conditions.push(`(location IS NULL OR LOWER(location) = LOWER($${params.length}))`);
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM holidays
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY holiday_date
+    `, params);
+
+    res.json({ success: true, holidays: result.rows });
+  } catch (err) {
+    console.error('Error fetching holidays:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Create new holiday
+router.post('/', authorize('holidays:manage'), async (req, res) => {
+  try {
+    const { holiday_date, name, location, type = 'GAZETTED' } = req.body;
+
+    if (!validateDate(holiday_date)) {
+      return res.status(400).json({ success: false, message: 'Valid holiday date is required' });
+    }
+
+    if (!name || name.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Holiday name is required' });
+    }
+
+    if (!HOLIDAY_TYPES.includes(String(type).toUpperCase())) {
+      return res.status(400).json({ success: false, message: 'Type must be GAZETTED or RESTRICTED' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO holidays (holiday_date, name, location, type)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [
+      holiday_date,
+      sanitizeInput(name.trim()),
+      location ? sanitizeInput(location.trim()) : null,
+      String(type).toUpperCase()
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ success: false, message: 'A holiday of this type already exists on this date for this location' });
+    }
+
+    res.locals.audit = { action: 'holiday.create', entityId: result.rows[0].id, after: result.rows[0] };
+
+    res.status(201).json({ success: true, holiday: result.rows[0] });
+  } catch (err) {
+    console.error('Error creating holiday:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Update holiday
+router.put('/:holidayId', authorize('holidays:manage'), async (req, res) => {
+  try {
+    const { holidayId } = req.params;
+    const { holiday_date, name, location, type } = req.body;
+
+    const updateFields = [];
+    const updateValues = [];
+    let paramCount = 1;
+
+    if (holiday_date !== undefined) {
+      if (!validateDate(holiday_date)) {
+        return res.status(400).json({ success: false, message: 'Valid holiday date is required' });
+      }
+      updateFields.push(`holiday_date = $${paramCount++}`);
+      updateValues.push(holiday_date);
+    }
+
+    if (name !== undefined) {
+      if (!name || name.trim() === '') {
+        return res.status(400).json({ success: false, message: 'Holiday name is required' });
+      }
+      updateFields.push(`name = $${paramCount++}`);
+      updateValues.push(sanitizeInput(name.trim()));
+    }
+
+    if (location !== undefined) {
+      updateFields.push(`location = $${paramCount++}`);
+      updateValues.push(location ? sanitizeInput(location.trim()) : null);
+    }
+
+    if (type !== undefined) {
+      if (!HOLIDAY_TYPES.includes(String(type).toUpperCase())) {
+        return res.status(400).json({ success: false, message: 'Type must be GAZETTED or RESTRICTED' });
+      }
+      updateFields.push(`type = $${paramCount++}`);
+      updateValues.push(String(type).toUpperCase());
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No fields to update' });
+    }
+
+    updateValues.push(holidayId);
+
+    const previous = await pool.query('SELECT * FROM holidays WHERE id = $1', [holidayId]);
+
+    const result = await pool.query(`
+      UPDATE holidays
+      SET ${updateFields.join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `, updateValues);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Holiday not found' });
+    }
+
+    res.locals.audit = {
+      action: 'holiday.update',
+      entityId: result.rows[0].id,
+      before: previous.rows[0],
+      after: result.rows[0]
+    };
+
+    res.json({ success: true, holiday: result.rows[0] });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A holiday of this type already exists on this date for this location' });
+    }
+    console.error('Error updating holiday:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Delete holiday
+router.delete('/:holidayId', authorize('holidays:manage'), async (req, res) => {
+  try {
+    const { holidayId } = req.params;
+
+    const result = await pool.query('DELETE FROM holidays WHERE id = $1 RETURNING *', [holidayId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Holiday not found' });
+    }
+
+    res.locals.audit = { action: 'holiday.delete', entityId: result.rows[0].id, before: result.rows[0] };
+
+    res.json({ success: true, message: 'Holiday deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting holiday:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validateLeaveType, normalizeLeaveType, sanitizeInput } = require('../utils/validation');
+const { getLeaveType, isGenderEligible } = require('../utils/leaveTypes');
+const { LEDGER_ENTRY_TYPES, setLedgerBalance } = require('../utils/ledger');
+const { ACCRUAL_FREQUENCIES } = require('../config/accrual');
+
+const GENDERS = ['MALE', 'FEMALE', 'OTHER'];
+
+// Validate leave type attributes from a request body. Only attributes present are
+// checked and returned, so the same rules serve create and update.
+// Returns { fields } when valid, otherwise { error }.
+const parseLeaveTypeFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    if (!body.name || String(body.name).trim() === '') {
+      return { error: 'Leave type name is required' };
+    }
+    fields.name = sanitizeInput(String(body.name).trim());
+  }
+
+  for (const key of ['yearly_quota', 'max_per_request', 'max_carry_forward']) {
+    if (body[key] !== undefined) {
+      const value = Number(body[key]);
+      if (isNaN(value) || value < 0 || value > 365 || value * 2 !== Math.round(value * 2)) {
+        return { error: `${key} must be a number of days between 0 and 365, in half days` };
+      }
+      fields[key] = value;
+    }
+  }
+
+  for (const key of ['carry_forward', 'requires_document', 'is_active']) {
+    if (body[key] !== undefined) {
+      if (typeof body[key] !== 'boolean') {
+        return { error: `${key} must be true or false` };
+      }
+      fields[key] = body[key];
+    }
+  }
+
+  if (body.eligible_gender !== undefined) {
+    const gender = body.eligible_gender ? String(body.eligible_gender).toUpperCase().trim() : null;
+    if (gender !== null && !GENDERS.includes(gender)) {
+      return { error: `eligible_gender must be one of ${GENDERS.join(', ')} or null` };
+    }
+    fields.eligible_gender = gender;
+  }
+
+  if (body.accrual_frequency !== undefined) {
+    const frequency = String(body.accrual_frequency).toUpperCase().trim();
+    if (!Object.values(ACCRUAL_FREQUENCIES).includes(frequency)) {
+      return { error: `accrual_frequency must be one of ${Object.values(ACCRUAL_FREQUENCIES).join(', ')}` };
+    }
+    fields.accrual_frequency = frequency;
+  }
+
+  if (body.min_service_months !== undefined) {
+    const months = Number(body.min_service_months);
+    if (!Number.isInteger(months) || months < 0) {
+      return { error: 'min_service_months must be a whole number of months' };
+    }
+    fields.min_service_months = months;
+  }
+
+  return { fields };
+};
+
+// Get leave types (active only unless include_inactive=true)
+router.get('/', authorize('leave-types:read'), async (req, res) => {
+  try {
+    const includeInactive = req.query.include_inactive === 'true';
+
+    const result = await pool.query(`
+      SELECT * FROM leave_types
+      ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+      ORDER BY code
+    `);
+
+    res.json({ success: true, leave_types: result.rows });
+  } catch (err) {
+    console.error('Error fetching leave types:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get leave type by code
+router.get('/:code', authorize('leave-types:read'), async (req, res) => {
+  try {
+    const leaveType = await getLeaveType(normalizeLeaveType(req.params.code), { activeOnly: false });
+
+    if (!leaveType) {
+      return res.status(404).json({ success: false, message: 'Leave type not found' });
+    }
+
+    res.json({ success: true, leave_type: leaveType });
+  } catch (err) {
+    console.error('Error fetching leave type:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Create new leave type and open its balance for every eligible employee
+router.post('/', authorize('leave-types:manage'), async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!validateLeaveType(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave type code must be 1-10 letters, digits or underscores'
+      });
+    }
+
+    if (req.body.name === undefined) {
+      return res.status(400).json({ success: false, message: 'Leave type name is required' });
+    }
+
+    const { fields, error } = parseLeaveTypeFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const columns = ['code', ...Object.keys(fields)];
+    const values = [normalizeLeaveType(code), ...Object.values(fields)];
+
+    const client = await pool.connect();
+    let leaveType;
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        INSERT INTO leave_types (${columns.join(', ')})
+        VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})
+        ON CONFLICT (code) DO NOTHING
+        RETURNING *
+      `, values);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: 'A leave type with this code already exists' });
+      }
+      leaveType = result.rows[0];
+
+      if (leaveType.is_active) {
+        const employees = await client.query('SELECT employee_id, gender FROM employees');
+        for (const employee of employees.rows) {
+          if (isGenderEligible(leaveType, employee)) {
+            await setLedgerBalance(client, employee.employee_id, leaveType.code, leaveType.yearly_quota, {
+              entryType: LEDGER_ENTRY_TYPES.OPENING,
+              actorId: req.user.employee_id
+            });
+          }
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    res.locals.audit = { action: 'leave_type.create', entityId: leaveType.code, after: leaveType };
+
+    res.status(201).json({ success: true, leave_type: leaveType });
+  } catch (err) {
+    console.error('Error creating leave type:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Update leave type
+router.put('/:code', authorize('leave-types:manage'), async (req, res) => {
+  try {
+    const code = normalizeLeaveType(req.params.code);
+
+    if (req.body.code !== undefined && normalizeLeaveType(req.body.code) !== code) {
+      return res.status(400).json({ success: false, message: 'Leave type code cannot be changed' });
+    }
+
+    const { fields, error } = parseLeaveTypeFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const updateFields = Object.keys(fields).map((key, i) => `${key} = $${i + 1}`);
+    const updateValues = Object.values(fields);
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ success: false, message: 'No fields to update' });
+    }
+
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateValues.push(code);
+
+    const before = await getLeaveType(code, { activeOnly: false });
+
+    const result = await pool.query(`
+      UPDATE leave_types
+      SET ${updateFields.join(', ')}
+      WHERE code = $${updateValues.length}
+      RETURNING *
+    `, updateValues);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Leave type not found' });
+    }
+
+    res.locals.audit = { action: 'leave_type.update', entityId: code, before, after: result.rows[0] };
+
+    res.json({ success: true, leave_type: result.rows[0] });
+  } catch (err) {
+    console.error('Error updating leave type:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Deactivate leave type. Leaves and balances already recorded against it are kept.
+router.delete('/:code', authorize('leave-types:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE leave_types
+      SET is_active = FALSE, updated_at = CURRENT_TIMESTAMP
+      WHERE code = $1
+      RETURNING *
+    `, [normalizeLeaveType(req.params.code)]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Leave type not found' });
+    }
+
+    res.locals.audit = { action: 'leave_type.deactivate', entityId: result.rows[0].code, after: result.rows[0] };
+
+    res.json({ success: true, message: 'Leave type deactivated successfully', leave_type: result.rows[0] });
+  } catch (err) {
+    console.error('Error deactivating leave type:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -2,42 +2,82 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const pool = require('../config/database');
 const { 
   validateLeaveType, 
   validateDateRange, 
-  calculateLeaveDays, 
   normalizeLeaveType,
   validateLeaveDays,
+  normalizeLeaveSession,
+  validateLeaveSessions,
   validateEmployeeId,
+  validateDate,
   sanitizeInput
 } = require('../utils/validation');
+const { authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { isSelf, canAccessEmployee, scopeCondition } = require('../utils/access');
+const { SCOPES } = require('../config/permissions');
+const { RH_YEARLY_QUOTA } = require('../config/leaveCalendar');
+const {
+  toDateKey,
+  eachDateKey,
+  isWorkingDay,
+  calculateChargeableDays,
+  sessionSlots,
+  countRestrictedHolidaysTaken,
+  checkRestrictedHolidayQuota,
+  checkRestrictedHolidayRequest
+} = require('../utils/calendar');
+const {
+  pendingStatusForLevel,
+  isPendingStatus,
+  buildApprovalChain,
+  createApprovalSteps,
+  getApprovalSteps
+} = require('../utils/approvals');
+const { getLeaveType, checkEligibility, getBalance } = require('../utils/leaveTypes');
+const { LEDGER_ENTRY_TYPES, postLedgerEntry } = require('../utils/ledger');
+const { parsePagination, parseSort, parseList, paginationInfo } = require('../utils/pagination');
+const { toCsv } = require('../utils/csv');
+const { checkStaffing, lockDepartmentStaffing } = require('../utils/staffing');
+const { renderTablePdf } = require('../utils/pdf');
+const { LEAVE_EVENTS, emitLeaveEvent } = require('../utils/leaveEvents');
+const {
+  documentContentType,
+  storeDocument,
+  sendDocument,
+  removeDocument,
+  uploadedFileName,
+  signDocumentUrl
+} = require('../utils/storage');
+const { DOCUMENT_CONTENT_TYPES } = require('../config/storage');
 
-// Multer config for leave documents
-const leaveDocsStorage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const dir = path.join(__dirname, '..', 'uploads', 'leave_docs');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    cb(null, dir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + '-' + file.originalname);
-  }
-});
+// Storage folder of supporting documents
+const LEAVE_DOCUMENT_FOLDER = 'leave_docs';
 
+// Approvers assigned to any level of a leave may view it even outside their team
+const isAssignedApprover = async (leaveId, user) => {
+  const result = await pool.query(
+    'SELECT 1 FROM leave_approvals WHERE leave_id = $1 AND approver_id = $2',
+    [leaveId, user.employee_id]
+  );
+  return result.rows.length > 0;
+};
+
+// Multer config for leave documents. Files are held in memory and only stored once the
+// request is valid (see utils/storage.js).
 const uploadLeaveDoc = multer({ 
-  storage: leaveDocsStorage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB
   },
+  // The extension must be a known document type, and the client's content type must be
+  // exactly that type
   fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+    const expectedType = DOCUMENT_CONTENT_TYPES[path.extname(file.originalname).toLowerCase()];
     
-    if (mimetype && extname) {
+    if (expectedType && file.mimetype === expectedType) {
       return cb(null, true);
     } else {
       cb(new Error('Only image, PDF and document files are allowed'));
@@ -45,35 +85,242 @@ const uploadLeaveDoc = multer({
   }
 });
 
-// Get all leaves
-router.get('/', async (req, res) => {
+// Sortable fields of the leave listing
+const LEAVE_SORT_COLUMNS = {
+  created_at: 'l.created_at',
+  start_date: 'l.start_date',
+  end_date: 'l.end_date',
+  days: 'l.days',
+  status: 'l.status',
+  leave_type: 'l.leave_type',
+  employee_name: 'e.full_name'
+};
+
+// Build the WHERE conditions of a leave listing (aliases l = leaves, e = employees)
+// from query filters, restricted to the caller's scope. Appends parameters to `params`.
+// Returns { conditions } when valid, otherwise { error }.
+const buildLeaveFilters = (req, params) => {
+  const { status, leave_type, department, employee_id, approver_id, month } = req.query;
+  let { from, to } = req.query;
+  const conditions = [scopeCondition(req.scope, req.user, 'l.employee_id', params)];
+
+  // Comma-separated, e.g. status=PENDING,PENDING_L2
+  if (status) {
+    params.push(parseList(status));
+    conditions.push(`l.status = ANY($${params.length})`);
+  }
+
+  if (leave_type) {
+    params.push(parseList(leave_type));
+    conditions.push(`l.leave_type = ANY($${params.length})`);
+  }
+
+  if (department) {
+    params.push(department.trim());
+    conditions.push(`LOWER(e.department) = LOWER($${params.length})`);
+  }
+
+  if (employee_id) {
+    params.push(employee_id.trim());
+    conditions.push(`LOWER(l.employee_id) = LOWER($${params.length})`);
+  }
+
+  // Leaves with the given employee assigned to any approval level
+  if (approver_id) {
+    params.push(approver_id.trim());
+    conditions.push(`EXISTS (
+      SELECT 1 FROM leave_approvals a
+      WHERE a.leave_id = l.id AND LOWER(a.approver_id) = LOWER($${params.length})
+    )`);
+  }
+
+  // month=YYYY-MM is shorthand for the range covering that calendar month
+  if (month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return { error: 'Month must be YYYY-MM' };
+    }
+    const [year, monthNumber] = month.split('-').map(Number);
+    from = `${month}-01`;
+    to = toDateKey(new Date(year, monthNumber, 0));
+  }
+
+  // Leaves overlapping the date range
+  if (from) {
+    if (!validateDate(from)) {
+      return { error: 'From must be a YYYY-MM-DD date' };
+    }
+    params.push(from);
+    conditions.push(`l.end_date >= $${params.length}`);
+  }
+
+  if (to) {
+    if (!validateDate(to)) {
+      return { error: 'To must be a YYYY-MM-DD date' };
+    }
+    params.push(to);
+    conditions.push(`l.start_date <= $${params.length}`);
+  }
+
+  return { conditions };
+};
+
+// Get leaves, filtered, sorted and paginated
+router.get('/', authorize('leaves:read'), async (req, res) => {
   try {
+    const params = [];
+    const filters = buildLeaveFilters(req, params);
+    if (filters.error) {
+      return res.status(400).json({ success: false, message: filters.error });
+    }
+    const { conditions } = filters;
+
+    const { orderBy, error } = parseSort(req.query, LEAVE_SORT_COLUMNS, {
+      defaultSort: 'created_at',
+      defaultOrder: 'desc',
+      tieBreaker: 'l.id'
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const pagination = parsePagination(req.query);
+    const fromClause = `
+      FROM leaves l
+      JOIN employees e ON l.employee_id = e.employee_id
+      WHERE ${conditions.join(' AND ')}
+    `;
+
+    const countResult = await pool.query(`SELECT COUNT(*) AS total ${fromClause}`, params);
+
     const result = await pool.query(`
       SELECT 
         l.*,
         e.full_name as employee_name,
         e.department,
         e.position
-      FROM leaves l
-      JOIN employees e ON l.employee_id = e.employee_id
-      ORDER BY l.created_at DESC
-    `);
+      ${fromClause}
+      ORDER BY ${orderBy}
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
     
-    res.json({ success: true, leaves: result.rows });
+    res.json({
+      success: true,
+      leaves: result.rows,
+      pagination: paginationInfo(parseInt(countResult.rows[0].total), pagination)
+    });
   } catch (err) {
     console.error('Error fetching leaves:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// Columns of the exported leave register
+const LEAVE_REGISTER_COLUMNS = [
+  { header: 'Employee ID', width: 55, value: leave => leave.employee_id },
+  { header: 'Employee Name', width: 90, value: leave => leave.employee_name },
+  { header: 'Designation', width: 75, value: leave => leave.position },
+  { header: 'Department', width: 70, value: leave => leave.department },
+  { header: 'Leave Type', width: 35, value: leave => leave.leave_type },
+  { header: 'From', width: 55, value: leave => toDateKey(leave.start_date) },
+  { header: 'To', width: 55, value: leave => toDateKey(leave.end_date) },
+  { header: 'Days', width: 30, value: leave => leave.days },
+  { header: 'Status', width: 60, value: leave => leave.status },
+  { header: 'Approver', width: 85, value: leave => leave.approver_name },
+  { header: 'Applied On', width: 55, value: leave => toDateKey(leave.created_at) },
+  { header: 'Reason', width: 116, value: leave => leave.reason }
+];
+
+const MAX_EXPORT_ROWS = 10000;
+
+// Export the leave register as CSV or a printable PDF, with the listing's filters
+// (department, leave_type, status, employee_id, approver_id, from/to or month)
+router.get('/export', authorize('leaves:export'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'Format must be csv or pdf' });
+    }
+
+    const params = [];
+    const filters = buildLeaveFilters(req, params);
+    if (filters.error) {
+      return res.status(400).json({ success: false, message: filters.error });
+    }
+
+    // The approver is whoever made the final decision, or the approver of the level
+    // the leave is waiting on
+    const result = await pool.query(`
+      SELECT 
+        l.*,
+        e.full_name as employee_name,
+        e.department,
+        e.position,
+        COALESCE(ab.full_name, (
+          SELECT COALESCE(ae.full_name, a.approver_role)
+          FROM leave_approvals a
+          LEFT JOIN employees ae ON a.approver_id = ae.employee_id
+          WHERE a.leave_id = l.id AND a.status = 'PENDING'
+          ORDER BY a.level
+          LIMIT 1
+        )) as approver_name
+      FROM leaves l
+      JOIN employees e ON l.employee_id = e.employee_id
+      LEFT JOIN employees ab ON l.approved_by = ab.employee_id
+      WHERE ${filters.conditions.join(' AND ')}
+      ORDER BY e.department, e.full_name, l.start_date
+      LIMIT $${params.length + 1}
+    `, [...params, MAX_EXPORT_ROWS + 1]);
+
+    if (result.rows.length > MAX_EXPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The export is limited to ${MAX_EXPORT_ROWS} leaves; narrow the filters`
+      });
+    }
+
+    const { department, leave_type, status, month, from, to } = req.query;
+    const period = month || (from || to ? `${from || '...'} to ${to || '...'}` : 'All dates');
+    const fileName = `leave-register-${month || toDateKey(new Date())}.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      return res.send(toCsv(LEAVE_REGISTER_COLUMNS, result.rows));
+    }
+
+    res.type('application/pdf');
+    renderTablePdf(res, {
+      title: 'Leave Register',
+      subtitle: [
+        `Period: ${period}`,
+        department ? `Department: ${department}` : null,
+        leave_type ? `Leave type: ${leave_type}` : null,
+        status ? `Status: ${status}` : null,
+        `Leaves: ${result.rows.length}`,
+        `Generated: ${new Date().toLocaleString('en-IN')}`
+      ].filter(Boolean).join('   |   '),
+      columns: LEAVE_REGISTER_COLUMNS,
+      rows: result.rows
+    });
+  } catch (err) {
+    console.error('Error exporting leave register:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Get leaves by employee ID
-router.get('/employee/:employeeId', async (req, res) => {
+router.get('/employee/:employeeId', authorize('leaves:read'), async (req, res) => {
   try {
     const { employeeId } = req.params;
     
     if (!validateEmployeeId(employeeId)) {
       return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
     }
+
+    if (!await canAccessEmployee(req.scope, req.user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee\'s leaves' });
+    }
     
     const result = await pool.query(`
       SELECT 
@@ -94,8 +341,240 @@ router.get('/employee/:employeeId', async (req, res) => {
   }
 });
 
+// Get restricted holidays still available to an employee in a year
+router.get('/employee/:employeeId/rh-available', authorize('leaves:read'), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    const year = req.query.year ? parseInt(req.query.year) : new Date().getFullYear();
+
+    if (!validateEmployeeId(employeeId)) {
+      return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
+    }
+
+    if (isNaN(year)) {
+      return res.status(400).json({ success: false, message: 'Year must be a number' });
+    }
+
+    if (!await canAccessEmployee(req.scope, req.user, employeeId)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this employee\'s leaves' });
+    }
+
+    const employeeResult = await pool.query(
+      'SELECT employee_id, location FROM employees WHERE LOWER(employee_id) = LOWER($1)',
+      [employeeId.trim()]
+    );
+
+    if (employeeResult.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const employee = employeeResult.rows[0];
+
+    // Future RH dates for the employee's office that are not already covered by a leave
+    const result = await pool.query(`
+      SELECT h.id, h.holiday_date, h.name, h.location
+      FROM holidays h
+      WHERE h.type = 'RESTRICTED'
+      AND EXTRACT(YEAR FROM h.holiday_date) = $1
+      AND h.holiday_date >= CURRENT_DATE
+      AND (h.location IS NULL OR LOWER(h.location) = LOWER($2))
+      AND NOT EXISTS (
+        SELECT 1 FROM leaves l
+        WHERE l.employee_id = $3
+        AND l.status NOT IN ('REJECTED', 'CANCELLED')
+        AND h.holiday_date BETWEEN l.start_date AND l.end_date
+      )
+      ORDER BY h.holiday_date
+    `, [year, employee.location || null, employee.employee_id]);
+
+    const used = await countRestrictedHolidaysTaken(employee.employee_id, year);
+
+    res.json({
+      success: true,
+      year,
+      quota: RH_YEARLY_QUOTA,
+      used,
+      remaining: Math.max(0, RH_YEARLY_QUOTA - used),
+      holidays: result.rows
+    });
+  } catch (err) {
+    console.error('Error fetching available restricted holidays:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get leaves waiting on the caller's approval
+router.get('/approvals/pending', authorize('leaves:approve'), async (req, res) => {
+  try {
+    // HR and system admins also pick up levels with no resolvable approver
+    const result = await pool.query(`
+      SELECT 
+        l.*,
+        e.full_name as employee_name,
+        e.department,
+        e.position,
+        a.level as approval_level,
+        a.approver_role
+      FROM leave_approvals a
+      JOIN leaves l ON a.leave_id = l.id
+      JOIN employees e ON l.employee_id = e.employee_id
+      WHERE a.status = 'PENDING'
+      AND l.status = CASE WHEN a.level = 1 THEN 'PENDING' ELSE 'PENDING_L' || a.level END
+      AND l.employee_id != $1
+      AND (a.approver_id = $1 OR ($2 AND a.approver_id IS NULL))
+      ORDER BY l.created_at
+    `, [req.user.employee_id, req.scope === SCOPES.ALL]);
+
+    res.json({ success: true, leaves: result.rows });
+  } catch (err) {
+    console.error('Error fetching pending approvals:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+const MAX_AVAILABILITY_DAYS = 92;
+
+// Session an employee is away for on one date of a leave
+const sessionOnDate = (leave, dateKey) => {
+  if (dateKey === toDateKey(leave.start_date) && leave.start_session !== 'FULL') return leave.start_session;
+  if (dateKey === toDateKey(leave.end_date) && leave.end_session !== 'FULL') return leave.end_session;
+  return 'FULL';
+};
+
+// Day-by-day availability of a department or a manager's team: who is on leave each
+// day, and how many of those due at work are present. Approved leaves are always
+// counted; pending ones too with include_pending=true.
+router.get('/availability', authorize('leaves:availability'), async (req, res) => {
+  try {
+    const { department, manager_id } = req.query;
+    const includePending = req.query.include_pending === 'true';
+    const from = req.query.from || toDateKey(new Date());
+    if (!validateDate(from)) {
+      return res.status(400).json({ success: false, message: 'From and to must be YYYY-MM-DD dates' });
+    }
+
+    // A week from `from` unless given
+    const to = req.query.to || new Date(Date.parse(from) + 6 * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+
+    if (!validateDate(to)) {
+      return res.status(400).json({ success: false, message: 'From and to must be YYYY-MM-DD dates' });
+    }
+
+    const dateKeys = eachDateKey(from, to);
+    if (dateKeys.length === 0 || dateKeys.length > MAX_AVAILABILITY_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `The range must run forwards and cover at most ${MAX_AVAILABILITY_DAYS} days`
+      });
+    }
+
+    // Managers default to their own team; HR and system admins must pick a group
+    const teamManager = manager_id || (!department && req.scope === SCOPES.TEAM ? req.user.employee_id : null);
+    if (!department && !teamManager) {
+      return res.status(400).json({ success: false, message: 'A department or manager_id is required' });
+    }
+
+    const params = [];
+    const conditions = [scopeCondition(req.scope, req.user, 'e.employee_id', params)];
+
+    if (department) {
+      params.push(department.trim());
+      conditions.push(`LOWER(e.department) = LOWER($${params.length})`);
+    }
+
+    // A manager's team is the manager and their direct reports
+    if (teamManager) {
+      params.push(teamManager.trim());
+      conditions.push(`(LOWER(e.manager_id) = LOWER($${params.length}) OR LOWER(e.employee_id) = LOWER($${params.length}))`);
+    }
+
+    const employees = (await pool.query(`
+      SELECT e.employee_id, e.full_name, e.department, e.position, e.location
+      FROM employees e
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY e.full_name
+    `, params)).rows;
+
+    const employeeIds = employees.map(employee => employee.employee_id);
+    const statuses = includePending ? "l.status = 'APPROVED' OR l.status LIKE 'PENDING%'" : "l.status = 'APPROVED'";
+
+    const leaves = (await pool.query(`
+      SELECT l.id, l.employee_id, l.leave_type, l.status, l.start_date, l.end_date, l.start_session, l.end_session
+      FROM leaves l
+      WHERE l.employee_id = ANY($1)
+      AND (${statuses})
+      AND l.start_date <= $3 AND l.end_date >= $2
+      ORDER BY l.start_date
+    `, [employeeIds, from, to])).rows;
+
+    const holidays = (await pool.query(`
+      SELECT holiday_date::text AS holiday_date, name, location
+      FROM holidays
+      WHERE type = 'GAZETTED' AND holiday_date BETWEEN $1 AND $2
+      ORDER BY holiday_date
+    `, [from, to])).rows;
+
+    // Holidays observed at each employee's office (a holiday without a location applies everywhere)
+    const holidayKeysFor = (employee) => new Set(holidays
+      .filter(holiday => !holiday.location || (employee.location || '').toLowerCase() === holiday.location.toLowerCase())
+      .map(holiday => holiday.holiday_date));
+    const employeeHolidays = new Map(employees.map(employee => [employee.employee_id, holidayKeysFor(employee)]));
+    const names = new Map(employees.map(employee => [employee.employee_id, employee.full_name]));
+
+    const days = dateKeys.map(dateKey => {
+      const due = employees.filter(employee => isWorkingDay(dateKey, employeeHolidays.get(employee.employee_id)));
+      const dueIds = new Set(due.map(employee => employee.employee_id));
+
+      const absent = leaves
+        .filter(leave => toDateKey(leave.start_date) <= dateKey && toDateKey(leave.end_date) >= dateKey)
+        .map(leave => ({
+          employee_id: leave.employee_id,
+          employee_name: names.get(leave.employee_id),
+          leave_id: leave.id,
+          leave_type: leave.leave_type,
+          status: leave.status,
+          session: sessionOnDate(leave, dateKey)
+        }));
+
+      // A half-day absence leaves the employee present for the other half
+      const awayByEmployee = new Map();
+      for (const absence of absent.filter(absence => dueIds.has(absence.employee_id))) {
+        const away = (awayByEmployee.get(absence.employee_id) || 0) + (absence.session === 'FULL' ? 1 : 0.5);
+        awayByEmployee.set(absence.employee_id, Math.min(away, 1));
+      }
+      const onLeave = [...awayByEmployee.values()].reduce((sum, away) => sum + away, 0);
+
+      return {
+        date: dateKey,
+        holidays: holidays
+          .filter(holiday => holiday.holiday_date === dateKey)
+          .map(({ name, location }) => ({ name, location })),
+        headcount: employees.length,
+        due: due.length,
+        on_leave: onLeave,
+        present: due.length - onLeave,
+        absent
+      };
+    });
+
+    res.json({
+      success: true,
+      from,
+      to,
+      department: department || null,
+      manager_id: teamManager || null,
+      include_pending: includePending,
+      employees,
+      days
+    });
+  } catch (err) {
+    console.error('Error fetching team availability:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Get leave by ID
-router.get('/:leaveId', async (req, res) => {
+router.get('/:leaveId', authorize('leaves:read'), async (req, res) => {
   try {
     const { leaveId } = req.params;
     
@@ -113,22 +592,107 @@ router.get('/:leaveId', async (req, res) => {
     if (result.rows.length === 0) {
       return res.status(404).json({ success: false, message: 'Leave not found' });
     }
+
+    const leave = result.rows[0];
+
+    if (!await canAccessEmployee(req.scope, req.user, leave.employee_id)
+      && !await isAssignedApprover(leave.id, req.user)) {
+      return res.status(403).json({ success: false, message: 'You do not have access to this leave' });
+    }
+
+    leave.approvals = await getApprovalSteps(leave.id);
+    leave.cancellations = (await pool.query(
+      'SELECT * FROM leave_cancellations WHERE leave_id = $1 ORDER BY created_at',
+      [leave.id]
+    )).rows;
     
-    res.json({ success: true, leave: result.rows[0] });
+    res.json({ success: true, leave });
   } catch (err) {
     console.error('Error fetching leave:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// The leave whose document the caller asks for, if they may view the leave and it has
+// one. Returns { leave } or { status, error }.
+const getDocumentLeave = async (req, leaveId) => {
+  const result = await pool.query(
+    'SELECT id, employee_id, document_path, document_name FROM leaves WHERE id = $1',
+    [leaveId]
+  );
+  const leave = result.rows[0];
+
+  if (!leave) {
+    return { status: 404, error: 'Leave not found' };
+  }
+
+  if (!await canAccessEmployee(req.scope, req.user, leave.employee_id)
+    && !await isAssignedApprover(leave.id, req.user)) {
+    return { status: 403, error: 'You do not have access to this leave' };
+  }
+
+  if (!leave.document_path) {
+    return { status: 404, error: 'This leave has no supporting document' };
+  }
+
+  return { leave };
+};
+
+// Download the supporting document of a leave
+router.get('/:leaveId/document', authorize('leaves:read'), async (req, res) => {
+  try {
+    const { leave, status, error } = await getDocumentLeave(req, req.params.leaveId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const sent = await sendDocument(res, leave.document_path, { filename: leave.document_name });
+    if (!sent) {
+      return res.status(404).json({ success: false, message: 'Document file not found' });
+    }
+  } catch (err) {
+    console.error('Error fetching leave document:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get a time-limited URL to the supporting document of a leave, e.g. for an <img> or
+// <a href> that cannot send an Authorization header
+router.get('/:leaveId/document/url', authorize('leaves:read'), async (req, res) => {
+  try {
+    const { leave, status, error } = await getDocumentLeave(req, req.params.leaveId);
+    if (error) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    const signed = await signDocumentUrl(leave.document_path, {
+      filename: leave.document_name,
+      localUrl: `${req.protocol}://${req.get('host')}/api/documents/leaves/${leave.id}`
+    });
+
+    res.json({ success: true, ...signed });
+  } catch (err) {
+    console.error('Error signing leave document URL:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Current row of a leave, for audit snapshots
+const getLeaveSnapshot = async (leaveId, client = pool) => {
+  const result = await client.query('SELECT * FROM leaves WHERE id = $1', [leaveId]);
+  return result.rows[0] || null;
+};
+
 // Create new leave request
-router.post('/', uploadLeaveDoc.single('document'), async (req, res) => {
+router.post('/', authorize('leaves:create'), uploadLeaveDoc.single('document'), async (req, res) => {
   try {
     const { 
-      employee_id, 
+      employee_id = req.user.employee_id, 
       leave_type, 
       start_date, 
       end_date, 
+      start_session,
+      end_session,
       reason 
     } = req.body;
 
@@ -136,9 +700,18 @@ router.post('/', uploadLeaveDoc.single('document'), async (req, res) => {
     if (!validateEmployeeId(employee_id)) {
       return res.status(400).json({ success: false, message: 'Valid employee ID is required' });
     }
+
+    if (!await canAccessEmployee(req.scope, req.user, employee_id)) {
+      return res.status(403).json({ success: false, message: 'You can only apply for leave for yourself' });
+    }
     
     if (!validateLeaveType(leave_type)) {
-      return res.status(400).json({ success: false, message: 'Valid leave type is required (CL, RH, EL)' });
+      return res.status(400).json({ success: false, message: 'Valid leave type is required' });
+    }
+
+    const leaveType = await getLeaveType(normalizeLeaveType(leave_type));
+    if (!leaveType) {
+      return res.status(400).json({ success: false, message: `Unknown or inactive leave type: ${leave_type}` });
     }
     
     if (!start_date || !end_date) {
@@ -149,6 +722,17 @@ router.post('/', uploadLeaveDoc.single('document'), async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid date range' });
     }
     
+    // Half-day sessions; a single-day leave uses the start session for the whole leave
+    const startSession = normalizeLeaveSession(start_session);
+    const endSession = start_date === end_date ? startSession : normalizeLeaveSession(end_session);
+
+    if (!validateLeaveSessions(start_date, end_date, startSession, endSession)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid sessions. Multi-day leaves may start in the SECOND_HALF and end in the FIRST_HALF.'
+      });
+    }
+
     if (!reason || reason.trim() === '') {
       return res.status(400).json({ success: false, message: 'Reason is required' });
     }
@@ -164,79 +748,410 @@ router.post('/', uploadLeaveDoc.single('document'), async (req, res) => {
     }
 
     const employee = employeeCheck.rows[0];
-    const days = calculateLeaveDays(start_date, end_date);
+
+    const ineligibility = checkEligibility(leaveType, employee);
+    if (ineligibility) {
+      return res.status(400).json({ success: false, message: ineligibility });
+    }
+
+    if (leaveType.requires_document && !req.file) {
+      return res.status(400).json({ success: false, message: `${leaveType.name} requires a supporting document` });
+    }
+
+    let days;
+
+    if (leaveType.code === 'RH') {
+      if (startSession !== 'FULL' || endSession !== 'FULL') {
+        return res.status(400).json({ success: false, message: 'Restricted holidays must be taken as full days' });
+      }
+
+      // RH may only be taken on dates from the official restricted holiday list
+      const rhCheck = await checkRestrictedHolidayRequest(employee, start_date, end_date);
+      if (rhCheck.error) {
+        return res.status(400).json({ success: false, message: rhCheck.error });
+      }
+      days = rhCheck.days;
+    } else {
+      days = await calculateChargeableDays(start_date, end_date, leaveType.code, employee.location, {
+        startSession,
+        endSession
+      });
+
+      if (days === 0) {
+        return res.status(400).json({ success: false, message: 'Leave range contains no working days' });
+      }
+    }
     
-    if (!validateLeaveDays(days, leave_type)) {
-      return res.status(400).json({ success: false, message: 'Leave days exceed maximum limit' });
+    if (!validateLeaveDays(days, leaveType.max_per_request)) {
+      return res.status(400).json({
+        success: false,
+        message: `Leave days exceed the ${leaveType.code} limit of ${leaveType.max_per_request} days per request`
+      });
     }
 
     // Check leave balance
-    const balanceField = `${leave_type.toLowerCase()}_balance`;
-    if (employee[balanceField] < days) {
+    const balance = await getBalance(employee.employee_id, leaveType.code);
+    if (balance < days) {
       return res.status(400).json({ 
         success: false, 
-        message: `Insufficient ${leave_type} balance. Available: ${employee[balanceField]}, Requested: ${days}` 
+        message: `Insufficient ${leaveType.code} balance. Available: ${balance}, Requested: ${days}` 
       });
     }
 
-    // Check for overlapping leaves
+    // Check for overlapping leaves, comparing half-day slots so that a forenoon and an
+    // afternoon leave on the same date do not clash
+    const [startSlot, endSlot] = sessionSlots(start_date, end_date, startSession, endSession);
     const overlappingLeaves = await pool.query(`
       SELECT * FROM leaves 
       WHERE employee_id = $1 
-      AND status != 'REJECTED'
-      AND (
-        (start_date <= $2 AND end_date >= $2) OR
-        (start_date <= $3 AND end_date >= $3) OR
-        (start_date >= $2 AND end_date <= $3)
-      )
-    `, [employee_id.trim(), start_date, end_date]);
+      AND status NOT IN ('REJECTED', 'CANCELLED')
+      AND (start_date - DATE '2000-01-01') * 2
+        + CASE WHEN start_session = 'SECOND_HALF' THEN 1 ELSE 0 END <= $3
+      AND (end_date - DATE '2000-01-01') * 2
+        + CASE WHEN end_session = 'FIRST_HALF' THEN 0 ELSE 1 END >= $2
+    `, [employee_id.trim(), startSlot, endSlot]);
     
     if (overlappingLeaves.rows.length > 0) {
       return res.status(400).json({ success: false, message: 'Leave request overlaps with existing approved/pending leaves' });
     }
 
-    // Insert leave request
-    const documentPath = req.file ? req.file.path.replace(/\\/g, '/') : null;
-    
-    const result = await pool.query(`
-      INSERT INTO leaves (
-        employee_id, leave_type, start_date, end_date, days, reason, document_path
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
-    `, [
-      employee_id.trim(),
-      normalizeLeaveType(leave_type),
+    // Staffing rules are enforced at approval, where an approver may override them. Filing
+    // a leave that already conflicts needs acknowledge_conflicts=true.
+    const staffingConflicts = await checkStaffing(employee, {
       start_date,
       end_date,
-      days,
-      sanitizeInput(reason.trim()),
-      documentPath
-    ]);
+      start_session: startSession,
+      end_session: endSession
+    });
+    const acknowledged = [true, 'true'].includes(req.body.acknowledge_conflicts);
+    if (staffingConflicts.length > 0 && !acknowledged) {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave conflicts with department staffing rules; resend with acknowledge_conflicts=true to apply anyway',
+        conflicts: staffingConflicts
+      });
+    }
+
+    // Insert leave request
+    const documentPath = req.file ? await storeDocument(LEAVE_DOCUMENT_FOLDER, req.file) : null;
+
+    const client = await pool.connect();
+    let leave;
+    try {
+      await client.query('BEGIN');
+
+      // Concurrent RH requests of one employee are serialised on the employee's row, so
+      // each sees the others' dates when the quota is checked again
+      if (leaveType.code === 'RH') {
+        await client.query('SELECT 1 FROM employees WHERE employee_id = $1 FOR UPDATE', [employee.employee_id]);
+
+        const quotaError = await checkRestrictedHolidayQuota(employee.employee_id, start_date, end_date, client);
+        if (quotaError) {
+          await client.query('ROLLBACK');
+          if (documentPath) {
+            await removeDocument(documentPath).catch(err => console.error('Error deleting leave document:', err));
+          }
+          return res.status(400).json({ success: false, message: quotaError });
+        }
+      }
 
-    res.status(201).json({ success: true, leave: result.rows[0] });
+      const result = await client.query(`
+        INSERT INTO leaves (
+          employee_id, leave_type, start_date, end_date, start_session, end_session,
+          days, reason, document_path, document_name, document_type
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        employee.employee_id,
+        leaveType.code,
+        start_date,
+        end_date,
+        startSession,
+        endSession,
+        days,
+        sanitizeInput(reason.trim()),
+        documentPath,
+        req.file ? uploadedFileName(req.file) : null,
+        req.file ? documentContentType(req.file.originalname) : null
+      ]);
+
+      leave = result.rows[0];
+      const chain = await buildApprovalChain(employee, leave.leave_type, leave.days);
+      leave.approvals = await createApprovalSteps(leave.id, chain, client);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    leave.staffing_conflicts = staffingConflicts;
+
+    res.locals.audit = { action: 'leave.create', entityId: leave.id, after: leave };
+    emitLeaveEvent(LEAVE_EVENTS.SUBMITTED, { leave, approvals: leave.approvals, actorId: req.user.employee_id });
+
+    res.status(201).json({ success: true, leave });
   } catch (err) {
     console.error('Error creating leave request:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Update leave status (approve/reject)
-router.put('/:leaveId/status', async (req, res) => {
+// Act on the current approval level of a leave (approve/reject). The decision runs in
+// one transaction holding row locks on the leave and the applicant, so concurrent
+// decisions on the same leave, or on two leaves of the same employee, are serialised
+// and the balance is re-checked against its committed value. Approvals are also checked
+// against department staffing rules; an approver may override a conflict by giving an
+// override_reason, which is recorded on the leave.
+router.put('/:leaveId/status', authorize('leaves:approve'), idempotent, async (req, res) => {
   try {
     const { leaveId } = req.params;
-    const { status, approved_by } = req.body;
+    const { status, remarks, override_reason } = req.body;
+    const actedBy = req.user.employee_id;
+    const overrideReason = override_reason ? sanitizeInput(String(override_reason).trim()) : '';
 
     if (!['APPROVED', 'REJECTED'].includes(status)) {
       return res.status(400).json({ success: false, message: 'Status must be APPROVED or REJECTED' });
     }
 
-    if (!approved_by) {
-      return res.status(400).json({ success: false, message: 'Approver ID is required' });
+    if (remarks !== undefined && remarks !== null && typeof remarks !== 'string') {
+      return res.status(400).json({ success: false, message: 'Remarks must be a string' });
+    }
+
+    const client = await pool.connect();
+    let before, after, currentStep, nextStep;
+    let staffingConflicts = [];
+    try {
+      await client.query('BEGIN');
+
+      // Get leave details, locking the leave and the applicant
+      const leaveResult = await client.query(`
+        SELECT l.*, e.manager_id, e.department, e.location
+        FROM leaves l
+        JOIN employees e ON l.employee_id = e.employee_id
+        WHERE l.id = $1
+        FOR UPDATE
+      `, [leaveId]);
+
+      if (leaveResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'Leave not found' });
+      }
+
+      const leave = leaveResult.rows[0];
+
+      if (isSelf(req.user, leave.employee_id)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'You cannot approve or reject your own leave' });
+      }
+
+      if (!isPendingStatus(leave.status)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'Leave is not in pending status' });
+      }
+
+      // Leaves filed before approval chains existed get their chain on first action
+      let steps = await getApprovalSteps(leave.id, client);
+      if (steps.length === 0) {
+        const chain = await buildApprovalChain(leave, leave.leave_type, leave.days);
+        steps = await createApprovalSteps(leave.id, chain, client);
+      }
+
+      currentStep = steps.find(step => step.status === 'PENDING');
+      if (!currentStep) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ success: false, message: 'Leave has no pending approval level' });
+      }
+
+      // The assigned approver acts on their level; HR and system admins may act on any level
+      const isAssigned = currentStep.approver_id === actedBy;
+      if (!isAssigned && req.scope !== SCOPES.ALL) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'This leave is not awaiting your approval' });
+      }
+
+      // Balance may have moved since the leave was filed (other approvals, lapses)
+      if (status === 'APPROVED') {
+        const balanceResult = await client.query(
+          'SELECT balance FROM employee_leave_balances WHERE employee_id = $1 AND leave_type = $2 FOR UPDATE',
+          [leave.employee_id, leave.leave_type]
+        );
+        const balance = balanceResult.rows.length > 0 ? balanceResult.rows[0].balance : 0;
+
+        if (balance < leave.days) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: `Insufficient ${leave.leave_type} balance. Available: ${balance}, Requested: ${leave.days}`
+          });
+        }
+
+        await lockDepartmentStaffing(client, leave.department);
+        staffingConflicts = await checkStaffing(leave, leave, client);
+
+        if (staffingConflicts.length > 0 && !overrideReason) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({
+            success: false,
+            message: 'Approving this leave breaks department staffing rules; resend with an override_reason to approve anyway',
+            conflicts: staffingConflicts
+          });
+        }
+      }
+
+      before = await getLeaveSnapshot(leave.id, client);
+
+      if (staffingConflicts.length > 0) {
+        await client.query(`
+          UPDATE leaves
+          SET staffing_override_reason = $1, staffing_override_by = $2, staffing_override_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+        `, [overrideReason, actedBy, leave.id]);
+      }
+
+      // Record this level's decision
+      await client.query(`
+        UPDATE leave_approvals
+        SET status = $1, acted_by = $2, acted_at = CURRENT_TIMESTAMP, remarks = $3
+        WHERE id = $4
+      `, [status, actedBy, remarks ? sanitizeInput(remarks.trim()) : null, currentStep.id]);
+
+      nextStep = status === 'APPROVED'
+        ? steps.find(step => step.level > currentStep.level && step.status === 'PENDING')
+        : null;
+
+      if (nextStep) {
+        // Forward to the next approval level
+        await client.query(`
+          UPDATE leaves 
+          SET status = $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+        `, [pendingStatusForLevel(nextStep.level), leaveId]);
+      } else {
+        // Final decision: approval at the last level, or rejection at any level
+        await client.query(`
+          UPDATE leaves 
+          SET status = $1, approved_by = $2, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3
+        `, [status, actedBy, leaveId]);
+
+        // Balance is only deducted at final approval
+        if (status === 'APPROVED') {
+          await postLedgerEntry(client, {
+            employeeId: leave.employee_id,
+            leaveType: leave.leave_type,
+            delta: -leave.days,
+            entryType: LEDGER_ENTRY_TYPES.LEAVE_APPROVED,
+            actorId: actedBy,
+            leaveId: leave.id
+          });
+        }
+      }
+
+      after = await getLeaveSnapshot(leave.id, client);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const event = {
+      leave: after,
+      approvals: await getApprovalSteps(after.id),
+      actorId: actedBy,
+      remarks: remarks || null,
+      level: currentStep.level
+    };
+
+    if (nextStep) {
+      emitLeaveEvent(LEAVE_EVENTS.FORWARDED, event);
+
+      res.locals.audit = {
+        action: 'leave.forward',
+        entityId: after.id,
+        before,
+        after: { ...after, approval_level: currentStep.level, remarks: remarks || null, staffing_conflicts: staffingConflicts }
+      };
+
+      return res.json({
+        success: true,
+        message: `Leave approved at level ${currentStep.level} and forwarded for level ${nextStep.level} approval`,
+        status: after.status
+      });
+    }
+
+    emitLeaveEvent(status === 'APPROVED' ? LEAVE_EVENTS.APPROVED : LEAVE_EVENTS.REJECTED, event);
+
+    res.locals.audit = {
+      action: status === 'APPROVED' ? 'leave.approve' : 'leave.reject',
+      entityId: after.id,
+      before,
+      after: { ...after, approval_level: currentStep.level, remarks: remarks || null, staffing_conflicts: staffingConflicts }
+    };
+
+    res.json({ success: true, message: `Leave ${status.toLowerCase()} successfully`, status });
+  } catch (err) {
+    console.error('Error updating leave status:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Days a cancellation gives back: everything for a full cancellation, otherwise the days
+// after the new end date, counted against the holidays as they stand now (for RH, the
+// restricted holiday dates dropped). Days already
+// taken cannot come back. `leave` needs the employee's location. Returns
+// { daysToRestore } or { error }.
+const getCancellationRestore = async (leave, newEndDate = null) => {
+  const startKey = toDateKey(leave.start_date);
+  let firstRestoredKey = startKey;
+  let daysToRestore = leave.days;
+
+  if (newEndDate) {
+    const newEndKey = toDateKey(newEndDate);
+
+    if (newEndKey < startKey || newEndKey >= toDateKey(leave.end_date)) {
+      return { error: 'New end date must be on or after the start date and before the current end date' };
+    }
+
+    const dayAfter = new Date(Date.parse(newEndKey));
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    firstRestoredKey = dayAfter.toISOString().substring(0, 10);
+    // RH leave is charged one day per restricted holiday date, so it gives back one day
+    // per date dropped, however the working days fall
+    const keptDays = leave.leave_type === 'RH'
+      ? eachDateKey(leave.start_date, newEndKey).length
+      : await calculateChargeableDays(leave.start_date, newEndKey, leave.leave_type, leave.location, {
+        startSession: leave.start_session
+      });
+    daysToRestore = leave.days - keptDays;
+  }
+
+  if (firstRestoredKey < toDateKey(new Date())) {
+    return { error: 'Days that have already been taken cannot be cancelled' };
+  }
+
+  return { daysToRestore };
+};
+
+// Request cancellation of an approved leave (full, or partial by cutting the end date short).
+// The days to restore recorded here are an estimate; they are worked out again when the
+// cancellation is approved.
+router.post('/:leaveId/cancellation', authorize('leaves:cancel'), async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+    const { new_end_date, reason } = req.body;
+
+    if (!reason || reason.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Reason is required' });
     }
 
-    // Get leave details
     const leaveResult = await pool.query(`
-      SELECT l.*, e.${status === 'APPROVED' ? 'cl_balance, rh_balance, el_balance' : ''}
+      SELECT l.*, e.location
       FROM leaves l
       JOIN employees e ON l.employee_id = e.employee_id
       WHERE l.id = $1
@@ -248,38 +1163,239 @@ router.put('/:leaveId/status', async (req, res) => {
 
     const leave = leaveResult.rows[0];
 
-    if (leave.status !== 'PENDING') {
-      return res.status(400).json({ success: false, message: 'Leave is not in pending status' });
+    if (!await canAccessEmployee(req.scope, req.user, leave.employee_id)) {
+      return res.status(403).json({ success: false, message: 'You can only cancel your own leaves' });
     }
 
-    // Update leave status
-    await pool.query(`
-      UPDATE leaves 
-      SET status = $1, approved_by = $2, approved_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-    `, [status, approved_by, leaveId]);
+    if (leave.status !== 'APPROVED') {
+      return res.status(400).json({ success: false, message: 'Only approved leaves can be cancelled' });
+    }
 
-    // If approved, update employee balance
-    if (status === 'APPROVED') {
-      const balanceField = `${leave.leave_type.toLowerCase()}_balance`;
-      const newBalance = leave[balanceField] - leave.days;
-      
-      await pool.query(`
-        UPDATE employees 
-        SET ${balanceField} = $1
-        WHERE employee_id = $2
-      `, [newBalance, leave.employee_id]);
+    const pendingCancellation = await pool.query(
+      'SELECT id FROM leave_cancellations WHERE leave_id = $1 AND status = \'PENDING\'',
+      [leaveId]
+    );
+
+    if (pendingCancellation.rows.length > 0) {
+      return res.status(409).json({ success: false, message: 'A cancellation request is already pending for this leave' });
+    }
+
+    if (new_end_date && !validateDate(new_end_date)) {
+      return res.status(400).json({ success: false, message: 'New end date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const { daysToRestore, error } = await getCancellationRestore(leave, new_end_date);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    res.json({ success: true, message: `Leave ${status.toLowerCase()} successfully` });
+    const result = await pool.query(`
+      INSERT INTO leave_cancellations (
+        leave_id, requested_by, original_end_date, new_end_date, days_to_restore, reason
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [
+      leaveId,
+      req.user.employee_id,
+      leave.end_date,
+      new_end_date || null,
+      daysToRestore,
+      sanitizeInput(reason.trim())
+    ]);
+
+    res.locals.audit = {
+      action: 'leave.cancellation_request',
+      entityId: leave.id,
+      after: result.rows[0]
+    };
+
+    emitLeaveEvent(LEAVE_EVENTS.CANCELLATION_REQUESTED, {
+      leave,
+      approvals: await getApprovalSteps(leave.id),
+      actorId: req.user.employee_id,
+      cancellation: result.rows[0]
+    });
+
+    res.status(201).json({ success: true, cancellation: result.rows[0] });
   } catch (err) {
-    console.error('Error updating leave status:', err);
+    // A concurrent request for the same leave got in first (leave_cancellations_pending_idx)
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, message: 'A cancellation request is already pending for this leave' });
+    }
+    console.error('Error requesting leave cancellation:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Approve or reject a pending cancellation request. The decision runs in one transaction
+// holding row locks on the cancellation and the leave, so concurrent decisions cannot
+// both credit the days back. The days to restore are worked out again at approval, as
+// time has passed and holidays may have changed since the request.
+router.put('/:leaveId/cancellation/status', authorize('leaves:approve'), async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+    const { status, remarks } = req.body;
+    const actedBy = req.user.employee_id;
+
+    if (!['APPROVED', 'REJECTED'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be APPROVED or REJECTED' });
+    }
+
+    if (remarks !== undefined && remarks !== null && typeof remarks !== 'string') {
+      return res.status(400).json({ success: false, message: 'Remarks must be a string' });
+    }
+
+    const decisionRemarks = remarks ? sanitizeInput(remarks.trim()) : null;
+
+    const client = await pool.connect();
+    let before, after, cancellation;
+    try {
+      await client.query('BEGIN');
+
+      const cancellationResult = await client.query(`
+        SELECT
+          c.*,
+          l.employee_id, l.leave_type, l.start_date, l.end_date, l.start_session, l.days,
+          l.status as leave_status,
+          e.location
+        FROM leave_cancellations c
+        JOIN leaves l ON c.leave_id = l.id
+        JOIN employees e ON l.employee_id = e.employee_id
+        WHERE c.leave_id = $1 AND c.status = 'PENDING'
+        FOR UPDATE OF c, l
+      `, [leaveId]);
+
+      if (cancellationResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ success: false, message: 'No pending cancellation request for this leave' });
+      }
+
+      const pending = cancellationResult.rows[0];
+
+      if (isSelf(req.user, pending.employee_id)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'You cannot decide on your own cancellation request' });
+      }
+
+      // Anyone who approved the leave may sign off its cancellation; HR and system admins always may
+      if (req.scope !== SCOPES.ALL && !await isAssignedApprover(leaveId, req.user)) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ success: false, message: 'This cancellation is not awaiting your approval' });
+      }
+
+      let daysToRestore = pending.days_to_restore;
+      if (status === 'APPROVED') {
+        if (pending.leave_status !== 'APPROVED') {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ success: false, message: `Leave is ${pending.leave_status} and can no longer be cancelled` });
+        }
+
+        const restore = await getCancellationRestore(pending, pending.new_end_date);
+        if (restore.error) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ success: false, message: restore.error });
+        }
+        daysToRestore = restore.daysToRestore;
+      }
+
+      before = await getLeaveSnapshot(pending.leave_id, client);
+
+      const decided = await client.query(`
+        UPDATE leave_cancellations
+        SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP, remarks = $3, days_to_restore = $4
+        WHERE id = $5 AND status = 'PENDING'
+        RETURNING *
+      `, [status, actedBy, decisionRemarks, daysToRestore, pending.id]);
+
+      if (decided.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, message: 'This cancellation request has already been decided' });
+      }
+      cancellation = decided.rows[0];
+
+      if (status === 'APPROVED') {
+        if (cancellation.new_end_date) {
+          // Partial cancellation: the leave stays approved with a shorter range
+          await client.query(`
+            UPDATE leaves
+            SET end_date = $1, end_session = 'FULL', days = days - $2, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $3
+          `, [cancellation.new_end_date, daysToRestore, cancellation.leave_id]);
+        } else {
+          await client.query(`
+            UPDATE leaves
+            SET status = 'CANCELLED', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+          `, [cancellation.leave_id]);
+        }
+
+        // Credit the unused days back to the leave type's balance
+        await postLedgerEntry(client, {
+          employeeId: pending.employee_id,
+          leaveType: pending.leave_type,
+          delta: daysToRestore,
+          entryType: LEDGER_ENTRY_TYPES.CANCELLATION,
+          actorId: actedBy,
+          leaveId: cancellation.leave_id,
+          remarks: cancellation.new_end_date ? `Shortened to end on ${toDateKey(cancellation.new_end_date)}` : null
+        });
+      }
+
+      after = await getLeaveSnapshot(cancellation.leave_id, client);
+
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    if (status === 'REJECTED') {
+      res.locals.audit = {
+        action: 'leave.cancellation_reject',
+        entityId: cancellation.leave_id,
+        before,
+        after: { ...after, cancellation_id: cancellation.id, remarks: remarks || null }
+      };
+
+      emitLeaveEvent(LEAVE_EVENTS.CANCELLATION_REJECTED, {
+        leave: after,
+        actorId: actedBy,
+        remarks: remarks || null,
+        cancellation
+      });
+
+      return res.json({ success: true, message: 'Cancellation request rejected' });
+    }
+
+    res.locals.audit = {
+      action: 'leave.cancellation_approve',
+      entityId: cancellation.leave_id,
+      before,
+      after: { ...after, cancellation_id: cancellation.id, remarks: remarks || null }
+    };
+
+    emitLeaveEvent(LEAVE_EVENTS.CANCELLATION_APPROVED, {
+      leave: after,
+      actorId: actedBy,
+      remarks: remarks || null,
+      cancellation
+    });
+
+    res.json({
+      success: true,
+      message: cancellation.new_end_date ? 'Leave shortened successfully' : 'Leave cancelled successfully',
+      days_restored: cancellation.days_to_restore
+    });
+  } catch (err) {
+    console.error('Error deciding leave cancellation:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
 // Delete leave request
-router.delete('/:leaveId', async (req, res) => {
+router.delete('/:leaveId', authorize('leaves:delete'), async (req, res) => {
   try {
     const { leaveId } = req.params;
 
@@ -292,19 +1408,31 @@ router.delete('/:leaveId', async (req, res) => {
 
     const leave = leaveResult.rows[0];
 
+    if (!await canAccessEmployee(req.scope, req.user, leave.employee_id)) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own leave requests' });
+    }
+
     // Only allow deletion of pending leaves
-    if (leave.status !== 'PENDING') {
+    if (!isPendingStatus(leave.status)) {
       return res.status(400).json({ success: false, message: 'Only pending leaves can be deleted' });
     }
 
-    // Delete associated document if exists
-    if (leave.document_path && fs.existsSync(leave.document_path)) {
-      fs.unlinkSync(leave.document_path);
-    }
+    // Captured first: approval rows go with the leave
+    const approvals = await getApprovalSteps(leave.id);
 
     // Delete leave
     await pool.query('DELETE FROM leaves WHERE id = $1', [leaveId]);
 
+    // An orphaned document file is harmless; the leave is gone either way
+    if (leave.document_path) {
+      await removeDocument(leave.document_path).catch(err => {
+        console.error('Error deleting leave document:', err);
+      });
+    }
+
+    res.locals.audit = { action: 'leave.delete', entityId: leave.id, before: leave };
+    emitLeaveEvent(LEAVE_EVENTS.WITHDRAWN, { leave, approvals, actorId: req.user.employee_id });
+
     res.json({ success: true, message: 'Leave request deleted successfully' });
   } catch (err) {
     console.error('Error deleting leave:', err);
@@ -313,21 +1441,37 @@ router.delete('/:leaveId', async (req, res) => {
 });
 
 // Get leave statistics
-router.get('/stats/overview', async (req, res) => {
+router.get('/stats/overview', authorize('leaves:stats'), async (req, res) => {
   try {
+    const params = [];
     const stats = await pool.query(`
       SELECT 
         COUNT(*) as total_leaves,
-        COUNT(CASE WHEN status = 'PENDING' THEN 1 END) as pending_leaves,
+        COUNT(CASE WHEN status LIKE 'PENDING%' THEN 1 END) as pending_leaves,
         COUNT(CASE WHEN status = 'APPROVED' THEN 1 END) as approved_leaves,
         COUNT(CASE WHEN status = 'REJECTED' THEN 1 END) as rejected_leaves,
-        COUNT(CASE WHEN leave_type = 'CL' THEN 1 END) as cl_leaves,
-        COUNT(CASE WHEN leave_type = 'RH' THEN 1 END) as rh_leaves,
-        COUNT(CASE WHEN leave_type = 'EL' THEN 1 END) as el_leaves
+        COUNT(CASE WHEN status = 'CANCELLED' THEN 1 END) as cancelled_leaves
+      FROM leaves
+      WHERE ${scopeCondition(req.scope, req.user, 'employee_id', params)}
+    `, params);
+
+    // Leave counts per leave type
+    const typeParams = [];
+    const byType = await pool.query(`
+      SELECT leave_type, COUNT(*) as leaves
       FROM leaves
-    `);
+      WHERE ${scopeCondition(req.scope, req.user, 'employee_id', typeParams)}
+      GROUP BY leave_type
+      ORDER BY leave_type
+    `, typeParams);
 
-    res.json({ success: true, stats: stats.rows[0] });
+    res.json({
+      success: true,
+      stats: {
+        ...stats.rows[0],
+        by_type: Object.fromEntries(byType.rows.map(row => [row.leave_type, row.leaves]))
+      }
+    });
   } catch (err) {
     console.error('Error fetching leave statistics:', err);
     res.status(500).json({ success: false, message: err.message });
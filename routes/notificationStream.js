@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { openNotificationStream } = require('../utils/notificationStream');
+
+// Stream the caller's new notifications and unread count as Server-Sent Events. A
+// reconnecting client sends Last-Event-ID (or ?last_event_id=) to get what it missed.
+router.get('/', authorize('notifications:read'), async (req, res) => {
+  try {
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.last_event_id) || 0;
+
+    await openNotificationStream(req, res, {
+      userId: req.user.employee_id,
+      lastEventId: Math.max(lastEventId, 0),
+      expiresAt: req.tokenExpiresAt
+    });
+  } catch (err) {
+    console.error('Error streaming notifications:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,213 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
-const { validateEmployeeId, sanitizeInput } = require('../utils/validation');
+const { validateEmployeeId, validateDate, sanitizeInput } = require('../utils/validation');
+const { authorize } = require('../middleware/auth');
+const { isSelf } = require('../utils/access');
+const { SCOPES, isValidRole } = require('../config/permissions');
+const { parsePagination, parseSort, paginationInfo } = require('../utils/pagination');
+const { countAudience, createNotification, getUnreadCount } = require('../utils/notifications');
+const { DELIVERY_CHANNELS, DELIVERY_STATUSES } = require('../utils/email');
+const { getPendingApprovals, renderDigest, nextDigestDue } = require('../utils/digest');
+const { NOTIFICATION_TYPES } = require('../config/notificationTemplates');
+const { NOTIFICATION_CHANNELS, DIGEST_FREQUENCIES, DIGEST_TYPES } = require('../config/notifications');
 
-// Get all notifications
-router.get('/', async (req, res) => {
+// Notifications are personal: the own scope covers only the caller's user ID
+const canAccessUser = (req, userId) => req.scope === SCOPES.ALL || isSelf(req.user, userId);
+
+// Notifications as their recipients see them (aliases n = notifications,
+// r = notification_recipients), with the recipient's read state and email delivery
+const RECIPIENT_VIEW = `
+  SELECT
+    n.*,
+    r.user_id as recipient_id,
+    e.full_name as recipient_name,
+    r.read_at IS NOT NULL as is_read,
+    r.read_at,
+    r.dismissed_at,
+    r.archived_at,
+    d.status as email_status,
+    d.sent_at as email_sent_at
+  FROM notification_recipients r
+  JOIN notifications n ON n.id = r.notification_id
+  JOIN employees e ON e.employee_id = r.user_id
+  LEFT JOIN notification_deliveries d ON d.notification_id = n.id
+    AND d.channel = '${DELIVERY_CHANNELS.EMAIL}'
+    AND d.user_id = r.user_id
+`;
+
+// The recipient row an action on a notification applies to: the notification's own
+// user, or the caller's row of a broadcast. HR and system admins may act on another
+// user's notification. Returns { notification, recipient } or { status, error }.
+const getRecipient = async (req, notificationId) => {
+  const notificationResult = await pool.query('SELECT * FROM notifications WHERE id = $1', [notificationId]);
+  const notification = notificationResult.rows[0];
+
+  if (!notification) {
+    return { status: 404, error: 'Notification not found' };
+  }
+
+  const userId = notification.user_id && req.scope === SCOPES.ALL ? notification.user_id : req.user.employee_id;
+  const recipientResult = await pool.query(
+    'SELECT * FROM notification_recipients WHERE notification_id = $1 AND user_id = $2',
+    [notification.id, userId]
+  );
+
+  if (recipientResult.rows.length === 0) {
+    return { status: 403, error: 'You can only access your own notifications' };
+  }
+
+  return { notification, recipient: recipientResult.rows[0] };
+};
+
+// Update the caller's (or, for HR, the notification user's) state of a notification
+const updateRecipientState = async (req, res, { assignment, action }) => {
+  const { notificationId } = req.params;
+
+  const { recipient, status, error } = await getRecipient(req, notificationId);
+  if (error) {
+    return res.status(status).json({ success: false, message: error });
+  }
+
+  await pool.query(`
+    UPDATE notification_recipients
+    SET ${assignment}
+    WHERE notification_id = $1 AND user_id = $2
+  `, [recipient.notification_id, recipient.user_id]);
+
+  const result = await pool.query(
+    `${RECIPIENT_VIEW} WHERE r.notification_id = $1 AND r.user_id = $2`,
+    [recipient.notification_id, recipient.user_id]
+  );
+
+  res.locals.audit = {
+    action,
+    entityId: recipient.notification_id,
+    before: recipient,
+    after: result.rows[0]
+  };
+
+  res.json({ success: true, notification: result.rows[0] });
+};
+
+// A user's digest setting and channels per notification type: every type the application
+// generates, has a preference for or has sent the user. Types without a preference are
+// delivered on every channel.
+const getPreferences = async (userId, client = pool) => {
+  const settingsResult = await client.query('SELECT * FROM notification_settings WHERE user_id = $1', [userId]);
+  const settings = settingsResult.rows[0];
+  const frequency = settings ? settings.digest_frequency : DIGEST_FREQUENCIES.OFF;
+
+  const typesResult = await client.query(`
+    SELECT t.type, COALESCE(p.in_app, TRUE) as in_app, COALESCE(p.email, TRUE) as email, p.updated_at
+    FROM (
+      SELECT UNNEST($2::varchar[]) as type
+      UNION SELECT type FROM notification_preferences WHERE user_id = $1
+      UNION SELECT n.type FROM notification_recipients r JOIN notifications n ON n.id = r.notification_id WHERE r.user_id = $1
+    ) t
+    LEFT JOIN notification_preferences p ON p.user_id = $1 AND p.type = t.type
+    ORDER BY t.type
+  `, [userId, NOTIFICATION_TYPES]);
+
+  return {
+    user_id: userId,
+    digest_frequency: frequency,
+    digest_types: DIGEST_TYPES,
+    digest_sent_at: settings ? settings.digest_sent_at : null,
+    next_digest_at: frequency === DIGEST_FREQUENCIES.OFF ? null : nextDigestDue(frequency),
+    types: typesResult.rows
+  };
+};
+
+// Sortable fields of the notification listing
+const NOTIFICATION_SORT_COLUMNS = {
+  created_at: 'n.created_at',
+  type: 'n.type'
+};
+
+// Get notifications, filtered, sorted and paginated
+router.get('/', authorize('notifications:read'), async (req, res) => {
   try {
+    const { type, is_read, archived, user_id, from, to } = req.query;
+    const params = [];
+    const conditions = ['r.dismissed_at IS NULL'];
+    if (req.scope !== SCOPES.ALL) {
+      params.push(req.user.employee_id);
+      conditions.push('r.user_id = $1');
+    }
+
+    if (type) {
+      params.push(type.trim());
+      conditions.push(`n.type = $${params.length}`);
+    }
+
+    if (is_read !== undefined) {
+      if (!['true', 'false'].includes(is_read)) {
+        return res.status(400).json({ success: false, message: 'is_read must be true or false' });
+      }
+      params.push(is_read === 'true');
+      conditions.push(`(r.read_at IS NOT NULL) = $${params.length}`);
+    }
+
+    // Archived notifications are only listed on request
+    if (archived !== undefined && !['true', 'false'].includes(archived)) {
+      return res.status(400).json({ success: false, message: 'archived must be true or false' });
+    }
+    conditions.push(archived === 'true' ? 'r.archived_at IS NOT NULL' : 'r.archived_at IS NULL');
+
+    if (user_id) {
+      params.push(user_id.trim());
+      conditions.push(`LOWER(r.user_id) = LOWER($${params.length})`);
+    }
+
+    if (from) {
+      if (!validateDate(from)) {
+        return res.status(400).json({ success: false, message: 'From must be a YYYY-MM-DD date' });
+      }
+      params.push(from);
+      conditions.push(`n.created_at >= $${params.length}::date`);
+    }
+
+    if (to) {
+      if (!validateDate(to)) {
+        return res.status(400).json({ success: false, message: 'To must be a YYYY-MM-DD date' });
+      }
+      params.push(to);
+      conditions.push(`n.created_at < $${params.length}::date + 1`);
+    }
+
+    const { orderBy, error } = parseSort(req.query, NOTIFICATION_SORT_COLUMNS, {
+      defaultSort: 'created_at',
+      defaultOrder: 'desc',
+      tieBreaker: 'n.id'
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const pagination = parsePagination(req.query);
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+    const countResult = await pool.query(`
+      SELECT COUNT(*) AS total
+      FROM notification_recipients r
+      JOIN notifications n ON n.id = r.notification_id
+      ${whereClause}
+    `, params);
+
+    // One row per recipient; HR and system admins see every recipient of a broadcast
     const result = await pool.query(`
-      SELECT 
-        n.*,
-        e.full_name as user_name
-      FROM notifications n
-      LEFT JOIN employees e ON n.user_id = e.employee_id
-      ORDER BY n.created_at DESC
-    `);
+      ${RECIPIENT_VIEW}
+      ${whereClause}
+      ORDER BY ${orderBy}, r.user_id
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, pagination.limit, pagination.offset]);
     
-    res.json({ success: true, notifications: result.rows });
+    res.json({
+      success: true,
+      notifications: result.rows,
+      pagination: paginationInfo(parseInt(countResult.rows[0].total), pagination)
+    });
   } catch (err) {
     console.error('Error fetching notifications:', err);
     res.status(500).json({ success: false, message: err.message });
@@ -23,21 +215,21 @@ router.get('/', async (req, res) => {
 });
 
 // Get notifications by user ID
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', authorize('notifications:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     
     if (!validateEmployeeId(userId)) {
       return res.status(400).json({ success: false, message: 'Valid user ID is required' });
     }
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notifications' });
+    }
     
     const result = await pool.query(`
-      SELECT 
-        n.*,
-        e.full_name as user_name
-      FROM notifications n
-      LEFT JOIN employees e ON n.user_id = e.employee_id
-      WHERE n.user_id = $1 OR n.user_id IS NULL
+      ${RECIPIENT_VIEW}
+      WHERE r.user_id = $1 AND r.dismissed_at IS NULL AND r.archived_at IS NULL
       ORDER BY n.created_at DESC
     `, [userId.trim()]);
     
@@ -49,31 +241,177 @@ router.get('/user/:userId', async (req, res) => {
 });
 
 // Get unread notifications count
-router.get('/unread/count/:userId', async (req, res) => {
+router.get('/unread/count/:userId', authorize('notifications:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     
     if (!validateEmployeeId(userId)) {
       return res.status(400).json({ success: false, message: 'Valid user ID is required' });
     }
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notifications' });
+    }
     
-    const result = await pool.query(`
-      SELECT COUNT(*) as count
-      FROM notifications
-      WHERE (user_id = $1 OR user_id IS NULL) AND is_read = FALSE
-    `, [userId.trim()]);
-    
-    res.json({ success: true, count: parseInt(result.rows[0].count) });
+    res.json({ success: true, count: await getUnreadCount(userId.trim()) });
   } catch (err) {
     console.error('Error fetching unread count:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// Get a user's notification preferences
+router.get('/user/:userId/preferences', authorize('notifications:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!validateEmployeeId(userId)) {
+      return res.status(400).json({ success: false, message: 'Valid user ID is required' });
+    }
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notification preferences' });
+    }
+
+    const employee = await pool.query('SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1)', [userId.trim()]);
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    res.json({ success: true, preferences: await getPreferences(employee.rows[0].employee_id) });
+  } catch (err) {
+    console.error('Error fetching notification preferences:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Update a user's notification preferences. `types` is a list of { type, in_app, email };
+// channels left out keep their current setting.
+router.put('/user/:userId/preferences', authorize('notifications:update'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { userId } = req.params;
+    const { digest_frequency, types = [] } = req.body;
+
+    if (!validateEmployeeId(userId)) {
+      return res.status(400).json({ success: false, message: 'Valid user ID is required' });
+    }
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only update your own notification preferences' });
+    }
+
+    const frequency = digest_frequency !== undefined ? String(digest_frequency).trim().toUpperCase() : null;
+    if (frequency && !Object.values(DIGEST_FREQUENCIES).includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Digest frequency must be one of ${Object.values(DIGEST_FREQUENCIES).join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(types)) {
+      return res.status(400).json({ success: false, message: 'types must be a list of { type, in_app, email }' });
+    }
+
+    const updates = [];
+    for (const entry of types) {
+      const type = entry && typeof entry.type === 'string' ? sanitizeInput(entry.type.trim()) : '';
+      if (!type || type.length > 50) {
+        return res.status(400).json({ success: false, message: 'Each preference needs a notification type of at most 50 characters' });
+      }
+
+      const invalidChannel = NOTIFICATION_CHANNELS.find(channel => entry[channel] !== undefined && typeof entry[channel] !== 'boolean');
+      if (invalidChannel) {
+        return res.status(400).json({ success: false, message: `${invalidChannel} must be true or false (${type})` });
+      }
+
+      // Known types are matched regardless of case
+      const knownType = NOTIFICATION_TYPES.find(known => known.toLowerCase() === type.toLowerCase());
+      updates.push({ type: knownType || type, in_app: entry.in_app, email: entry.email });
+    }
+
+    const employee = await client.query('SELECT employee_id FROM employees WHERE LOWER(employee_id) = LOWER($1)', [userId.trim()]);
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+    const employeeId = employee.rows[0].employee_id;
+
+    await client.query('BEGIN');
+    const before = await getPreferences(employeeId, client);
+
+    for (const update of updates) {
+      await client.query(`
+        INSERT INTO notification_preferences (user_id, type, in_app, email)
+        VALUES ($1, $2, COALESCE($3, TRUE), COALESCE($4, TRUE))
+        ON CONFLICT (user_id, type) DO UPDATE
+        SET in_app = COALESCE($3, notification_preferences.in_app),
+          email = COALESCE($4, notification_preferences.email),
+          updated_at = CURRENT_TIMESTAMP
+      `, [employeeId, update.type, update.in_app, update.email]);
+    }
+
+    // A new digest frequency starts with the next scheduled digest, not straight away
+    if (frequency && frequency !== before.digest_frequency) {
+      await client.query(`
+        INSERT INTO notification_settings (user_id, digest_frequency, digest_sent_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP)
+        ON CONFLICT (user_id) DO UPDATE
+        SET digest_frequency = $2, digest_sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      `, [employeeId, frequency]);
+    }
+
+    const after = await getPreferences(employeeId, client);
+    await client.query('COMMIT');
+
+    res.locals.audit = {
+      action: 'notification.preferences_update',
+      entityType: 'employee',
+      entityId: employeeId,
+      before,
+      after
+    };
+
+    res.json({ success: true, preferences: after });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Error updating notification preferences:', err);
+    res.status(500).json({ success: false, message: err.message });
+  } finally {
+    client.release();
+  }
+});
+
+// Preview the approval digest a user would receive now
+router.get('/user/:userId/digest', authorize('notifications:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!validateEmployeeId(userId)) {
+      return res.status(400).json({ success: false, message: 'Valid user ID is required' });
+    }
+
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notifications' });
+    }
+
+    const employee = await pool.query('SELECT employee_id, role FROM employees WHERE LOWER(employee_id) = LOWER($1)', [userId.trim()]);
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Employee not found' });
+    }
+
+    const pending = await getPendingApprovals(employee.rows[0]);
+
+    res.json({ success: true, count: pending.length, pending, message: renderDigest(pending) });
+  } catch (err) {
+    console.error('Error building approval digest:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Create new notification
-router.post('/', async (req, res) => {
+router.post('/', authorize('notifications:create'), async (req, res) => {
   try {
-    const { type, message, user_id } = req.body;
+    const { type, message, user_id, department, role } = req.body;
 
     if (!type || type.trim() === '') {
       return res.status(400).json({ success: false, message: 'Notification type is required' });
@@ -88,48 +426,152 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Valid user ID is required' });
     }
 
-    const result = await pool.query(`
-      INSERT INTO notifications (type, message, user_id)
-      VALUES ($1, $2, $3)
-      RETURNING *
-    `, [
-      sanitizeInput(type.trim()),
-      sanitizeInput(message.trim()),
-      user_id ? user_id.trim() : null
-    ]);
+    // A broadcast may be narrowed to a department and/or role
+    if (user_id && (department || role)) {
+      return res.status(400).json({ success: false, message: 'Give either user_id or an audience (department, role), not both' });
+    }
 
-    res.status(201).json({ success: true, notification: result.rows[0] });
+    const audience = {
+      department: department ? sanitizeInput(String(department).trim()) : null,
+      role: role ? String(role).trim().toUpperCase() : null
+    };
+
+    if (audience.role && !isValidRole(audience.role)) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+
+    if (!user_id && await countAudience(audience) === 0) {
+      return res.status(400).json({ success: false, message: 'No employees match the audience' });
+    }
+
+    const notification = await createNotification({
+      type: sanitizeInput(type.trim()),
+      message: sanitizeInput(message.trim()),
+      userId: user_id ? user_id.trim() : null,
+      ...audience
+    });
+
+    res.locals.audit = { action: 'notification.create', entityId: notification.id, after: notification };
+
+    res.status(201).json({ success: true, notification });
   } catch (err) {
     console.error('Error creating notification:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
-// Mark notification as read
-router.put('/:notificationId/read', async (req, res) => {
+// Get the delivery state of a notification, per recipient and channel. Everyone but HR
+// and system admins sees only their own delivery of a broadcast.
+router.get('/:notificationId/deliveries', authorize('notifications:read'), async (req, res) => {
   try {
     const { notificationId } = req.params;
 
+    // HR and system admins may see the deliveries of notifications they did not receive
+    if (req.scope !== SCOPES.ALL) {
+      const { status, error } = await getRecipient(req, notificationId);
+      if (error) {
+        return res.status(status).json({ success: false, message: error });
+      }
+    } else {
+      const existing = await pool.query('SELECT id FROM notifications WHERE id = $1', [notificationId]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Notification not found' });
+      }
+    }
+
+    const params = [notificationId];
+    let ownOnly = '';
+    if (req.scope !== SCOPES.ALL) {
+      params.push(req.user.employee_id);
+      ownOnly = 'AND user_id = $2';
+    }
+
     const result = await pool.query(`
-      UPDATE notifications 
-      SET is_read = TRUE
-      WHERE id = $1
-      RETURNING *
-    `, [notificationId]);
+      SELECT id, channel, user_id, recipient, status, attempts, next_attempt_at, last_error, sent_at, created_at, updated_at
+      FROM notification_deliveries
+      WHERE notification_id = $1 ${ownOnly}
+      ORDER BY user_id, channel
+    `, params);
+
+    res.json({ success: true, deliveries: result.rows });
+  } catch (err) {
+    console.error('Error fetching notification deliveries:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Retry the failed deliveries of a notification
+router.post('/:notificationId/deliveries/retry', authorize('notifications:create'), async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    const result = await pool.query(`
+      UPDATE notification_deliveries
+      SET status = $1, attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE notification_id = $2 AND status = $3
+      RETURNING id, channel, user_id, recipient, status
+    `, [DELIVERY_STATUSES.PENDING, notificationId, DELIVERY_STATUSES.FAILED]);
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'Notification not found' });
+      return res.status(404).json({ success: false, message: 'No failed deliveries for this notification' });
     }
 
-    res.json({ success: true, notification: result.rows[0] });
+    res.locals.audit = {
+      action: 'notification.delivery_retry',
+      entityId: notificationId,
+      after: { deliveries: result.rows }
+    };
+
+    res.json({ success: true, message: `Requeued ${result.rowCount} deliveries`, deliveries: result.rows });
+  } catch (err) {
+    console.error('Error retrying notification deliveries:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Mark notification as read
+router.put('/:notificationId/read', authorize('notifications:update'), async (req, res) => {
+  try {
+    await updateRecipientState(req, res, {
+      assignment: 'read_at = COALESCE(read_at, CURRENT_TIMESTAMP)',
+      action: 'notification.read'
+    });
   } catch (err) {
     console.error('Error marking notification as read:', err);
     res.status(500).json({ success: false, message: err.message });
   }
 });
 
+// Archive a notification, or bring it back with { "archived": false }
+router.put('/:notificationId/archive', authorize('notifications:update'), async (req, res) => {
+  try {
+    const archived = ![false, 'false'].includes(req.body.archived);
+
+    await updateRecipientState(req, res, {
+      assignment: archived ? 'archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'archived_at = NULL',
+      action: archived ? 'notification.archive' : 'notification.unarchive'
+    });
+  } catch (err) {
+    console.error('Error archiving notification:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Dismiss a notification: it disappears from its recipient's lists for good
+router.put('/:notificationId/dismiss', authorize('notifications:update'), async (req, res) => {
+  try {
+    await updateRecipientState(req, res, {
+      assignment: 'dismissed_at = COALESCE(dismissed_at, CURRENT_TIMESTAMP)',
+      action: 'notification.dismiss'
+    });
+  } catch (err) {
+    console.error('Error dismissing notification:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // Mark all notifications as read for a user
-router.put('/user/:userId/read-all', async (req, res) => {
+router.put('/user/:userId/read-all', authorize('notifications:update'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -137,16 +579,27 @@ router.put('/user/:userId/read-all', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Valid user ID is required' });
     }
 
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notifications' });
+    }
+
     const result = await pool.query(`
-      UPDATE notifications 
-      SET is_read = TRUE
-      WHERE (user_id = $1 OR user_id IS NULL) AND is_read = FALSE
-      RETURNING COUNT(*) as updated_count
+      UPDATE notification_recipients
+      SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL AND dismissed_at IS NULL
+      RETURNING notification_id
     `, [userId.trim()]);
 
+    res.locals.audit = {
+      action: 'notification.read_all',
+      entityType: 'employee',
+      entityId: userId.trim(),
+      after: { notification_ids: result.rows.map(row => row.notification_id) }
+    };
+
     res.json({ 
       success: true, 
-      message: `Marked ${result.rows[0].updated_count} notifications as read` 
+      message: `Marked ${result.rowCount} notifications as read` 
     });
   } catch (err) {
     console.error('Error marking all notifications as read:', err);
@@ -154,11 +607,31 @@ router.put('/user/:userId/read-all', async (req, res) => {
   }
 });
 
-// Delete notification
-router.delete('/:notificationId', async (req, res) => {
+// Delete notification. Deleting a broadcast removes it for everyone, so other callers
+// only dismiss their own copy.
+router.delete('/:notificationId', authorize('notifications:update'), async (req, res) => {
   try {
     const { notificationId } = req.params;
 
+    const { notification, recipient, status, error } = await getRecipient(req, notificationId);
+    const isAdmin = req.scope === SCOPES.ALL;
+
+    if (error && !(isAdmin && notification)) {
+      return res.status(status).json({ success: false, message: error });
+    }
+
+    if (notification.user_id === null && !isAdmin) {
+      await pool.query(`
+        UPDATE notification_recipients
+        SET dismissed_at = COALESCE(dismissed_at, CURRENT_TIMESTAMP)
+        WHERE notification_id = $1 AND user_id = $2
+      `, [recipient.notification_id, recipient.user_id]);
+
+      res.locals.audit = { action: 'notification.dismiss', entityId: notification.id, before: recipient };
+
+      return res.json({ success: true, message: 'Notification dismissed successfully' });
+    }
+
     const result = await pool.query(`
       DELETE FROM notifications 
       WHERE id = $1
@@ -169,6 +642,8 @@ router.delete('/:notificationId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Notification not found' });
     }
 
+    res.locals.audit = { action: 'notification.delete', entityId: result.rows[0].id, before: result.rows[0] };
+
     res.json({ success: true, message: 'Notification deleted successfully' });
   } catch (err) {
     console.error('Error deleting notification:', err);
@@ -177,7 +652,7 @@ router.delete('/:notificationId', async (req, res) => {
 });
 
 // Delete all notifications for a user
-router.delete('/user/:userId/all', async (req, res) => {
+router.delete('/user/:userId/all', authorize('notifications:update'), async (req, res) => {
   try {
     const { userId } = req.params;
     
@@ -185,15 +660,37 @@ router.delete('/user/:userId/all', async (req, res) => {
       return res.status(400).json({ success: false, message: 'Valid user ID is required' });
     }
 
+    if (!canAccessUser(req, userId)) {
+      return res.status(403).json({ success: false, message: 'You can only access your own notifications' });
+    }
+
     const result = await pool.query(`
       DELETE FROM notifications 
       WHERE user_id = $1
-      RETURNING COUNT(*) as deleted_count
+      RETURNING *
+    `, [userId.trim()]);
+
+    // Broadcasts stay for everyone else and are dismissed for this user
+    const dismissed = await pool.query(`
+      UPDATE notification_recipients r
+      SET dismissed_at = CURRENT_TIMESTAMP
+      FROM notifications n
+      WHERE n.id = r.notification_id AND n.user_id IS NULL
+      AND r.user_id = $1 AND r.dismissed_at IS NULL
+      RETURNING r.notification_id
     `, [userId.trim()]);
 
+    res.locals.audit = {
+      action: 'notification.delete_all',
+      entityType: 'employee',
+      entityId: userId.trim(),
+      before: result.rows,
+      after: { dismissed_notification_ids: dismissed.rows.map(row => row.notification_id) }
+    };
+
     res.json({ 
       success: true, 
-      message: `Deleted ${result.rows[0].deleted_count} notifications` 
+      message: `Deleted ${result.rowCount} notifications and dismissed ${dismissed.rowCount} broadcasts` 
     });
   } catch (err) {
     console.error('Error deleting user notifications:', err);
@@ -202,7 +699,7 @@ router.delete('/user/:userId/all', async (req, res) => {
 });
 
 // Test endpoint to create sample notifications
-router.post('/test', async (req, res) => {
+router.post('/test', authorize('notifications:test'), async (req, res) => {
   try {
     const { userId } = req.body;
     
@@ -231,13 +728,15 @@ router.post('/test', async (req, res) => {
 
     const createdNotifications = [];
     for (const notification of testNotifications) {
-      const result = await pool.query(
-        'INSERT INTO notifications (type, message, user_id, is_read) VALUES ($1, $2, $3, FALSE) RETURNING *',
-        [notification.type, notification.message, notification.user_id]
-      );
-      createdNotifications.push(result.rows[0]);
+      createdNotifications.push(await createNotification({
+        type: notification.type,
+        message: notification.message,
+        userId: notification.user_id || null
+      }));
     }
 
+    res.locals.audit = { action: 'notification.test', after: createdNotifications };
+
     res.json({ 
       success: true, 
       message: 'Test notifications created successfully',
@@ -0,0 +1,204 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/database');
+const { authorize } = require('../middleware/auth');
+const { validateDate, sanitizeInput } = require('../utils/validation');
+const { getStaffingRule } = require('../utils/staffing');
+
+// A limit is a whole number of employees, or null for no limit
+const parseLimit = (value, name) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    return { error: `${name} must be a whole number of employees or null` };
+  }
+  return { value: limit };
+};
+
+// Get staffing rules of every department
+router.get('/rules', authorize('staffing:read'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        r.*,
+        (SELECT COUNT(*) FROM employees e WHERE LOWER(e.department) = LOWER(r.department)) as headcount
+      FROM department_staffing_rules r
+      ORDER BY r.department
+    `);
+
+    res.json({ success: true, rules: result.rows });
+  } catch (err) {
+    console.error('Error fetching staffing rules:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Set the staffing rule of a department
+router.put('/rules/:department', authorize('staffing:manage'), async (req, res) => {
+  try {
+    const department = sanitizeInput((req.params.department || '').trim());
+
+    if (!department) {
+      return res.status(400).json({ success: false, message: 'Department is required' });
+    }
+
+    const maxAbsent = parseLimit(req.body.max_absent, 'max_absent');
+    if (maxAbsent.error) {
+      return res.status(400).json({ success: false, message: maxAbsent.error });
+    }
+
+    const minPresent = parseLimit(req.body.min_present, 'min_present');
+    if (minPresent.error) {
+      return res.status(400).json({ success: false, message: minPresent.error });
+    }
+
+    if (maxAbsent.value === null && minPresent.value === null) {
+      return res.status(400).json({ success: false, message: 'Give max_absent, min_present or both' });
+    }
+
+    const before = await getStaffingRule(department);
+
+    const result = await pool.query(`
+      INSERT INTO department_staffing_rules (department, max_absent, min_present, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (LOWER(department))
+      DO UPDATE SET
+        max_absent = EXCLUDED.max_absent,
+        min_present = EXCLUDED.min_present,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [department, maxAbsent.value, minPresent.value, req.user.employee_id]);
+
+    res.locals.audit = {
+      action: 'staffing.rule_set',
+      entityType: 'department',
+      entityId: result.rows[0].department,
+      before,
+      after: result.rows[0]
+    };
+
+    res.json({ success: true, rule: result.rows[0] });
+  } catch (err) {
+    console.error('Error setting staffing rule:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Remove the staffing rule of a department
+router.delete('/rules/:department', authorize('staffing:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM department_staffing_rules WHERE LOWER(department) = LOWER($1) RETURNING *',
+      [(req.params.department || '').trim()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Staffing rule not found' });
+    }
+
+    res.locals.audit = {
+      action: 'staffing.rule_delete',
+      entityType: 'department',
+      entityId: result.rows[0].department,
+      before: result.rows[0]
+    };
+
+    res.json({ success: true, message: 'Staffing rule removed successfully' });
+  } catch (err) {
+    console.error('Error removing staffing rule:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Get blackout periods, optionally those applying to one department or year
+router.get('/blackouts', authorize('staffing:read'), async (req, res) => {
+  try {
+    const { department, year } = req.query;
+    const conditions = [];
+    const params = [];
+
+    // A department filter includes blackouts that apply to every department
+    if (department) {
+      params.push(department.trim());
+      conditions.push(`(department IS NULL OR LOWER(department) = LOWER($${params.length}))`);
+    }
+
+    if (year !== undefined) {
+      if (!/^\d{4}$/.test(year)) {
+        return res.status(400).json({ success: false, message: 'Year must be a four-digit number' });
+      }
+      params.push(parseInt(year));
+      conditions.push(`EXTRACT(YEAR FROM start_date) <= $${params.length} AND EXTRACT(YEAR FROM end_date) >= $${params.length}`);
+    }
+
+    const result = await pool.query(`
+      SELECT * FROM department_blackouts
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY start_date
+    `, params);
+
+    res.json({ success: true, blackouts: result.rows });
+  } catch (err) {
+    console.error('Error fetching blackouts:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Create a blackout period (no department means every department)
+router.post('/blackouts', authorize('staffing:manage'), async (req, res) => {
+  try {
+    const { department, start_date, end_date, reason } = req.body;
+
+    if (!validateDate(start_date) || !validateDate(end_date)) {
+      return res.status(400).json({ success: false, message: 'Valid start and end dates are required' });
+    }
+
+    if (end_date < start_date) {
+      return res.status(400).json({ success: false, message: 'End date cannot be before start date' });
+    }
+
+    if (!reason || reason.trim() === '') {
+      return res.status(400).json({ success: false, message: 'Reason is required' });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO department_blackouts (department, start_date, end_date, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      department ? sanitizeInput(department.trim()) : null,
+      start_date,
+      end_date,
+      sanitizeInput(reason.trim()),
+      req.user.employee_id
+    ]);
+
+    res.locals.audit = { action: 'staffing.blackout_create', entityType: 'blackout', entityId: result.rows[0].id, after: result.rows[0] };
+
+    res.status(201).json({ success: true, blackout: result.rows[0] });
+  } catch (err) {
+    console.error('Error creating blackout:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// Delete a blackout period
+router.delete('/blackouts/:id', authorize('staffing:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM department_blackouts WHERE id = $1 RETURNING *', [req.params.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Blackout not found' });
+    }
+
+    res.locals.audit = { action: 'staffing.blackout_delete', entityType: 'blackout', entityId: result.rows[0].id, before: result.rows[0] };
+
+    res.json({ success: true, message: 'Blackout deleted successfully' });
+  } catch (err) {
+    console.error('Error deleting blackout:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+// Apply, roll back or inspect database migrations.
+// The server refuses to start while migrations are pending, so run this on every deploy.
+//
+// Usage:
+//   npm run migrate                          apply all pending migrations
+//   npm run migrate -- up [version]          apply pending migrations up to a version
+//   npm run migrate -- down [steps]          roll back the last migration (or the last <steps>)
+//   npm run migrate -- status                list migrations and whether each is applied
+//   npm run migrate -- create <name>         add a new migration file
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+const { MIGRATIONS_DIR, loadMigrations, getMigrationStatus, migrate, rollback } = require('../utils/migrations');
+
+const USAGE = 'Usage: npm run migrate -- [up [version] | down [steps] | status | create <name>]';
+
+const MIGRATION_TEMPLATE = `const up = async (client) => {
+  await client.query(\`
+  \`);
+};
+
+const down = async (client) => {
+  await client.query(\`
+  \`);
+};
+
+module.exports = { up, down };
+`;
+
+const createMigration = (name) => {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error('Migration name must be lowercase letters, digits and underscores');
+  }
+
+  const migrations = loadMigrations();
+  const nextVersion = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = `${String(nextVersion).padStart(3, '0')}_${name}.js`;
+
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), MIGRATION_TEMPLATE);
+  console.log(`Created migrations/${file}`);
+};
+
+// A version or step count from the command line: a positive integer, undefined when
+// omitted, or null when invalid
+const parseCount = (arg) => {
+  if (arg === undefined) return undefined;
+  return /^\d+$/.test(arg) && parseInt(arg) > 0 ? parseInt(arg) : null;
+};
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  try {
+    if ((command === 'up' || command === 'down') && parseCount(arg) === null) {
+      console.error(USAGE);
+      process.exitCode = 1;
+    } else if (command === 'up') {
+      const applied = await migrate({ to: parseCount(arg) });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await rollback({ steps: parseCount(arg) || 1 });
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'No migrations to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus();
+      for (const migration of status) {
+        const state = migration.missing ? 'applied, file missing' : (migration.applied ? 'applied' : 'pending');
+        console.log(`${String(migration.version).padStart(3, '0')}  ${migration.name.padEnd(40)} ${state}`);
+      }
+    } else if (command === 'create') {
+      createMigration(arg);
+    } else {
+      console.error(USAGE);
+      process.exitCode = 1;
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+run();
@@ -0,0 +1,49 @@
+// Set an employee's login password from the command line.
+// Used to bootstrap the first administrator, since every employee route requires a login.
+//
+// Usage: npm run set-password -- <employee_id> <password>
+require('dotenv').config();
+const pool = require('../config/database');
+const { hashPassword, validatePassword, MIN_PASSWORD_LENGTH } = require('../utils/auth');
+
+const setPassword = async () => {
+  const [employeeId, password] = process.argv.slice(2);
+
+  if (!employeeId || !password) {
+    console.error('Usage: npm run set-password -- <employee_id> <password>');
+    process.exit(1);
+  }
+
+  if (!validatePassword(password)) {
+    console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE employees
+       SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE LOWER(employee_id) = LOWER($2)
+       RETURNING employee_id`,
+      [await hashPassword(password), employeeId.trim()]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`Employee ${employeeId} not found`);
+      process.exitCode = 1;
+    } else {
+      await pool.query(
+        'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE employee_id = $1 AND revoked_at IS NULL',
+        [result.rows[0].employee_id]
+      );
+      console.log(`Password updated for employee ${result.rows[0].employee_id}`);
+    }
+  } catch (err) {
+    console.error('Error setting password:', err);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+setPassword();
@@ -0,0 +1,63 @@
+// Run the test suites against a disposable database. Each run creates a fresh database
+// on the configured PostgreSQL server (DB_HOST, DB_USER, ...), applies the migrations,
+// runs every test/*.test.js file (or the files given) and drops the database again.
+//
+// Usage: npm test [-- <test files>]
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { Client } = require('pg');
+
+const TEST_DIR = path.join(__dirname, '..', 'test');
+
+// Everything below, and the test processes, use the disposable database
+const databaseName = `leave_test_${process.pid}_${Date.now()}`;
+process.env.DB_NAME = databaseName;
+
+const pool = require('../config/database');
+const { migrate } = require('../utils/migrations');
+
+// Statements on the server's maintenance database
+const adminQuery = async (sql) => {
+  const client = new Client({ ...pool.options, database: 'postgres' });
+  await client.connect();
+  try {
+    await client.query(sql);
+  } finally {
+    await client.end();
+  }
+};
+
+const run = async () => {
+  const files = process.argv.length > 2
+    ? process.argv.slice(2)
+    : fs.readdirSync(TEST_DIR).filter(file => file.endsWith('.test.js')).sort().map(file => path.join(TEST_DIR, file));
+
+  await adminQuery(`CREATE DATABASE ${databaseName}`);
+  try {
+    try {
+      await migrate();
+    } finally {
+      await pool.end();
+    }
+
+    const result = spawnSync(process.execPath, ['--test', ...files], {
+      stdio: 'inherit',
+      env: {
+        ...process.env,
+        NODE_ENV: 'test',
+        RATE_LIMIT_MAX_REQUESTS: '100000',
+        AUTH_RATE_LIMIT_MAX_REQUESTS: '100000'
+      }
+    });
+    process.exitCode = result.status === null ? 1 : result.status;
+  } finally {
+    await adminQuery(`DROP DATABASE IF EXISTS ${databaseName}`);
+  }
+};
+
+run().catch(err => {
+  console.error('Error running tests:', err);
+  process.exitCode = 1;
+});
@@ -1,20 +1,46 @@
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 require('dotenv').config();
 
 // Import middleware and utilities
 const { setupSecurity, corsOptions } = require('./middleware/security');
-const { createTables, checkDataIntegrity } = require('./utils/database');
+const { authenticate, authenticateEventStream, authorize } = require('./middleware/auth');
+const { auditWrites } = require('./middleware/audit');
+const { getJwtSecret } = require('./utils/auth');
+const { getStorage } = require('./utils/storage');
+const { BALANCE_CAP_SQL } = require('./utils/leaveTypes');
+const { startAccrualScheduler } = require('./utils/accrual');
+const { registerLeaveNotifications } = require('./utils/notifications');
+const { startEmailQueue } = require('./utils/email');
+const { startDigestScheduler } = require('./utils/digest');
+const { startNotificationListener } = require('./utils/notificationStream');
+const { findLedgerMismatches } = require('./utils/ledger');
+const { checkDataIntegrity } = require('./utils/database');
+const { assertNoPendingMigrations } = require('./utils/migrations');
 
 // Import routes
+const authRouter = require('./routes/auth');
 const employeesRouter = require('./routes/employees');
 const leavesRouter = require('./routes/leaves');
 const notificationsRouter = require('./routes/notifications');
+const notificationStreamRouter = require('./routes/notificationStream');
+const holidaysRouter = require('./routes/holidays');
+const leaveTypesRouter = require('./routes/leaveTypes');
+const accrualsRouter = require('./routes/accruals');
+const auditRouter = require('./routes/audit');
+const calendarRouter = require('./routes/calendar');
+const staffingRouter = require('./routes/staffing');
+const documentsRouter = require('./routes/documents');
 
 const app = express();
 const port = process.env.PORT || 5000;
 
+// Behind a reverse proxy, trust it for client IPs (audit log, rate limiting)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Security middleware setup
 setupSecurity(app);
 
@@ -25,13 +51,22 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static file serving
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
-app.use('/api/employees', employeesRouter);
-app.use('/api/leaves', leavesRouter);
-app.use('/api/notifications', notificationsRouter);
+app.use('/api/auth', authRouter);
+app.use('/api/employees', authenticate, auditWrites('employee'), employeesRouter);
+app.use('/api/leaves', authenticate, auditWrites('leave'), leavesRouter);
+// Event streams also take the access token in the query string (see authenticateEventStream)
+app.use('/api/notifications/stream', authenticateEventStream, notificationStreamRouter);
+app.use('/api/notifications', authenticate, auditWrites('notification'), notificationsRouter);
+app.use('/api/holidays', authenticate, auditWrites('holiday'), holidaysRouter);
+app.use('/api/leave-types', authenticate, auditWrites('leave_type'), leaveTypesRouter);
+app.use('/api/accruals', authenticate, auditWrites('accrual'), accrualsRouter);
+app.use('/api/staffing', authenticate, auditWrites('staffing'), staffingRouter);
+app.use('/api/audit', authenticate, auditRouter);
+// Feeds authenticate with a feed token; token management routes use an access token
+app.use('/api/calendar', auditWrites('calendar_feed'), calendarRouter);
+// Signed document URLs carry their own authorization
+app.use('/api/documents', documentsRouter);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -57,7 +92,7 @@ app.get('/api/health', async (req, res) => {
 });
 
 // System health and data integrity status
-app.get('/api/system/health', async (req, res) => {
+app.get('/api/system/health', authenticate, authorize('system:health'), async (req, res) => {
   try {
     const pool = require('./config/database');
     
@@ -66,15 +101,19 @@ app.get('/api/system/health', async (req, res) => {
     
     // Check for data integrity issues
     const negativeBalances = await pool.query(`
-      SELECT COUNT(*) as count FROM employees 
-      WHERE cl_balance < 0 OR rh_balance < 0 OR el_balance < 0
+      SELECT COUNT(DISTINCT employee_id) as count FROM employee_leave_balances
+      WHERE balance < 0
     `);
     
     const highBalances = await pool.query(`
-      SELECT COUNT(*) as count FROM employees 
-      WHERE cl_balance > 30 OR rh_balance > 15 OR el_balance > 30
+      SELECT COUNT(DISTINCT b.employee_id) as count
+      FROM employee_leave_balances b
+      JOIN leave_types t ON b.leave_type = t.code
+      WHERE b.balance > ${BALANCE_CAP_SQL}
     `);
     
+    const ledgerMismatches = await findLedgerMismatches();
+    
     const totalEmployees = await pool.query('SELECT COUNT(*) as count FROM employees');
     const totalLeaves = await pool.query('SELECT COUNT(*) as count FROM leaves');
     
@@ -89,7 +128,12 @@ app.get('/api/system/health', async (req, res) => {
         totalLeaves: totalLeaves.rows[0].count,
         negativeBalances: negativeBalances.rows[0].count,
         highBalances: highBalances.rows[0].count,
-        needsAttention: (negativeBalances.rows[0].count > 0 || highBalances.rows[0].count > 0)
+        ledgerMismatches: ledgerMismatches.length,
+        needsAttention: (
+          negativeBalances.rows[0].count > 0 ||
+          highBalances.rows[0].count > 0 ||
+          ledgerMismatches.length > 0
+        )
       }
     });
   } catch (err) {
@@ -107,9 +151,16 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       system: '/api/system/health',
+      auth: '/api/auth',
       employees: '/api/employees',
       leaves: '/api/leaves',
-      notifications: '/api/notifications'
+      notifications: '/api/notifications',
+      holidays: '/api/holidays',
+      leaveTypes: '/api/leave-types',
+      accruals: '/api/accruals',
+      staffing: '/api/staffing',
+      audit: '/api/audit',
+      calendar: '/api/calendar'
     }
   });
 });
@@ -154,12 +205,31 @@ app.use((err, req, res, next) => {
 // Initialize database and start server
 async function startServer() {
   try {
-    // Create database tables
-    await createTables();
-    console.log('Database tables initialized');
+    // Fail fast if tokens cannot be signed or documents cannot be stored
+    getJwtSecret();
+    getStorage();
+
+    // Refuse to serve against a schema that is behind the code
+    await assertNoPendingMigrations();
+    console.log('Database schema is up to date');
     
     // Run data integrity check after 5 seconds
     setTimeout(checkDataIntegrity, 5000);
+
+    // Credit leave balances as each accrual period comes due
+    startAccrualScheduler();
+
+    // Notify applicants and approvers as leaves move through their lifecycle
+    registerLeaveNotifications();
+
+    // Send queued notification emails, retrying failures
+    startEmailQueue();
+
+    // Summarise pending approvals for approvers on a daily or weekly digest
+    startDigestScheduler();
+
+    // Push notification changes from every instance to this instance's event streams
+    startNotificationListener();
     
     // Start server
     app.listen(port, () => {
@@ -185,5 +255,9 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-// Start the server
-startServer(); 
\ No newline at end of file
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
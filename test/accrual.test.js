@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pool, createEmployee, getBalance, startApp } = require('./helpers');
+
+describe('accrual scheduler setting', () => {
+  // The setting as a fresh process reads it from the environment
+  const schedulerEnabled = (value) => {
+    const env = { ...process.env };
+    delete env.ACCRUAL_SCHEDULER_ENABLED;
+    if (value !== undefined) env.ACCRUAL_SCHEDULER_ENABLED = value;
+
+    const result = spawnSync(process.execPath, [
+      '-e',
+      `process.stdout.write(String(require(${JSON.stringify(path.join(__dirname, '../config/accrual'))}).ACCRUAL_SCHEDULER_ENABLED))`
+    ], { env, encoding: 'utf8' });
+    return result.stdout;
+  };
+
+  it('is off unless set to true', () => {
+    assert.equal(schedulerEnabled(undefined), 'false');
+    assert.equal(schedulerEnabled('1'), 'false');
+    assert.equal(schedulerEnabled('true'), 'true');
+  });
+});
+
+// Runs credit every employee hired before the period, and the other suites' employees are
+// hired in 2020, so runs for 2019 only touch the employees created here. EL is credited
+// half-yearly, in January and July.
+const PERIOD = '2019-07';
+
+describe('accrual runs', () => {
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const run = (path, body, as = hrAdmin) => app.request('POST', `/api/accruals${path}`, { as, body });
+
+  it('previews, commits once and reverses the credits of a period', async () => {
+    const employee = await createEmployee({ hire_date: '2019-01-01', balances: { EL: 1 } });
+
+    const preview = await run('/preview', { run_type: 'PERIODIC', period: PERIOD });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.blocked_reason, null);
+    const entry = preview.body.entries.find(row => row.employee_id === employee.employee_id && row.leave_type === 'EL');
+    assert.ok(entry.delta > 0);
+    assert.equal(await getBalance(employee.employee_id, 'EL'), 1);
+
+    const committed = await run('/runs', { run_type: 'PERIODIC', period: PERIOD });
+    assert.equal(committed.status, 201, committed.body.message);
+    assert.equal(await getBalance(employee.employee_id, 'EL'), 1 + entry.delta);
+    assert.equal((await run('/runs', { run_type: 'PERIODIC', period: PERIOD })).status, 409);
+
+    const reversed = await run(`/runs/${committed.body.run.id}/reverse`);
+    assert.equal(reversed.status, 200);
+    assert.equal(await getBalance(employee.employee_id, 'EL'), 1);
+    assert.equal((await run(`/runs/${committed.body.run.id}/reverse`)).status, 409);
+  });
+
+  it('refuses future months, January before the year-end run and bad periods', async () => {
+    const nextYear = new Date().getFullYear() + 1;
+
+    assert.equal((await run('/runs', { run_type: 'PERIODIC', period: `${nextYear}-01` })).status, 400);
+    assert.equal((await run('/runs', { run_type: 'PERIODIC', period: '2019-01' })).status, 400);
+    assert.equal((await run('/runs', { run_type: 'PERIODIC', period: '2019' })).status, 400);
+    assert.equal((await run('/preview', { run_type: 'MONTHLY', period: PERIOD })).status, 400);
+  });
+
+  it('keeps runs to HR', async () => {
+    const employee = await createEmployee();
+    assert.equal((await run('/preview', { run_type: 'PERIODIC', period: PERIOD }, employee)).status, 403);
+  });
+});
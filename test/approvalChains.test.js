@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { APPROVER_ROLES, getApprovalLevels } = require('../config/approvalChains');
+
+const { REPORTING_OFFICER, HOD } = APPROVER_ROLES;
+
+describe('getApprovalLevels', () => {
+  it('adds the head of department to long EL only', () => {
+    assert.deepEqual(getApprovalLevels('EL', 12), [REPORTING_OFFICER, HOD]);
+    assert.deepEqual(getApprovalLevels('EL', 3), [REPORTING_OFFICER]);
+    assert.deepEqual(getApprovalLevels('CL', 12), [REPORTING_OFFICER]);
+  });
+});
+
+describe('multi-level leave approval', () => {
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const apply = async (employee, leaveType, startDate, endDate) => {
+    const response = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: leaveType, start_date: startDate, end_date: endDate, reason: 'Test leave' }
+    });
+    assert.equal(response.status, 201, response.body.message);
+    return response.body.leave;
+  };
+
+  const decide = (approver, leave, status = 'APPROVED') => app.request('PUT', `/api/leaves/${leave.id}/status`, {
+    as: approver,
+    body: { status }
+  });
+
+  const leaveStatus = async (leave) => {
+    const result = await pool.query('SELECT status FROM leaves WHERE id = $1', [leave.id]);
+    return result.rows[0].status;
+  };
+
+  it('routes long EL through the reporting officer and then the head of department', async () => {
+    const hod = await createEmployee({ role: 'MANAGER' });
+    const manager = await createEmployee({ role: 'MANAGER', department: hod.department });
+    const employee = await createEmployee({ manager_id: manager.employee_id, department: hod.department });
+
+    const setHead = await app.request('PUT', `/api/employees/departments/${encodeURIComponent(hod.department)}/head`, {
+      as: hrAdmin,
+      body: { hod_id: hod.employee_id }
+    });
+    assert.equal(setHead.status, 200);
+
+    const leave = await apply(employee, 'EL', upcomingDate(1, 0), upcomingDate(2, 4));
+    assert.deepEqual(
+      leave.approvals.map(step => [step.approver_role, step.approver_id]),
+      [[REPORTING_OFFICER, manager.employee_id], [HOD, hod.employee_id]]
+    );
+
+    assert.equal((await decide(hod, leave)).status, 403);
+
+    const first = await decide(manager, leave);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'PENDING_L2');
+
+    assert.equal((await decide(manager, leave)).status, 403);
+    assert.equal((await decide(hod, leave)).status, 200);
+    assert.equal(await leaveStatus(leave), 'APPROVED');
+  });
+
+  it('ends the chain on a rejection at any level', async () => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id });
+    const leave = await apply(employee, 'CL', upcomingDate(1, 0), upcomingDate(1, 1));
+
+    const badRemarks = await app.request('PUT', `/api/leaves/${leave.id}/status`, {
+      as: manager,
+      body: { status: 'REJECTED', remarks: ['Too busy'] }
+    });
+    assert.equal(badRemarks.status, 400);
+    assert.equal(await leaveStatus(leave), 'PENDING');
+
+    assert.equal((await decide(manager, leave, 'REJECTED')).status, 200);
+    assert.equal(await leaveStatus(leave), 'REJECTED');
+    assert.equal((await decide(manager, leave)).status, 400);
+  });
+
+  it('leaves a level without an approver to HR admins and never to the applicant', async () => {
+    const employee = await createEmployee({ role: 'MANAGER' });
+    const leave = await apply(employee, 'CL', upcomingDate(1, 0), upcomingDate(1, 1));
+    assert.equal(leave.approvals[0].approver_id, null);
+
+    assert.equal((await decide(employee, leave)).status, 403);
+    assert.equal((await decide(hrAdmin, leave)).status, 200);
+    assert.equal(await leaveStatus(leave), 'APPROVED');
+  });
+});
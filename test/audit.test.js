@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+const { pool, createEmployee, startApp } = require('./helpers');
+const { redact } = require('../utils/audit');
+
+describe('redact', () => {
+  it('drops credentials at any depth and keeps everything else', () => {
+    assert.deepEqual(
+      redact({ employee_id: 'E1', password_hash: 'x', sessions: [{ token_hash: 'y', id: 1 }] }),
+      { employee_id: 'E1', sessions: [{ id: 1 }] }
+    );
+  });
+});
+
+describe('audit log', () => {
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // Entries are written once the response has finished, so wait for them to appear
+  const auditEntries = async (query, count = 1) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const response = await app.request('GET', `/api/audit?${new URLSearchParams(query)}`, { as: hrAdmin });
+      assert.equal(response.status, 200);
+      if (response.body.entries.length >= count) return response.body.entries;
+      await delay(20);
+    }
+    assert.fail(`Expected ${count} audit entries for ${JSON.stringify(query)}`);
+  };
+
+  it('records the actor and before/after snapshots of a write, without credentials', async () => {
+    const employee = await createEmployee();
+
+    const updated = await app.request('PUT', `/api/employees/${employee.employee_id}`, {
+      as: hrAdmin,
+      body: { position: 'Senior Tester', password: 'battery-staple' }
+    });
+    assert.equal(updated.status, 200);
+
+    const [entry] = await auditEntries({ entity_id: employee.employee_id, action: 'employee.update' });
+    assert.equal(entry.actor_id, hrAdmin.employee_id);
+    assert.equal(entry.actor_role, 'HR_ADMIN');
+    assert.equal(entry.method, 'PUT');
+    assert.equal(entry.before.position, 'Tester');
+    assert.equal(entry.after.position, 'Senior Tester');
+    assert.equal(entry.after.password_hash, undefined);
+  });
+
+  it('does not record failed writes', async () => {
+    const employee = await createEmployee();
+
+    const refused = await app.request('PUT', `/api/employees/${employee.employee_id}`, {
+      as: hrAdmin,
+      body: { email: 'not-an-email' }
+    });
+    assert.equal(refused.status, 400);
+
+    await app.request('PUT', `/api/employees/${employee.employee_id}`, { as: hrAdmin, body: { position: 'Lead' } });
+    const entries = await auditEntries({ entity_id: employee.employee_id });
+    assert.deepEqual(entries.map(entry => entry.action), ['employee.update']);
+  });
+
+  it('keeps the audit log to administrators', async () => {
+    const employee = await createEmployee();
+    assert.equal((await app.request('GET', '/api/audit', { as: employee })).status, 403);
+  });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, startApp } = require('./helpers');
+
+describe('authentication', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const login = (employee, password) => app.request('POST', '/api/auth/login', {
+    body: { employee_id: employee.employee_id, password }
+  });
+
+  const refresh = (refreshToken) => app.request('POST', '/api/auth/refresh', {
+    body: { refresh_token: refreshToken }
+  });
+
+  it('logs in with the employee ID or email and returns a token pair', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+
+    const byId = await login(employee, 'correct-horse');
+    assert.equal(byId.status, 200);
+    assert.ok(byId.body.access_token);
+    assert.ok(byId.body.refresh_token);
+    assert.equal(byId.body.employee.password_hash, undefined);
+
+    const byEmail = await app.request('POST', '/api/auth/login', {
+      body: { email: employee.email.toUpperCase(), password: 'correct-horse' }
+    });
+    assert.equal(byEmail.status, 200);
+
+    const me = await app.request('GET', '/api/auth/me', {
+      headers: { Authorization: `Bearer ${byId.body.access_token}` }
+    });
+    assert.equal(me.body.employee.employee_id, employee.employee_id);
+  });
+
+  it('rejects a wrong password and an employee without one', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const withoutPassword = await createEmployee();
+
+    assert.equal((await login(employee, 'wrong-horse')).status, 401);
+    assert.equal((await login(withoutPassword, 'anything-at-all')).status, 401);
+    assert.equal((await login({ employee_id: `${employee.employee_id}X` }, 'correct-horse')).status, 401);
+  });
+
+  it('matches the identifier against the field it was sent as, and only as a string', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const loginWith = (body) => app.request('POST', '/api/auth/login', { body: { password: 'correct-horse', ...body } });
+
+    assert.equal((await loginWith({ email: employee.employee_id })).status, 401);
+    assert.equal((await loginWith({ employee_id: employee.email })).status, 401);
+    assert.equal((await loginWith({ employee_id: [employee.employee_id] })).status, 400);
+    assert.equal((await loginWith({ email: { $ne: '' } })).status, 400);
+    assert.equal((await loginWith({ employee_id: employee.employee_id, password: 12345678 })).status, 400);
+  });
+
+  it('requires an access token for the API', async () => {
+    assert.equal((await app.request('GET', '/api/employees')).status, 401);
+    assert.equal((await app.request('GET', '/api/employees', {
+      headers: { Authorization: 'Bearer not-a-token' }
+    })).status, 401);
+  });
+
+  it('rotates refresh tokens and ends every session when a rotated one is replayed', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const first = (await login(employee, 'correct-horse')).body.refresh_token;
+
+    const rotated = await refresh(first);
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refresh_token, first);
+
+    assert.equal((await refresh(first)).status, 401);
+    assert.equal((await refresh(rotated.body.refresh_token)).status, 401);
+  });
+
+  it('revokes the refresh session on logout', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const { refresh_token } = (await login(employee, 'correct-horse')).body;
+
+    assert.equal((await app.request('POST', '/api/auth/logout', { body: { refresh_token } })).status, 200);
+    assert.equal((await refresh(refresh_token)).status, 401);
+  });
+
+  it('revokes every session when the employee changes their password', async () => {
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const { refresh_token } = (await login(employee, 'correct-horse')).body;
+
+    const wrongCurrent = await app.request('PUT', '/api/auth/password', {
+      as: employee,
+      body: { current_password: 'wrong-horse', new_password: 'battery-staple' }
+    });
+    assert.equal(wrongCurrent.status, 401);
+
+    const changed = await app.request('PUT', '/api/auth/password', {
+      as: employee,
+      body: { current_password: 'correct-horse', new_password: 'battery-staple' }
+    });
+    assert.equal(changed.status, 200);
+
+    assert.equal((await refresh(refresh_token)).status, 401);
+    assert.equal((await login(employee, 'correct-horse')).status, 401);
+    assert.equal((await login(employee, 'battery-staple')).status, 200);
+  });
+
+  it('revokes every session when an administrator resets the password', async () => {
+    const admin = await createEmployee({ role: 'HR_ADMIN' });
+    const employee = await createEmployee({ password: 'correct-horse' });
+    const { refresh_token } = (await login(employee, 'correct-horse')).body;
+
+    const reset = await app.request('PUT', `/api/employees/${employee.employee_id}`, {
+      as: admin,
+      body: { password: 'battery-staple' }
+    });
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.employee.password_hash, undefined);
+
+    assert.equal((await refresh(refresh_token)).status, 401);
+    assert.equal((await login(employee, 'battery-staple')).status, 200);
+  });
+});
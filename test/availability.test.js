@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+
+describe('team availability', () => {
+  let app;
+  let manager;
+  let full;
+  let half;
+  let pending;
+
+  before(async () => {
+    app = await startApp();
+    manager = await createEmployee({ role: 'MANAGER' });
+    const team = { manager_id: manager.employee_id, department: manager.department };
+    full = await createEmployee(team);
+    half = await createEmployee(team);
+    pending = await createEmployee(team);
+
+    // Monday-Tuesday off, a Monday forenoon off, and a Monday leave still pending
+    const apply = async (employee, body) => {
+      const response = await app.request('POST', '/api/leaves', {
+        as: employee,
+        body: { leave_type: 'CL', reason: 'Test leave', ...body }
+      });
+      assert.equal(response.status, 201, response.body.message);
+      return response.body.leave;
+    };
+    for (const [employee, body] of [
+      [full, { start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1) }],
+      [half, { start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 0), start_session: 'FIRST_HALF' }]
+    ]) {
+      const leave = await apply(employee, body);
+      await app.request('PUT', `/api/leaves/${leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+    }
+    await apply(pending, { start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 0) });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const availability = (query, as = manager) => app.request('GET', `/api/leaves/availability?${query}`, { as });
+
+  it('lists who is away each day with the headcount present', async () => {
+    const response = await availability(`from=${upcomingDate(1, 0)}&to=${upcomingDate(1, 6)}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.days.length, 7);
+
+    const [monday, tuesday, wednesday] = response.body.days;
+    assert.equal(monday.headcount, 4);
+    assert.equal(monday.on_leave, 1.5);
+    assert.equal(monday.present, 2.5);
+    assert.deepEqual(
+      monday.absent.map(absence => [absence.employee_id, absence.session]).sort(),
+      [[full.employee_id, 'FULL'], [half.employee_id, 'FIRST_HALF']].sort()
+    );
+    assert.equal(tuesday.present, 3);
+    assert.equal(wednesday.absent.length, 0);
+
+    const sunday = response.body.days[6];
+    assert.equal(sunday.due, 0);
+    assert.equal(sunday.present, 0);
+  });
+
+  it('counts pending leaves when asked', async () => {
+    const response = await availability(`from=${upcomingDate(1, 0)}&to=${upcomingDate(1, 0)}&include_pending=true`);
+    const [monday] = response.body.days;
+    assert.equal(monday.on_leave, 2.5);
+    assert.ok(monday.absent.some(absence => absence.employee_id === pending.employee_id && absence.status === 'PENDING'));
+  });
+
+  it('shows a department only within the caller\'s scope, and validates the range', async () => {
+    const outsider = await createEmployee({ role: 'MANAGER' });
+    const response = await availability(`department=${encodeURIComponent(manager.department)}`, outsider);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.employees.length, 0);
+
+    assert.equal((await availability(`from=${upcomingDate(1, 1)}&to=${upcomingDate(1, 0)}`)).status, 400);
+    assert.equal((await availability(`from=${upcomingDate(0, 0)}&to=${upcomingDate(20, 0)}`)).status, 400);
+  });
+});
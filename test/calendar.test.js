@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const {
+  eachDateKey,
+  countChargeableDays,
+  calculateChargeableDays,
+  sessionSlots
+} = require('../utils/calendar');
+
+// March 2027: Mon 1 ... Fri 5, Sat 6, Sun 7, Mon 8. Assumes the default Saturday/Sunday weekend.
+const NO_HOLIDAYS = new Set();
+
+describe('eachDateKey', () => {
+  it('lists every date in the range inclusive, across month ends', () => {
+    assert.deepEqual(eachDateKey('2027-02-27', '2027-03-02'), ['2027-02-27', '2027-02-28', '2027-03-01', '2027-03-02']);
+  });
+});
+
+describe('countChargeableDays', () => {
+  it('skips weekends', () => {
+    assert.equal(countChargeableDays('2027-03-05', '2027-03-08', NO_HOLIDAYS), 2);
+  });
+
+  it('skips holidays', () => {
+    assert.equal(countChargeableDays('2027-03-01', '2027-03-05', new Set(['2027-03-03'])), 4);
+  });
+
+  it('charges weekends and holidays between leave days under the sandwich rule', () => {
+    assert.equal(countChargeableDays('2027-03-05', '2027-03-08', NO_HOLIDAYS, true), 4);
+    assert.equal(countChargeableDays('2027-03-02', '2027-03-04', new Set(['2027-03-03']), true), 3);
+  });
+
+  it('does not charge weekends at either end under the sandwich rule', () => {
+    assert.equal(countChargeableDays('2027-03-06', '2027-03-09', NO_HOLIDAYS, true), 2);
+    assert.equal(countChargeableDays('2027-03-04', '2027-03-07', NO_HOLIDAYS, true), 2);
+  });
+
+  it('charges nothing for a range of only weekends and holidays', () => {
+    assert.equal(countChargeableDays('2027-03-06', '2027-03-07', NO_HOLIDAYS), 0);
+    assert.equal(countChargeableDays('2027-03-05', '2027-03-07', new Set(['2027-03-05']), true), 0);
+  });
+});
+
+describe('sessionSlots', () => {
+  it('gives overlapping slots only to half-days that share a session', () => {
+    const [, forenoonEnd] = sessionSlots('2027-03-01', '2027-03-01', 'FIRST_HALF', 'FIRST_HALF');
+    const [afternoonStart] = sessionSlots('2027-03-01', '2027-03-01', 'SECOND_HALF', 'SECOND_HALF');
+    assert.ok(forenoonEnd < afternoonStart);
+
+    const [fullStart, fullEnd] = sessionSlots('2027-03-01', '2027-03-01', 'FULL', 'FULL');
+    assert.ok(fullStart <= forenoonEnd && afternoonStart <= fullEnd);
+  });
+});
+
+describe('holiday calendar', () => {
+  // Holidays here only apply to this office, so other suites are unaffected
+  const location = `Office ${process.pid}`;
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const addHoliday = (employee, holidayDate, holidayLocation = location) => app.request('POST', '/api/holidays', {
+    as: employee,
+    body: { holiday_date: holidayDate, name: 'Test holiday', location: holidayLocation }
+  });
+
+  it('lets HR manage holidays, one per date and location', async () => {
+    const employee = await createEmployee();
+
+    assert.equal((await addHoliday(employee, '2027-03-03')).status, 403);
+    assert.equal((await addHoliday(hrAdmin, '2027-03-03')).status, 201);
+    assert.equal((await addHoliday(hrAdmin, '2027-03-03')).status, 409);
+
+    const listed = await app.request('GET', `/api/holidays?year=2027&location=${encodeURIComponent(location)}`, { as: employee });
+    assert.ok(listed.body.holidays.some(holiday => holiday.location === location));
+  });
+
+  it('skips holidays of the employee\'s office only', async () => {
+    assert.equal(await calculateChargeableDays('2027-03-01', '2027-03-05', 'CL', location), 4);
+    assert.equal(await calculateChargeableDays('2027-03-01', '2027-03-05', 'CL', 'Elsewhere'), 5);
+  });
+
+  it('applies the sandwich rule to sandwich leave types', async () => {
+    assert.equal(await calculateChargeableDays('2027-03-05', '2027-03-08', 'CL', location), 2);
+    assert.equal(await calculateChargeableDays('2027-03-05', '2027-03-08', 'EL', location), 4);
+  });
+
+  it('takes half a day off for a half-day session on a working start or end date', async () => {
+    const sessions = { startSession: 'SECOND_HALF', endSession: 'FIRST_HALF' };
+    assert.equal(await calculateChargeableDays('2027-03-01', '2027-03-02', 'CL', location, sessions), 1);
+    assert.equal(await calculateChargeableDays('2027-03-01', '2027-03-01', 'CL', location, { startSession: 'FIRST_HALF' }), 0.5);
+    assert.equal(await calculateChargeableDays('2027-03-03', '2027-03-04', 'CL', location, sessions), 0.5);
+  });
+
+  it('charges leave requests for working days only', async () => {
+    const employee = await createEmployee({ location });
+    const apply = (leaveType, startDate, endDate) => app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: leaveType, start_date: startDate, end_date: endDate, reason: 'Test leave' }
+    });
+
+    const overWeekend = await apply('CL', upcomingDate(0, 4), upcomingDate(1, 0));
+    assert.equal(overWeekend.status, 201);
+    assert.equal(overWeekend.body.leave.days, 2);
+
+    const weekendOnly = await apply('CL', upcomingDate(2, 5), upcomingDate(2, 6));
+    assert.equal(weekendOnly.status, 400);
+  });
+
+  it('lets a forenoon and an afternoon leave share a date, but not a session', async () => {
+    const employee = await createEmployee({ location });
+    const apply = (startSession) => app.request('POST', '/api/leaves', {
+      as: employee,
+      body: {
+        leave_type: 'CL',
+        start_date: upcomingDate(3, 1),
+        end_date: upcomingDate(3, 1),
+        start_session: startSession,
+        reason: 'Test leave'
+      }
+    });
+
+    const forenoon = await apply('FIRST_HALF');
+    assert.equal(forenoon.status, 201);
+    assert.equal(forenoon.body.leave.days, 0.5);
+
+    assert.equal((await apply('SECOND_HALF')).status, 201);
+    assert.equal((await apply('FIRST_HALF')).status, 400);
+  });
+});
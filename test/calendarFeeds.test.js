@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const morgan = require('morgan');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { buildCalendar } = require('../utils/ical');
+
+describe('buildCalendar', () => {
+  it('escapes text, ends all-day events the day after and folds long lines', () => {
+    const calendar = buildCalendar({
+      name: 'Leave; IT, Ops',
+      events: [{
+        uid: 'leave-1@test',
+        start: '2027-03-01',
+        end: '2027-03-02',
+        summary: 'A'.repeat(80),
+        updatedAt: '2027-01-01T10:15:00Z'
+      }]
+    });
+
+    assert.match(calendar, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(calendar, /X-WR-CALNAME:Leave\\; IT\\, Ops\r\n/);
+    assert.match(calendar, /DTEND;VALUE=DATE:20270303\r\n/);
+    assert.match(calendar, /SUMMARY:A{67}\r\n A{13}\r\n/);
+  });
+});
+
+describe('calendar feeds', () => {
+  let app;
+  let manager;
+  let employee;
+
+  before(async () => {
+    app = await startApp();
+    manager = await createEmployee({ role: 'MANAGER' });
+    employee = await createEmployee({ manager_id: manager.employee_id, department: manager.department });
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1), reason: 'Test leave' }
+    });
+    await app.request('PUT', `/api/leaves/${applied.body.leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const createToken = async (owner) => {
+    const response = await app.request('POST', '/api/calendar/feed-token', { as: owner });
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  // Fetch a feed URL returned by the API through the test server
+  const fetchFeed = (url) => app.request('GET', new URL(url).pathname + new URL(url).search);
+
+  it('serves approved leaves to the token\'s owner and their manager', async () => {
+    const { feeds } = await createToken(employee);
+
+    const own = await fetchFeed(feeds.employee);
+    assert.equal(own.status, 200);
+    assert.match(own.headers.get('content-type'), /^text\/calendar/);
+    assert.match(own.body, new RegExp(`DTSTART;VALUE=DATE:${upcomingDate(1, 0).replace(/-/g, '')}`));
+
+    const team = await fetchFeed((await createToken(manager)).feeds.department);
+    assert.match(team.body, /BEGIN:VEVENT/);
+  });
+
+  it('refuses unknown, replaced and revoked tokens, and feeds outside the owner\'s scope', async () => {
+    const outsider = await createEmployee();
+    const { token } = await createToken(outsider);
+    const feedPath = (id, feedToken) => `/api/calendar/feeds/employee/${id}.ics?token=${feedToken}`;
+
+    assert.equal((await app.request('GET', feedPath(outsider.employee_id, 'not-a-token'))).status, 401);
+    assert.equal((await app.request('GET', feedPath(employee.employee_id, token))).status, 403);
+
+    const { token: replacement } = await createToken(outsider);
+    assert.equal((await app.request('GET', feedPath(outsider.employee_id, token))).status, 401);
+
+    assert.equal((await app.request('DELETE', '/api/calendar/feed-token', { as: outsider })).status, 200);
+    assert.equal((await app.request('GET', feedPath(outsider.employee_id, replacement))).status, 401);
+  });
+
+  it('masks feed tokens in the request log', () => {
+    assert.equal(
+      morgan.url({ originalUrl: '/api/calendar/feeds/employee/E1.ics?token=secret&x=1' }),
+      '/api/calendar/feeds/employee/E1.ics?token=[redacted]&x=1'
+    );
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, getBalance, upcomingDate, startApp } = require('./helpers');
+
+describe('leave cancellation', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // An employee and their manager, with a Monday-Friday CL approved
+  const setupApprovedLeave = async () => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id, balances: { CL: 10 } });
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 4), reason: 'Test leave' }
+    });
+    assert.equal(applied.status, 201, applied.body.message);
+
+    const leave = applied.body.leave;
+    const approved = await app.request('PUT', `/api/leaves/${leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+    assert.equal(approved.status, 200, approved.body.message);
+
+    return { manager, employee, leave };
+  };
+
+  const requestCancellation = (employee, leave, body = {}) => app.request('POST', `/api/leaves/${leave.id}/cancellation`, {
+    as: employee,
+    body: { reason: 'Plans changed', ...body }
+  });
+
+  const decide = (approver, leave, status = 'APPROVED') => app.request('PUT', `/api/leaves/${leave.id}/cancellation/status`, {
+    as: approver,
+    body: { status }
+  });
+
+  const getLeave = async (leave) => (await pool.query('SELECT * FROM leaves WHERE id = $1', [leave.id])).rows[0];
+
+  it('cancels a whole leave and credits its days back once approved', async () => {
+    const { manager, employee, leave } = await setupApprovedLeave();
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 5);
+
+    assert.equal((await requestCancellation(employee, leave)).status, 201);
+    assert.equal((await requestCancellation(employee, leave)).status, 409);
+    assert.equal((await getLeave(leave)).status, 'APPROVED');
+
+    const decided = await decide(manager, leave);
+    assert.equal(decided.status, 200);
+    assert.equal(decided.body.days_restored, 5);
+    assert.equal((await getLeave(leave)).status, 'CANCELLED');
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 10);
+  });
+
+  it('keeps one of two cancellation requests sent at the same time', async () => {
+    const { employee, leave } = await setupApprovedLeave();
+
+    const statuses = (await Promise.all([requestCancellation(employee, leave), requestCancellation(employee, leave)])).map(r => r.status);
+    assert.deepEqual(statuses.sort(), [201, 409]);
+
+    const pending = await pool.query("SELECT id FROM leave_cancellations WHERE leave_id = $1 AND status = 'PENDING'", [leave.id]);
+    assert.equal(pending.rows.length, 1);
+  });
+
+  it('credits the days back once when a cancellation is approved twice at the same time', async () => {
+    const { manager, employee, leave } = await setupApprovedLeave();
+    assert.equal((await requestCancellation(employee, leave)).status, 201);
+
+    const statuses = (await Promise.all([decide(manager, leave), decide(manager, leave)])).map(r => r.status);
+    assert.deepEqual(statuses.sort(), [200, 404]);
+    assert.equal((await getLeave(leave)).status, 'CANCELLED');
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 10);
+  });
+
+  it('shortens a leave and credits back the days after the new end date', async () => {
+    const { manager, employee, leave } = await setupApprovedLeave();
+
+    const requested = await requestCancellation(employee, leave, { new_end_date: upcomingDate(1, 1) });
+    assert.equal(requested.status, 201);
+    assert.equal((await decide(manager, leave)).status, 200);
+
+    const shortened = await getLeave(leave);
+    assert.equal(shortened.status, 'APPROVED');
+    assert.equal(shortened.days, 2);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 8);
+  });
+
+  it('keeps the balance when a cancellation is rejected', async () => {
+    const { manager, employee, leave } = await setupApprovedLeave();
+
+    await requestCancellation(employee, leave);
+    const badRemarks = await app.request('PUT', `/api/leaves/${leave.id}/cancellation/status`, {
+      as: manager,
+      body: { status: 'REJECTED', remarks: { text: 'No' } }
+    });
+    assert.equal(badRemarks.status, 400);
+
+    assert.equal((await decide(manager, leave, 'REJECTED')).status, 200);
+    assert.equal((await getLeave(leave)).status, 'APPROVED');
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 5);
+    assert.equal((await decide(manager, leave)).status, 404);
+  });
+
+  it('lets only the leave\'s approvers decide, never the applicant', async () => {
+    const { employee, leave } = await setupApprovedLeave();
+    const otherManager = await createEmployee({ role: 'MANAGER' });
+
+    await requestCancellation(employee, leave);
+    assert.equal((await decide(otherManager, leave)).status, 403);
+    assert.equal((await decide(employee, leave)).status, 403);
+  });
+
+  it('rejects invalid new end dates and leaves that are not approved', async () => {
+    const { employee, leave } = await setupApprovedLeave();
+
+    assert.equal((await requestCancellation(employee, leave, { new_end_date: upcomingDate(1, 4) })).status, 400);
+    assert.equal((await requestCancellation(employee, leave, { new_end_date: upcomingDate(0, 4) })).status, 400);
+
+    const pending = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(3, 0), end_date: upcomingDate(3, 0), reason: 'Test leave' }
+    });
+    assert.equal((await requestCancellation(employee, pending.body.leave)).status, 400);
+  });
+
+  it('refuses to cancel days already taken', async () => {
+    const { employee, leave } = await setupApprovedLeave();
+    await pool.query(
+      "UPDATE leaves SET start_date = CURRENT_DATE - 3, end_date = CURRENT_DATE - 1 WHERE id = $1",
+      [leave.id]
+    );
+
+    assert.equal((await requestCancellation(employee, leave)).status, 400);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { lastDigestDue, nextDigestDue, runDigests } = require('../utils/digest');
+const { createNotification } = require('../utils/notifications');
+
+// Assumes the default DIGEST_HOUR (9) and DIGEST_WEEKDAY (1, Monday)
+describe('digest schedule', () => {
+  // Wednesday 3 March 2027, 08:00 server time
+  const now = new Date(2027, 2, 3, 8);
+
+  it('falls due daily at the digest hour', () => {
+    assert.deepEqual(lastDigestDue('DAILY', now), new Date(2027, 2, 2, 9));
+    assert.deepEqual(nextDigestDue('DAILY', now), new Date(2027, 2, 3, 9));
+  });
+
+  it('falls due weekly on the digest weekday', () => {
+    assert.deepEqual(lastDigestDue('WEEKLY', now), new Date(2027, 2, 1, 9));
+    assert.deepEqual(nextDigestDue('WEEKLY', now), new Date(2027, 2, 8, 9));
+  });
+});
+
+describe('notification preferences and digests', () => {
+  const memoType = `MEMO_${process.pid}`;
+  let app;
+  let hrAdmin;
+  let manager;
+  let employee;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+    manager = await createEmployee({ role: 'MANAGER' });
+    employee = await createEmployee({ manager_id: manager.employee_id, department: manager.department });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const updatePreferences = (user, body, as = user) => app.request('PUT', `/api/notifications/user/${user.employee_id}/preferences`, { as, body });
+
+  it('validates preferences and keeps them to their user', async () => {
+    assert.equal((await updatePreferences(manager, { digest_frequency: 'HOURLY' })).status, 400);
+    assert.equal((await updatePreferences(manager, { types: [{ type: memoType, in_app: 'yes' }] })).status, 400);
+    assert.equal((await updatePreferences(manager, { digest_frequency: 'DAILY' }, employee)).status, 403);
+  });
+
+  it('leaves types turned off in the app out of the user\'s notifications', async () => {
+    const updated = await updatePreferences(manager, { types: [{ type: memoType, in_app: false }] });
+    assert.equal(updated.status, 200);
+    const memo = updated.body.preferences.types.find(preference => preference.type === memoType);
+    assert.deepEqual([memo.in_app, memo.email], [false, true]);
+
+    const broadcast = await app.request('POST', '/api/notifications', {
+      as: hrAdmin,
+      body: { type: memoType, message: 'Team lunch', department: manager.department }
+    });
+    assert.equal(broadcast.body.notification.recipient_count, 1);
+  });
+
+  it('holds approval requests back for a digest of what is still pending', async () => {
+    const updated = await updatePreferences(manager, { digest_frequency: 'DAILY' });
+    assert.equal(updated.body.preferences.digest_frequency, 'DAILY');
+
+    const leaveRequest = await createNotification({ type: 'Leave Request', message: 'Please review', userId: manager.employee_id });
+    assert.equal(leaveRequest.recipient_count, 0);
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1), reason: 'Test leave' }
+    });
+    assert.equal(applied.status, 201);
+
+    const preview = await app.request('GET', `/api/notifications/user/${manager.employee_id}/digest`, { as: manager });
+    assert.equal(preview.body.count, 1);
+    assert.match(preview.body.message, new RegExp(`${employee.employee_id}\\): 2 day\\(s\\)`));
+
+    // A new frequency waits for the next scheduled digest; pretend it is already due
+    await runDigests();
+    await pool.query('UPDATE notification_settings SET digest_sent_at = NULL WHERE user_id = $1', [manager.employee_id]);
+    await runDigests();
+    await runDigests();
+
+    const digests = await pool.query(
+      "SELECT message FROM notifications WHERE user_id = $1 AND type = 'Approval Digest'",
+      [manager.employee_id]
+    );
+    assert.deepEqual(digests.rows.map(row => row.message), [preview.body.message]);
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep this suite's documents out of the uploads directory
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'leave-documents-'));
+
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { documentContentType } = require('../utils/storage');
+
+describe('documentContentType', () => {
+  it('derives the content type from the extension only', () => {
+    assert.equal(documentContentType('leave-documents/1-a.PDF'), 'application/pdf');
+    assert.equal(documentContentType('scan.jpeg'), 'image/jpeg');
+    assert.equal(documentContentType('page.html'), 'application/octet-stream');
+  });
+});
+
+describe('leave documents', () => {
+  let app;
+  let employee;
+
+  before(async () => {
+    app = await startApp();
+    employee = await createEmployee();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+  });
+
+  const applyWithDocument = async (weeksAhead, filename, type, content) => {
+    const form = new FormData();
+    form.append('leave_type', 'CL');
+    form.append('start_date', upcomingDate(weeksAhead, 0));
+    form.append('end_date', upcomingDate(weeksAhead, 0));
+    form.append('reason', 'Test leave');
+    form.append('document', new Blob([content], { type }), filename);
+
+    const response = await app.request('POST', '/api/leaves', { as: employee, body: form });
+    assert.equal(response.status, 201, response.body.message);
+    return response.body.leave;
+  };
+
+  it('stores the content type of the extension and downloads non-images as attachments', async () => {
+    const leave = await applyWithDocument(1, 'Medical report.pdf', 'application/pdf', '%PDF-1.4 test');
+    assert.equal(leave.document_type, 'application/pdf');
+
+    const response = await app.request('GET', `/api/leaves/${leave.id}/document`, { as: employee });
+    assert.equal(response.status, 200);
+    assert.equal(response.body, '%PDF-1.4 test');
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="Medical report.pdf"/);
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+
+    const outsider = await createEmployee();
+    assert.equal((await app.request('GET', `/api/leaves/${leave.id}/document`, { as: outsider })).status, 403);
+  });
+
+  it('shows images inline through a signed URL that cannot be altered', async () => {
+    const leave = await applyWithDocument(2, 'scan.png', 'image/png', 'not really a png');
+
+    const signed = await app.request('GET', `/api/leaves/${leave.id}/document/url`, { as: employee });
+    assert.equal(signed.status, 200);
+    const url = new URL(signed.body.url);
+
+    const response = await app.request('GET', url.pathname + url.search);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.match(response.headers.get('content-disposition'), /^inline/);
+
+    url.searchParams.set('signature', '0'.repeat(64));
+    assert.equal((await app.request('GET', url.pathname + url.search)).status, 403);
+  });
+});
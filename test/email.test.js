@@ -0,0 +1,150 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+// A minimal SMTP server that keeps every message it accepts and refuses recipients
+// at refused.test
+const startSmtpCatcher = async () => {
+  const messages = [];
+
+  const server = net.createServer(socket => {
+    let message = null;
+    let buffer = '';
+
+    // Reply to one command line
+    const reply = (line) => {
+      switch (line.substring(0, 4).toUpperCase()) {
+        case 'MAIL':
+          message = { to: [], reading: false };
+          return '250 OK';
+        case 'RCPT':
+          if (/refused\.test/.test(line)) return '550 No such user';
+          message.to.push(line.replace(/^RCPT TO:<(.*)>.*$/i, '$1'));
+          return '250 OK';
+        case 'DATA':
+          message.reading = true;
+          return '354 Go ahead';
+        case 'QUIT':
+          return '221 Bye';
+        default:
+          return '250 OK';
+      }
+    };
+
+    socket.write('220 catcher ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        const reading = message && message.reading;
+        const end = buffer.indexOf(reading ? '\r\n.\r\n' : '\r\n');
+        if (end < 0) return;
+
+        if (reading) {
+          messages.push({ to: message.to, data: buffer.substring(0, end) });
+          message = null;
+          buffer = buffer.substring(end + 5);
+          socket.write('250 Queued\r\n');
+        } else {
+          const response = reply(buffer.substring(0, end));
+          buffer = buffer.substring(end + 2);
+          socket.write(`${response}\r\n`);
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, messages, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+describe('notification email', () => {
+  let smtp;
+  let helpers;
+  let email;
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    // The email settings are read when first loaded, so point them at the catcher first
+    smtp = await startSmtpCatcher();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    helpers = require('./helpers');
+    email = require('../utils/email');
+
+    app = await helpers.startApp();
+    hrAdmin = await helpers.createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await smtp.close();
+    await helpers.pool.end();
+  });
+
+  const notify = async (employee) => {
+    const response = await app.request('POST', '/api/notifications', {
+      as: hrAdmin,
+      body: { type: 'Reminder', message: 'Submit <timesheets>', user_id: employee.employee_id }
+    });
+    assert.equal(response.status, 201);
+    return response.body.notification;
+  };
+
+  const deliveries = async (notification, as = hrAdmin) => {
+    const response = await app.request('GET', `/api/notifications/${notification.id}/deliveries`, { as });
+    assert.equal(response.status, 200);
+    return response.body.deliveries;
+  };
+
+  it('queues an email with each notification and sends it from the queue', async () => {
+    const employee = await helpers.createEmployee({ full_name: 'Mail Recipient' });
+    const notification = await notify(employee);
+
+    const [queued] = await deliveries(notification);
+    assert.equal(queued.status, 'PENDING');
+    assert.equal(queued.recipient, employee.email);
+
+    await email.processEmailQueue();
+
+    const [sent] = await deliveries(notification, employee);
+    assert.equal(sent.status, 'SENT');
+    assert.equal(sent.attempts, 1);
+
+    const message = smtp.messages.find(item => item.to.includes(employee.email));
+    assert.match(message.data, /Subject: \[Employee Nexus\] Reminder/);
+    assert.match(message.data, /Dear Mail Recipient/);
+
+    const listed = await app.request('GET', `/api/notifications/user/${employee.employee_id}`, { as: employee });
+    assert.equal(listed.body.notifications[0].email_status, 'SENT');
+  });
+
+  it('retries failed sends later and gives up after the last attempt', async () => {
+    const employee = await helpers.createEmployee();
+    await helpers.pool.query('UPDATE employees SET email = $1 WHERE employee_id = $2', [
+      `${employee.employee_id.toLowerCase()}@refused.test`,
+      employee.employee_id
+    ]);
+    const notification = await notify(employee);
+
+    await email.processEmailQueue();
+    let [delivery] = await deliveries(notification);
+    assert.equal(delivery.status, 'PENDING');
+    assert.equal(delivery.attempts, 1);
+    assert.match(delivery.last_error, /No such user/);
+    assert.ok(new Date(delivery.next_attempt_at) > new Date());
+
+    // Not due yet
+    await email.processEmailQueue();
+    assert.equal((await deliveries(notification))[0].attempts, 1);
+
+    await helpers.pool.query(
+      'UPDATE notification_deliveries SET attempts = 4, next_attempt_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [delivery.id]
+    );
+    await email.processEmailQueue();
+    [delivery] = await deliveries(notification);
+    assert.equal(delivery.status, 'FAILED');
+    assert.equal(delivery.attempts, 5);
+  });
+});
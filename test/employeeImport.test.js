@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, getBalance, startApp } = require('./helpers');
+const { parseCsv } = require('../utils/csv');
+
+describe('parseCsv', () => {
+  it('handles quoted fields with commas, quotes and line breaks, and a byte order mark', () => {
+    assert.deepEqual(
+      parseCsv('\uFEFFid,name\r\n1,"Rao, ""Anil""\nJr"\n\n2,Beena'),
+      [['id', 'name'], ['1', 'Rao, "Anil"\nJr'], ['2', 'Beena']]
+    );
+  });
+
+  it('throws on an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('id,name\n1,"Rao'), /Unterminated/);
+  });
+});
+
+describe('employee CSV import', () => {
+  const HEADER = 'employee_id,full_name,email,department,position,hire_date,manager_id,balance_CL';
+  let app;
+  let hrAdmin;
+  let sequence = 0;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // A CSV row for a new employee with a unique ID
+  const newRow = ({ managerId = '', balance = '' } = {}) => {
+    const employeeId = `I${process.pid}N${++sequence}`;
+    return {
+      employeeId,
+      line: `${employeeId},Imported ${sequence},${employeeId.toLowerCase()}@example.test,Imports,Clerk,2024-01-15,${managerId},${balance}`
+    };
+  };
+
+  const upload = (rows, query = '', as = hrAdmin) => {
+    const form = new FormData();
+    form.append('file', new Blob([[HEADER, ...rows].join('\n')], { type: 'text/csv' }), 'employees.csv');
+    return app.request('POST', `/api/employees/import${query}`, { as, body: form });
+  };
+
+  const employeeExists = async (employeeId) => {
+    const result = await pool.query('SELECT 1 FROM employees WHERE employee_id = $1', [employeeId]);
+    return result.rows.length > 0;
+  };
+
+  it('reports every row on a dry run without importing', async () => {
+    const manager = newRow();
+    const report = newRow({ managerId: manager.employeeId, balance: 5 });
+
+    const response = await upload([manager.line, report.line], '?dry_run=true');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { total: 2, create: 2, update: 0, failed: 0 });
+    assert.equal(await employeeExists(manager.employeeId), false);
+  });
+
+  it('imports nothing when any row fails, and reports the errors per row', async () => {
+    const valid = newRow();
+    const badEmail = newRow();
+
+    const response = await upload([valid.line, badEmail.line.replace(/,[^,]+@example\.test,/, ',not-an-email,'), valid.line]);
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.rows.map(row => row.errors.length > 0), [false, true, true]);
+    assert.match(response.body.rows[2].errors.join(), /Duplicate employee ID \(also on row 2\)/);
+    assert.equal(await employeeExists(valid.employeeId), false);
+  });
+
+  it('creates employees with managers from the same file and opening balances', async () => {
+    const manager = newRow();
+    const report = newRow({ managerId: manager.employeeId, balance: 5 });
+
+    const response = await upload([report.line, manager.line]);
+    assert.equal(response.status, 201, response.body.message);
+
+    const result = await pool.query('SELECT manager_id FROM employees WHERE employee_id = $1', [report.employeeId]);
+    assert.equal(result.rows[0].manager_id, manager.employeeId);
+    assert.equal(await getBalance(report.employeeId, 'CL'), 5);
+  });
+
+  it('updates existing employees only in upsert mode', async () => {
+    const employee = await createEmployee({ balances: { CL: 2 } });
+    const line = `${employee.employee_id},Renamed,${employee.email},Imports,Clerk,2020-01-01,,7`;
+
+    assert.equal((await upload([line])).status, 422);
+
+    const response = await upload([line], '?mode=upsert');
+    assert.equal(response.status, 201, response.body.message);
+    assert.equal(response.body.summary.update, 1);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 7);
+  });
+
+  it('keeps imports to HR', async () => {
+    assert.equal((await upload([newRow().line], '', await createEmployee())).status, 403);
+  });
+});
@@ -0,0 +1,86 @@
+// Shared test fixtures. `npm test` points DB_NAME at a disposable database; the tests
+// refuse to run against any other.
+if (!/^leave_test_/.test(process.env.DB_NAME || '')) {
+  throw new Error('Run the tests with `npm test`, which creates a disposable database');
+}
+
+const pool = require('../config/database');
+const { isAdminRole } = require('../config/permissions');
+const { hashPassword, signAccessToken } = require('../utils/auth');
+const { getBalance, initializeBalances } = require('../utils/leaveTypes');
+
+let sequence = 0;
+
+// Insert an employee with a unique ID and the yearly quota of every leave type. Pass
+// `password` to allow logging in, and `balances` (e.g. { CL: 10 }) to open some balances at other amounts.
+const createEmployee = async (fields = {}) => {
+  const employeeId = `T${process.pid}N${++sequence}`;
+  const result = await pool.query(`
+    INSERT INTO employees (
+      employee_id, full_name, email, department, position, location, hire_date,
+      role, is_admin, manager_id, password_hash
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *
+  `, [
+    employeeId,
+    fields.full_name || `Test ${employeeId}`,
+    `${employeeId.toLowerCase()}@example.test`,
+    fields.department || `Department ${employeeId}`,
+    fields.position || 'Tester',
+    fields.location || null,
+    fields.hire_date || '2020-01-01',
+    fields.role || 'EMPLOYEE',
+    isAdminRole(fields.role),
+    fields.manager_id || null,
+    fields.password ? await hashPassword(fields.password) : null
+  ]);
+  const employee = result.rows[0];
+
+  await initializeBalances(pool, employee, fields.balances);
+
+  return employee;
+};
+
+// Date key of a weekday (0 = Monday ... 6 = Sunday) in the week starting `weeksAhead`
+// weeks after next Monday, so it is always in the future
+const upcomingDate = (weeksAhead, weekday = 0) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7 || 7) + 7 * weeksAhead + weekday);
+  return date.toISOString().substring(0, 10);
+};
+
+// Serve the app on a free port. `request` calls it, as `options.as` (an employee) when given,
+// sending `options.body` as JSON or, when it is a FormData, as a multipart upload.
+const startApp = async () => {
+  const app = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { as, body, headers = {} } = {}) => {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(as ? { Authorization: `Bearer ${signAccessToken(as)}` } : {}),
+        ...(isJson ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: isJson ? JSON.stringify(body) : body
+    });
+    const text = await response.text();
+    const isJsonResponse = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJsonResponse ? JSON.parse(text) : text };
+  };
+
+  return { baseUrl, request, close: () => new Promise(resolve => server.close(resolve)) };
+};
+
+module.exports = {
+  pool,
+  createEmployee,
+  getBalance,
+  upcomingDate,
+  startApp
+};
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+const { pool, createEmployee, getBalance, upcomingDate, startApp } = require('./helpers');
+
+describe('leave approval', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // A fresh applicant reporting to a fresh manager, with a CL balance
+  const setupTeam = async (balance) => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id, balances: { CL: balance } });
+    return { manager, employee };
+  };
+
+  // Apply for a Monday-Tuesday CL `weeksAhead` weeks out
+  const applyForLeave = async (employee, weeksAhead) => {
+    const response = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(weeksAhead, 0), end_date: upcomingDate(weeksAhead, 1), reason: 'Test leave' }
+    });
+    assert.equal(response.status, 201, response.body.message);
+    return response.body.leave;
+  };
+
+  const approve = (manager, leave, headers = {}) => app.request('PUT', `/api/leaves/${leave.id}/status`, {
+    as: manager,
+    body: { status: 'APPROVED' },
+    headers
+  });
+
+  const approvalEntries = async (employee) => {
+    const result = await pool.query(
+      'SELECT * FROM leave_ledger WHERE employee_id = $1 AND entry_type = \'LEAVE_APPROVED\'',
+      [employee.employee_id]
+    );
+    return result.rows;
+  };
+
+  it('debits the balance once when a leave is approved twice at the same time', async () => {
+    const { manager, employee } = await setupTeam(10);
+    const leave = await applyForLeave(employee, 3);
+
+    const statuses = (await Promise.all([approve(manager, leave), approve(manager, leave)])).map(response => response.status);
+
+    assert.deepEqual(statuses.sort(), [200, 400]);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 8);
+    assert.equal((await approvalEntries(employee)).length, 1);
+  });
+
+  it('re-checks the balance when approving leaves that together exceed it', async () => {
+    const { manager, employee } = await setupTeam(3);
+    const first = await applyForLeave(employee, 3);
+    const second = await applyForLeave(employee, 4);
+
+    const statuses = (await Promise.all([approve(manager, first), approve(manager, second)])).map(response => response.status);
+
+    assert.deepEqual(statuses.sort(), [200, 409]);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 1);
+  });
+
+  it('replays the original response to a retry with the same Idempotency-Key', async () => {
+    const { manager, employee } = await setupTeam(10);
+    const leave = await applyForLeave(employee, 3);
+    const headers = { 'Idempotency-Key': `approve-${leave.id}` };
+
+    const first = await approve(manager, leave, headers);
+    assert.equal(first.status, 200);
+
+    // The response is stored once it has been sent, so a retry may briefly find it in progress
+    let retry;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      retry = await approve(manager, leave, headers);
+      if (retry.status !== 409) break;
+      await delay(20);
+    }
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 8);
+
+    const reused = await app.request('PUT', `/api/leaves/${leave.id}/status`, {
+      as: manager,
+      body: { status: 'REJECTED' },
+      headers
+    });
+    assert.equal(reused.status, 422);
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+describe('toCsv', () => {
+  it('quotes separators and defuses spreadsheet formulas', () => {
+    const columns = [{ header: 'Name', value: row => row.name }, { header: 'Days', value: row => row.days }];
+    assert.equal(
+      toCsv(columns, [{ name: 'Rao, "Anil"', days: 2 }, { name: '=HYPERLINK("x")', days: -1 }]),
+      'Name,Days\r\n"Rao, ""Anil""",2\r\n"\'=HYPERLINK(""x"")",-1\r\n'
+    );
+  });
+});
+
+describe('leave register export', () => {
+  let app;
+  let manager;
+  let employee;
+  let leave;
+
+  before(async () => {
+    app = await startApp();
+    manager = await createEmployee({ role: 'MANAGER', full_name: 'Register Manager' });
+    employee = await createEmployee({ manager_id: manager.employee_id, position: 'Clerk', full_name: 'Register Employee' });
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1), reason: 'Family visit' }
+    });
+    leave = applied.body.leave;
+    await app.request('PUT', `/api/leaves/${leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const exportRegister = (query, as = manager) => app.request('GET', `/api/leaves/export?${query}`, { as });
+
+  it('exports the filtered register as CSV with the employee, designation and approver', async () => {
+    const response = await exportRegister(`employee_id=${employee.employee_id}&status=APPROVED`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename="leave-register-.*\.csv"$/);
+
+    const [header, ...rows] = parseCsv(response.body);
+    assert.equal(rows.length, 1);
+    const row = Object.fromEntries(header.map((name, column) => [name, rows[0][column]]));
+    assert.equal(row['Employee Name'], 'Register Employee');
+    assert.equal(row.Designation, 'Clerk');
+    assert.equal(row.From, upcomingDate(1, 0));
+    assert.equal(row.Approver, 'Register Manager');
+
+    const rejected = await exportRegister(`employee_id=${employee.employee_id}&status=REJECTED`);
+    assert.equal(parseCsv(rejected.body).length, 1);
+  });
+
+  it('exports a PDF', async () => {
+    const response = await exportRegister(`format=pdf&employee_id=${employee.employee_id}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.ok(response.body.startsWith('%PDF'));
+  });
+
+  it('limits exports to the caller\'s team and to known formats', async () => {
+    const otherManager = await createEmployee({ role: 'MANAGER' });
+    const outside = await exportRegister(`employee_id=${employee.employee_id}`, otherManager);
+    assert.equal(parseCsv(outside.body).length, 1);
+
+    assert.equal((await exportRegister('format=xlsx')).status, 400);
+    assert.equal((await exportRegister('', employee)).status, 403);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('node:timers/promises');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { registerLeaveNotifications } = require('../utils/notifications');
+const { renderTemplate } = require('../utils/templates');
+
+describe('renderTemplate', () => {
+  it('fills placeholders and shows missing values as a dash', () => {
+    assert.equal(renderTemplate('{employee_name} on {start_date}: {remarks}', { employee_name: 'Anil', start_date: '2027-03-01', remarks: '' }), 'Anil on 2027-03-01: -');
+  });
+});
+
+describe('leave lifecycle notifications', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+    registerLeaveNotifications();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // Notifications are created after the response, so wait until `count` have arrived
+  const notificationsFor = async (employee, count) => {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const result = await pool.query('SELECT type, message FROM notifications WHERE user_id = $1 ORDER BY id', [employee.employee_id]);
+      if (result.rows.length >= count) return result.rows;
+      await delay(20);
+    }
+    assert.fail(`Expected ${count} notification(s) for ${employee.employee_id}`);
+  };
+
+  const setupLeave = async () => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id, full_name: 'Notified Employee' });
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1), reason: 'Family visit' }
+    });
+    assert.equal(applied.status, 201);
+    return { manager, employee, leave: applied.body.leave };
+  };
+
+  it('tells the approver about a new request and the applicant about the decision', async () => {
+    const { manager, employee, leave } = await setupLeave();
+
+    const [request] = await notificationsFor(manager, 1);
+    assert.equal(request.type, 'Leave Request');
+    assert.match(request.message, new RegExp(`^Notified Employee \\(${employee.employee_id}\\) applied for 2 day\\(s\\)`));
+    assert.match(request.message, /Reason: Family visit$/);
+
+    await app.request('PUT', `/api/leaves/${leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+    const [decision] = await notificationsFor(employee, 1);
+    assert.equal(decision.type, 'Leave Approved');
+    assert.match(decision.message, new RegExp(`from ${upcomingDate(1, 0)} to ${upcomingDate(1, 1)}`));
+
+    // Nobody is told about their own action
+    assert.equal((await notificationsFor(manager, 1)).length, 1);
+  });
+
+  it('passes rejection remarks on to the applicant', async () => {
+    const { manager, employee, leave } = await setupLeave();
+
+    await app.request('PUT', `/api/leaves/${leave.id}/status`, {
+      as: manager,
+      body: { status: 'REJECTED', remarks: 'Audit week' }
+    });
+    const [decision] = await notificationsFor(employee, 1);
+    assert.equal(decision.type, 'Leave Rejected');
+    assert.match(decision.message, /Remarks: Audit week$/);
+  });
+});
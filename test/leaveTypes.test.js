@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, getBalance, upcomingDate, startApp } = require('./helpers');
+const { APPROVER_ROLES, getApprovalLevels } = require('../config/approvalChains');
+
+describe('leave type catalogue', () => {
+  // Leave types are shared by every suite, so this one gets a code of its own
+  const code = `T${process.pid}`;
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const createLeaveType = (employee, body) => app.request('POST', '/api/leave-types', { as: employee, body });
+
+  it('lets HR add leave types with a unique code', async () => {
+    const employee = await createEmployee();
+    const body = { code, name: 'Test leave', yearly_quota: 5, max_per_request: 5 };
+
+    assert.equal((await createLeaveType(employee, body)).status, 403);
+    assert.equal((await createLeaveType(hrAdmin, { ...body, code: 'NOT VALID' })).status, 400);
+
+    const created = await createLeaveType(hrAdmin, body);
+    assert.equal(created.status, 201, created.body.message);
+    assert.equal(created.body.leave_type.code, code);
+    assert.equal((await createLeaveType(hrAdmin, body)).status, 409);
+
+    // Employees hired after the type was added open it at the yearly quota too
+    assert.equal(await getBalance(employee.employee_id, code), 5);
+    assert.equal(await getBalance((await createEmployee()).employee_id, code), 5);
+  });
+
+  it('routes a new leave type through the default approval chain', async () => {
+    assert.deepEqual(getApprovalLevels(code, 30), [APPROVER_ROLES.REPORTING_OFFICER]);
+
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id });
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: code, start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 1), reason: 'Test leave' }
+    });
+    assert.equal(applied.status, 201, applied.body.message);
+    assert.deepEqual(
+      applied.body.leave.approvals.map(step => [step.approver_role, step.approver_id]),
+      [[APPROVER_ROLES.REPORTING_OFFICER, manager.employee_id]]
+    );
+
+    const approved = await app.request('PUT', `/api/leaves/${applied.body.leave.id}/status`, {
+      as: manager,
+      body: { status: 'APPROVED' }
+    });
+    assert.equal(approved.status, 200, approved.body.message);
+    assert.equal(await getBalance(employee.employee_id, code), 3);
+  });
+
+  it('refuses new leaves of a deactivated type', async () => {
+    const deactivated = `D${process.pid}`;
+    assert.equal((await createLeaveType(hrAdmin, { code: deactivated, name: 'Retired leave', yearly_quota: 5 })).status, 201);
+    assert.equal((await app.request('DELETE', `/api/leave-types/${deactivated}`, { as: hrAdmin })).status, 200);
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: await createEmployee(),
+      body: { leave_type: deactivated, start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 0), reason: 'Test leave' }
+    });
+    assert.equal(applied.status, 400);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, getBalance, upcomingDate, startApp } = require('./helpers');
+const { LEDGER_ENTRY_TYPES, postLedgerEntry, setLedgerBalance, findLedgerMismatches } = require('../utils/ledger');
+const { normalizeEmployeeBalances, checkDataIntegrity } = require('../utils/database');
+
+// Post an entry in its own transaction, as the routes do
+const postInTransaction = async (entry) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const balance = await postLedgerEntry(client, entry);
+    await client.query('COMMIT');
+    return balance;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+const ledgerEntries = async (employeeId, leaveType) => {
+  const result = await pool.query(
+    'SELECT entry_type, delta, balance_after, actor_id, leave_id FROM leave_ledger WHERE employee_id = $1 AND leave_type = $2 ORDER BY id',
+    [employeeId, leaveType]
+  );
+  return result.rows;
+};
+
+describe('leave ledger', () => {
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  it('keeps the balance equal to the ledger under concurrent entries', async () => {
+    const employee = await createEmployee({ balances: { CL: 5 } });
+
+    const balances = await Promise.all(Array.from({ length: 8 }, () => postInTransaction({
+      employeeId: employee.employee_id,
+      leaveType: 'CL',
+      delta: 1,
+      entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT
+    })));
+
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 13);
+    // Each entry saw the one before it: the running balances are 6 through 13
+    assert.deepEqual(balances.sort((a, b) => a - b), [6, 7, 8, 9, 10, 11, 12, 13]);
+
+    const mismatches = await findLedgerMismatches();
+    assert.equal(mismatches.filter(row => row.employee_id === employee.employee_id).length, 0);
+  });
+
+  it('posts only the difference when setting a balance', async () => {
+    const employee = await createEmployee({ balances: { EL: 10 } });
+
+    await setLedgerBalance(pool, employee.employee_id, 'EL', 7.5, { entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT });
+    await setLedgerBalance(pool, employee.employee_id, 'EL', 7.5, { entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT });
+
+    const entries = await ledgerEntries(employee.employee_id, 'EL');
+    assert.deepEqual(entries.map(entry => [entry.entry_type, entry.delta, entry.balance_after]), [
+      ['OPENING', 10, 10],
+      ['ADJUSTMENT', -2.5, 7.5]
+    ]);
+  });
+
+  it('records manual adjustments and approved leaves with who made them', async () => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ manager_id: manager.employee_id, balances: { CL: 4 } });
+    const adjust = (days) => app.request('POST', `/api/employees/${employee.employee_id}/balance-adjustments`, {
+      as: hrAdmin,
+      body: { leave_type: 'CL', days, reason: 'Correction' }
+    });
+
+    assert.equal((await adjust(-5)).status, 400);
+    const adjusted = await adjust(2);
+    assert.equal(adjusted.status, 201);
+    assert.equal(adjusted.body.balance, 6);
+
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 0), reason: 'Test leave' }
+    });
+    const leave = applied.body.leave;
+    await app.request('PUT', `/api/leaves/${leave.id}/status`, { as: manager, body: { status: 'APPROVED' } });
+
+    const statement = await app.request('GET', `/api/employees/${employee.employee_id}/ledger?leave_type=CL`, { as: employee });
+    assert.equal(statement.status, 200);
+    assert.equal(statement.body.balances.CL, 5);
+    assert.deepEqual(
+      statement.body.entries.map(entry => [entry.entry_type, entry.delta, entry.actor_id, entry.leave_id]),
+      [
+        ['OPENING', 4, null, null],
+        ['ADJUSTMENT', 2, hrAdmin.employee_id, null],
+        ['LEAVE_APPROVED', -1, manager.employee_id, leave.id]
+      ]
+    );
+  });
+
+  it('reports drifted and out-of-range balances, leaving corrections to an admin', async () => {
+    const employee = await createEmployee({ balances: { CL: 5 } });
+    await pool.query(
+      "UPDATE employee_leave_balances SET balance = 9 WHERE employee_id = $1 AND leave_type = 'CL'",
+      [employee.employee_id]
+    );
+    await postInTransaction({ employeeId: employee.employee_id, leaveType: 'EL', delta: 500, entryType: LEDGER_ENTRY_TYPES.ADJUSTMENT });
+
+    const { mismatches, outOfRange } = await checkDataIntegrity();
+    const own = (rows) => rows.filter(row => row.employee_id === employee.employee_id).map(row => row.leave_type);
+    assert.deepEqual(own(mismatches), ['CL']);
+    assert.deepEqual(own(outOfRange), ['EL']);
+    assert.equal(await getBalance(employee.employee_id, 'CL'), 9);
+
+    await assert.rejects(normalizeEmployeeBalances(employee.employee_id), /acting user/);
+    const fix = (as) => app.request('POST', `/api/employees/${employee.employee_id}/fix-balances`, { as });
+    assert.equal((await fix(employee)).status, 403);
+    const fixed = await fix(hrAdmin);
+    assert.equal(fixed.status, 200);
+
+    const cap = outOfRange.find(row => row.employee_id === employee.employee_id).cap;
+    assert.deepEqual([fixed.body.employee.balances.CL, fixed.body.employee.balances.EL], [5, cap]);
+    assert.deepEqual((await findLedgerMismatches(pool, employee.employee_id)), []);
+
+    const lastEntry = async (leaveType) => (await ledgerEntries(employee.employee_id, leaveType)).pop();
+    assert.deepEqual(Object.values(await lastEntry('CL')), ['INTEGRITY_FIX', 0, 5, hrAdmin.employee_id, null]);
+    const elFix = await lastEntry('EL');
+    assert.deepEqual([elFix.entry_type, elFix.balance_after, elFix.actor_id], ['INTEGRITY_FIX', cap, hrAdmin.employee_id]);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { pool } = require('./helpers');
+const { loadMigrations, getMigrationStatus, assertNoPendingMigrations } = require('../utils/migrations');
+
+const MIGRATE_SCRIPT = path.join(__dirname, '..', 'scripts', 'migrate.js');
+
+const runMigrate = (...args) => spawnSync(process.execPath, [MIGRATE_SCRIPT, ...args], { encoding: 'utf8' });
+
+describe('migrations', () => {
+  after(() => pool.end());
+
+  it('loads the migration files in version order, starting from the baseline', () => {
+    const versions = loadMigrations().map(migration => migration.version);
+    assert.equal(versions[0], 1);
+    assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  });
+
+  it('leaves nothing pending once the test database is migrated', async () => {
+    await assertNoPendingMigrations();
+    const status = await getMigrationStatus();
+    assert.ok(status.every(migration => migration.applied && !migration.missing));
+  });
+
+  it('rejects versions and step counts that are not positive integers', () => {
+    for (const args of [['down', 'abc'], ['down', '0'], ['up', '-1'], ['up', '1.5']]) {
+      const result = runMigrate(...args);
+      assert.equal(result.status, 1, args.join(' '));
+      assert.match(result.stderr, /^Usage:/);
+    }
+  });
+});
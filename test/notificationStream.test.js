@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const morgan = require('morgan');
+const { pool, createEmployee, startApp } = require('./helpers');
+const { signAccessToken } = require('../utils/auth');
+const { createNotification } = require('../utils/notifications');
+
+// Parse Server-Sent Events frames into { id, event, data } objects
+const parseEvents = (text) => text.split('\n\n').filter(frame => /^event: /m.test(frame)).map(frame => {
+  const field = (name) => (frame.match(new RegExp(`^${name}: (.*)$`, 'm')) || [])[1];
+  return { id: field('id'), event: field('event'), data: JSON.parse(field('data')) };
+});
+
+describe('notification stream', () => {
+  let app;
+  let employee;
+
+  before(async () => {
+    app = await startApp();
+    employee = await createEmployee();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // Read the stream until `done` holds for the events received so far, then disconnect
+  const readStream = async (path, done, headers = {}) => {
+    const controller = new AbortController();
+    const response = await fetch(`${app.baseUrl}${path}`, { headers, signal: controller.signal });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const decoder = new TextDecoder();
+    let text = '';
+    try {
+      for await (const chunk of response.body) {
+        text += decoder.decode(chunk, { stream: true });
+        if (done(parseEvents(text))) break;
+      }
+    } finally {
+      controller.abort();
+    }
+    return parseEvents(text);
+  };
+
+  const hasUnreadCount = (events) => events.some(event => event.event === 'unread_count');
+
+  it('takes the access token in the query string and starts with the unread count', async () => {
+    const events = await readStream(`/api/notifications/stream?access_token=${signAccessToken(employee)}`, hasUnreadCount);
+    assert.equal(typeof events.find(event => event.event === 'unread_count').data.count, 'number');
+
+    const refused = await app.request('GET', '/api/notifications/stream?access_token=not-a-token');
+    assert.equal(refused.status, 401);
+  });
+
+  it('replays the notifications after Last-Event-ID to a reconnecting client', async () => {
+    const first = await createNotification({ type: 'TEST', message: 'First', userId: employee.employee_id });
+    const second = await createNotification({ type: 'TEST', message: 'Second', userId: employee.employee_id });
+
+    const events = await readStream('/api/notifications/stream', hasUnreadCount, {
+      Authorization: `Bearer ${signAccessToken(employee)}`,
+      'Last-Event-ID': String(first.id)
+    });
+
+    const replayed = events.filter(event => event.event === 'notification');
+    assert.ok(!replayed.some(event => event.data.id === first.id));
+    const own = replayed.find(event => event.data.id === second.id);
+    assert.equal(own.id, String(second.id));
+    assert.equal(own.data.message, 'Second');
+  });
+
+  it('masks access tokens in the request log', () => {
+    assert.equal(
+      morgan.url({ originalUrl: '/api/notifications/stream?access_token=secret' }),
+      '/api/notifications/stream?access_token=[redacted]'
+    );
+  });
+});
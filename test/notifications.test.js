@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, startApp } = require('./helpers');
+
+describe('notification recipients', () => {
+  // Notifications of this suite only, so broadcasts from other suites are not counted
+  const type = `MEMO_${process.pid}`;
+  let app;
+  let hrAdmin;
+  let manager;
+  let reader;
+  let colleague;
+  let outsider;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+    manager = await createEmployee({ role: 'MANAGER' });
+    reader = await createEmployee({ department: manager.department });
+    colleague = await createEmployee({ department: manager.department });
+    outsider = await createEmployee();
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const broadcast = (body) => app.request('POST', '/api/notifications', {
+    as: hrAdmin,
+    body: { type, message: 'Office closed on Friday', ...body }
+  });
+
+  const listed = async (employee, query = '') => {
+    const response = await app.request('GET', `/api/notifications?type=${type}${query}`, { as: employee });
+    assert.equal(response.status, 200);
+    return response.body.notifications;
+  };
+
+  it('reaches only the audience of a department or role broadcast', async () => {
+    const toDepartment = await broadcast({ department: manager.department });
+    assert.equal(toDepartment.status, 201);
+    assert.equal(toDepartment.body.notification.recipient_count, 3);
+
+    const toManagers = await broadcast({ department: manager.department, role: 'MANAGER' });
+    assert.equal(toManagers.body.notification.recipient_count, 1);
+
+    assert.equal((await listed(reader)).length, 1);
+    assert.equal((await listed(manager)).length, 2);
+    assert.equal((await listed(outsider)).length, 0);
+
+    assert.equal((await broadcast({ department: `Nobody ${process.pid}` })).status, 400);
+    assert.equal((await broadcast({ role: 'ASTRONAUT' })).status, 400);
+    assert.equal((await broadcast({ user_id: reader.employee_id, role: 'MANAGER' })).status, 400);
+  });
+
+  it('keeps read, archived and dismissed state per recipient', async () => {
+    const created = await broadcast({ department: manager.department, role: 'EMPLOYEE', message: 'Per recipient' });
+    const { id } = created.body.notification;
+    const find = async (employee, query) => (await listed(employee, query)).find(row => row.id === id);
+
+    assert.equal((await app.request('PUT', `/api/notifications/${id}/read`, { as: reader })).status, 200);
+    assert.equal((await find(reader)).is_read, true);
+    assert.equal((await find(colleague)).is_read, false);
+
+    assert.equal((await app.request('PUT', `/api/notifications/${id}/archive`, { as: reader })).status, 200);
+    assert.equal(await find(reader), undefined);
+    assert.ok(await find(reader, '&archived=true'));
+
+    // Deleting a broadcast only dismisses the caller's copy
+    assert.equal((await app.request('DELETE', `/api/notifications/${id}`, { as: colleague })).status, 200);
+    assert.equal(await find(colleague), undefined);
+    assert.ok(await find(reader, '&archived=true'));
+
+    assert.equal((await app.request('PUT', `/api/notifications/${id}/read`, { as: outsider })).status, 403);
+  });
+});
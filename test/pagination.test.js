@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+const { parsePagination, parseSort, paginationInfo } = require('../utils/pagination');
+
+describe('pagination helpers', () => {
+  it('clamps limit and offset', () => {
+    assert.deepEqual(parsePagination({}), { limit: 100, offset: 0 });
+    assert.deepEqual(parsePagination({ limit: '9999', offset: '-5' }), { limit: 500, offset: 0 });
+  });
+
+  it('sorts by known fields only, with a tie-breaker', () => {
+    const columns = { name: 'e.full_name' };
+    const options = { defaultSort: 'name', tieBreaker: 'e.id' };
+
+    assert.deepEqual(parseSort({ order: 'desc' }, columns, options), { orderBy: 'e.full_name DESC, e.id DESC' });
+    assert.ok(parseSort({ sort: 'password_hash' }, columns, options).error);
+    assert.ok(parseSort({ order: 'sideways' }, columns, options).error);
+  });
+
+  it('reports whether more rows follow the page', () => {
+    assert.equal(paginationInfo(5, { limit: 2, offset: 2 }).has_more, true);
+    assert.equal(paginationInfo(5, { limit: 2, offset: 4 }).has_more, false);
+  });
+});
+
+describe('paginated listings', () => {
+  let app;
+  let hrAdmin;
+  let department;
+  let employees;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+    department = `Listing ${process.pid}`;
+    employees = [];
+    for (const fullName of ['Carol', 'Alice', 'Bob']) {
+      employees.push(await createEmployee({ full_name: fullName, department }));
+    }
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const list = (path, as = hrAdmin) => app.request('GET', path, { as });
+
+  it('pages, filters and sorts employees with a total count', async () => {
+    const query = `department=${encodeURIComponent(department)}&sort=full_name&order=asc&limit=2`;
+
+    const first = await list(`/api/employees?${query}`);
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.employees.map(employee => employee.full_name), ['Alice', 'Bob']);
+    assert.deepEqual(first.body.pagination, { total: 3, limit: 2, offset: 0, has_more: true });
+
+    const second = await list(`/api/employees?${query}&offset=2`);
+    assert.deepEqual(second.body.employees.map(employee => employee.full_name), ['Carol']);
+    assert.equal(second.body.pagination.has_more, false);
+
+    assert.equal((await list('/api/employees?sort=password_hash')).status, 400);
+  });
+
+  it('filters leaves by status and employee within the caller\'s scope', async () => {
+    const [employee, colleague] = employees;
+    for (const weeksAhead of [1, 2]) {
+      const applied = await app.request('POST', '/api/leaves', {
+        as: employee,
+        body: { leave_type: 'CL', start_date: upcomingDate(weeksAhead, 0), end_date: upcomingDate(weeksAhead, 0), reason: 'Test leave' }
+      });
+      assert.equal(applied.status, 201, applied.body.message);
+    }
+
+    const pending = await list(`/api/leaves?employee_id=${employee.employee_id}&status=PENDING,PENDING_L2&sort=start_date&order=desc`);
+    assert.equal(pending.body.pagination.total, 2);
+    assert.deepEqual(pending.body.leaves.map(leave => leave.start_date.substring(0, 10)), [upcomingDate(2, 0), upcomingDate(1, 0)]);
+
+    const approved = await list(`/api/leaves?employee_id=${employee.employee_id}&status=APPROVED`);
+    assert.equal(approved.body.pagination.total, 0);
+
+    const outOfScope = await list(`/api/leaves?employee_id=${employee.employee_id}`, colleague);
+    assert.equal(outOfScope.body.pagination.total, 0);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, startApp } = require('./helpers');
+const { SCOPES, getScope } = require('../config/permissions');
+
+describe('getScope', () => {
+  it('grants each role its scope and denies roles missing from a permission', () => {
+    assert.equal(getScope('EMPLOYEE', 'employees:read'), SCOPES.OWN);
+    assert.equal(getScope('MANAGER', 'employees:read'), SCOPES.TEAM);
+    assert.equal(getScope('HR_ADMIN', 'employees:read'), SCOPES.ALL);
+    assert.equal(getScope('EMPLOYEE', 'leaves:approve'), null);
+  });
+
+  it('throws on an unknown permission', () => {
+    assert.throws(() => getScope('SYSTEM_ADMIN', 'employees:launch'), /Unknown permission/);
+  });
+});
+
+describe('role-based access', () => {
+  let app;
+  let manager;
+  let report;
+  let outsider;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    manager = await createEmployee({ role: 'MANAGER' });
+    report = await createEmployee({ manager_id: manager.employee_id });
+    outsider = await createEmployee();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // Only this suite's employees, so the listing stays on one page however many exist
+  const listedIds = async (employee) => {
+    const response = await app.request('GET', `/api/employees?search=T${process.pid}N`, { as: employee });
+    assert.equal(response.status, 200);
+    return response.body.employees.map(row => row.employee_id);
+  };
+
+  it('lists only the employees in the caller\'s scope', async () => {
+    assert.deepEqual(await listedIds(report), [report.employee_id]);
+    assert.deepEqual((await listedIds(manager)).sort(), [manager.employee_id, report.employee_id].sort());
+
+    const all = await listedIds(hrAdmin);
+    for (const employee of [manager, report, outsider]) {
+      assert.ok(all.includes(employee.employee_id));
+    }
+  });
+
+  it('refuses records outside the caller\'s scope', async () => {
+    assert.equal((await app.request('GET', `/api/employees/${report.employee_id}`, { as: manager })).status, 200);
+    assert.equal((await app.request('GET', `/api/employees/${outsider.employee_id}`, { as: manager })).status, 403);
+    assert.equal((await app.request('GET', `/api/employees/${manager.employee_id}`, { as: report })).status, 403);
+  });
+
+  it('lists only the heads of departments in the caller\'s scope', async () => {
+    for (const employee of [report, outsider]) {
+      const setHead = await app.request('PUT', `/api/employees/departments/${encodeURIComponent(employee.department)}/head`, {
+        as: hrAdmin,
+        body: { hod_id: manager.employee_id }
+      });
+      assert.equal(setHead.status, 200);
+    }
+
+    const listedDepartments = async (employee) => {
+      const response = await app.request('GET', '/api/employees/departments/heads', { as: employee });
+      assert.equal(response.status, 200);
+      return response.body.departments.map(row => row.department);
+    };
+
+    assert.deepEqual(await listedDepartments(report), [report.department]);
+    assert.ok(!(await listedDepartments(manager)).includes(outsider.department));
+
+    const all = await listedDepartments(hrAdmin);
+    assert.ok(all.includes(report.department) && all.includes(outsider.department));
+  });
+
+  it('keeps employee management and admin roles to the roles granted them', async () => {
+    const asEmployee = await app.request('PUT', `/api/employees/${outsider.employee_id}`, {
+      as: report,
+      body: { position: 'Promoted' }
+    });
+    assert.equal(asEmployee.status, 403);
+
+    const assignAdmin = await app.request('PUT', `/api/employees/${outsider.employee_id}`, {
+      as: hrAdmin,
+      body: { role: 'SYSTEM_ADMIN' }
+    });
+    assert.equal(assignAdmin.status, 403);
+
+    const promote = await app.request('PUT', `/api/employees/${outsider.employee_id}`, {
+      as: hrAdmin,
+      body: { role: 'MANAGER' }
+    });
+    assert.equal(promote.status, 200);
+    assert.equal(promote.body.employee.role, 'MANAGER');
+  });
+});
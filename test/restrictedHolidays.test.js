@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, startApp } = require('./helpers');
+const { RH_YEARLY_QUOTA } = require('../config/leaveCalendar');
+
+// Wednesdays in June 2030; the restricted list only applies to this suite's office
+const RESTRICTED_DATES = ['2030-06-05', '2030-06-12', '2030-06-19'];
+
+describe('restricted holidays', () => {
+  const location = `RH Office ${process.pid}`;
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+
+    for (const holidayDate of RESTRICTED_DATES) {
+      const created = await app.request('POST', '/api/holidays', {
+        as: hrAdmin,
+        body: { holiday_date: holidayDate, name: 'Test restricted holiday', location, type: 'RESTRICTED' }
+      });
+      assert.equal(created.status, 201, created.body.message);
+    }
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  const applyRH = (employee, holidayDate) => app.request('POST', '/api/leaves', {
+    as: employee,
+    body: { leave_type: 'RH', start_date: holidayDate, end_date: holidayDate, reason: 'Test leave' }
+  });
+
+  it('allows RH only on dates from the restricted list', async () => {
+    const employee = await createEmployee({ location });
+
+    assert.equal((await applyRH(employee, '2030-06-06')).status, 400);
+    assert.equal((await applyRH(await createEmployee({ location: 'Elsewhere' }), RESTRICTED_DATES[0])).status, 400);
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[0])).status, 201);
+  });
+
+  it('enforces the yearly quota', async () => {
+    assert.equal(RH_YEARLY_QUOTA, 2);
+    const employee = await createEmployee({ location });
+
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[0])).status, 201);
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[1])).status, 201);
+
+    const overQuota = await applyRH(employee, RESTRICTED_DATES[2]);
+    assert.equal(overQuota.status, 400);
+    assert.match(overQuota.body.message, /quota exceeded for 2030/);
+
+    const available = await app.request('GET', `/api/leaves/employee/${employee.employee_id}/rh-available?year=2030`, { as: employee });
+    assert.equal(available.body.used, 2);
+    assert.equal(available.body.remaining, 0);
+  });
+
+  it('holds to the quota when requests arrive at the same time', async () => {
+    const employee = await createEmployee({ location });
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[0])).status, 201);
+
+    const statuses = (await Promise.all([
+      applyRH(employee, RESTRICTED_DATES[1]),
+      applyRH(employee, RESTRICTED_DATES[2])
+    ])).map(response => response.status);
+    assert.deepEqual(statuses.sort(), [201, 400]);
+  });
+
+  it('counts each date of a leave spanning New Year against its own year', async () => {
+    for (const holidayDate of ['2030-12-31', '2031-01-01']) {
+      await app.request('POST', '/api/holidays', {
+        as: hrAdmin,
+        body: { holiday_date: holidayDate, name: 'Test restricted New Year', location, type: 'RESTRICTED' }
+      });
+    }
+
+    const employee = await createEmployee({ location });
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'RH', start_date: '2030-12-31', end_date: '2031-01-01', reason: 'Test leave' }
+    });
+    assert.equal(applied.status, 201);
+
+    const used = async (year) => (await app.request('GET', `/api/leaves/employee/${employee.employee_id}/rh-available?year=${year}`, { as: employee })).body.used;
+    assert.equal(await used(2030), 1);
+    assert.equal(await used(2031), 1);
+
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[0])).status, 201);
+    assert.equal((await applyRH(employee, RESTRICTED_DATES[1])).status, 400);
+  });
+
+  it('gives back one day per restricted holiday dropped by a cancellation', async () => {
+    // A restricted weekend, which has no working days to count
+    for (const holidayDate of ['2030-06-22', '2030-06-23']) {
+      await app.request('POST', '/api/holidays', {
+        as: hrAdmin,
+        body: { holiday_date: holidayDate, name: 'Test restricted weekend', location, type: 'RESTRICTED' }
+      });
+    }
+
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const employee = await createEmployee({ location, manager_id: manager.employee_id });
+    const applied = await app.request('POST', '/api/leaves', {
+      as: employee,
+      body: { leave_type: 'RH', start_date: '2030-06-22', end_date: '2030-06-23', reason: 'Test leave' }
+    });
+    assert.equal(applied.body.leave.days, 2);
+    const { id } = applied.body.leave;
+    await app.request('PUT', `/api/leaves/${id}/status`, { as: manager, body: { status: 'APPROVED' } });
+
+    const requested = await app.request('POST', `/api/leaves/${id}/cancellation`, {
+      as: employee,
+      body: { reason: 'Plans changed', new_end_date: '2030-06-22' }
+    });
+    assert.equal(requested.body.cancellation.days_to_restore, 1);
+
+    const decided = await app.request('PUT', `/api/leaves/${id}/cancellation/status`, { as: manager, body: { status: 'APPROVED' } });
+    assert.equal(decided.body.days_restored, 1);
+  });
+
+  it('allows a gazetted and a restricted holiday on the same date', async () => {
+    const gazetted = await app.request('POST', '/api/holidays', {
+      as: hrAdmin,
+      body: { holiday_date: RESTRICTED_DATES[2], name: 'Test gazetted holiday', location }
+    });
+    assert.equal(gazetted.status, 201);
+
+    const duplicate = await app.request('POST', '/api/holidays', {
+      as: hrAdmin,
+      body: { holiday_date: RESTRICTED_DATES[2], name: 'Test restricted holiday', location, type: 'RESTRICTED' }
+    });
+    assert.equal(duplicate.status, 409);
+  });
+});
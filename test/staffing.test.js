@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, createEmployee, upcomingDate, startApp } = require('./helpers');
+
+describe('department staffing limits', () => {
+  let app;
+  let hrAdmin;
+
+  before(async () => {
+    app = await startApp();
+    hrAdmin = await createEmployee({ role: 'HR_ADMIN' });
+  });
+
+  after(async () => {
+    await app.close();
+    await pool.end();
+  });
+
+  // A manager with two reports in a department of their own
+  const setupTeam = async () => {
+    const manager = await createEmployee({ role: 'MANAGER' });
+    const team = { manager_id: manager.employee_id, department: manager.department };
+    return { manager, first: await createEmployee(team), second: await createEmployee(team) };
+  };
+
+  const apply = (employee, body = {}) => app.request('POST', '/api/leaves', {
+    as: employee,
+    body: { leave_type: 'CL', start_date: upcomingDate(1, 0), end_date: upcomingDate(1, 0), reason: 'Test leave', ...body }
+  });
+
+  const decide = (approver, leave, body = {}) => app.request('PUT', `/api/leaves/${leave.id}/status`, {
+    as: approver,
+    body: { status: 'APPROVED', ...body }
+  });
+
+  const setRule = (department, body) => app.request('PUT', `/api/staffing/rules/${encodeURIComponent(department)}`, {
+    as: hrAdmin,
+    body
+  });
+
+  it('reports the overlapping people and lets the applicant go ahead knowingly', async () => {
+    const { manager, first, second } = await setupTeam();
+    assert.equal((await setRule(manager.department, { max_absent: 1 })).status, 200);
+
+    const firstLeave = (await apply(first)).body.leave;
+    assert.equal((await decide(manager, firstLeave)).status, 200);
+
+    const refused = await apply(second);
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.conflicts[0].rule, 'MAX_ABSENT');
+    assert.deepEqual(refused.body.conflicts[0].overlapping.map(leave => leave.employee_id), [first.employee_id]);
+
+    const acknowledged = await apply(second, { acknowledge_conflicts: true });
+    assert.equal(acknowledged.status, 201);
+    assert.equal(acknowledged.body.leave.staffing_conflicts.length, 1);
+  });
+
+  it('requires an override reason to approve past the limit, and records it', async () => {
+    const { manager, first, second } = await setupTeam();
+    assert.equal((await setRule(manager.department, { max_absent: 1 })).status, 200);
+
+    const firstLeave = (await apply(first)).body.leave;
+    const secondLeave = (await apply(second)).body.leave;
+    assert.equal((await decide(manager, firstLeave)).status, 200);
+
+    assert.equal((await decide(manager, secondLeave)).status, 409);
+    assert.equal((await decide(manager, secondLeave, { override_reason: 'Cover arranged' })).status, 200);
+
+    const result = await pool.query('SELECT * FROM leaves WHERE id = $1', [secondLeave.id]);
+    assert.equal(result.rows[0].status, 'APPROVED');
+    assert.equal(result.rows[0].staffing_override_reason, 'Cover arranged');
+    assert.equal(result.rows[0].staffing_override_by, manager.employee_id);
+  });
+
+  it('blocks leave in a department\'s blackout periods', async () => {
+    const { manager, first } = await setupTeam();
+    const blackout = await app.request('POST', '/api/staffing/blackouts', {
+      as: hrAdmin,
+      body: { department: manager.department, start_date: upcomingDate(2, 0), end_date: upcomingDate(2, 4), reason: 'Year-end close' }
+    });
+    assert.equal(blackout.status, 201, blackout.body.message);
+
+    const refused = await apply(first, { start_date: upcomingDate(2, 2), end_date: upcomingDate(2, 2) });
+    assert.equal(refused.status, 409);
+    assert.equal((await apply(first, { start_date: upcomingDate(3, 0), end_date: upcomingDate(3, 0) })).status, 201);
+  });
+
+  it('keeps staffing rules to HR and validates them', async () => {
+    const { manager } = await setupTeam();
+    assert.equal((await setRule(manager.department, { max_absent: -1 })).status, 400);
+
+    const asManager = await app.request('PUT', `/api/staffing/rules/${encodeURIComponent(manager.department)}`, {
+      as: manager,
+      body: { max_absent: 5 }
+    });
+    assert.equal(asManager.status, 403);
+  });
+});
@@ -0,0 +1,40 @@
+const pool = require('../config/database');
+const { SCOPES } = require('../config/permissions');
+
+const isSelf = (user, employeeId) => {
+  return typeof employeeId === 'string'
+    && employeeId.trim().toLowerCase() === user.employee_id.toLowerCase();
+};
+
+// Check whether a scope granted to the caller covers a given employee's records
+const canAccessEmployee = async (scope, user, employeeId) => {
+  if (scope === SCOPES.ALL) return true;
+  if (isSelf(user, employeeId)) return true;
+  if (scope !== SCOPES.TEAM) return false;
+
+  const result = await pool.query(
+    'SELECT 1 FROM employees WHERE LOWER(employee_id) = LOWER($1) AND manager_id = $2',
+    [employeeId.trim(), user.employee_id]
+  );
+  return result.rows.length > 0;
+};
+
+// Build a SQL condition restricting `column` (an employee_id column) to the caller's scope.
+// Appends any parameters it needs to `params` and returns the condition text.
+const scopeCondition = (scope, user, column, params) => {
+  if (scope === SCOPES.ALL) return 'TRUE';
+
+  params.push(user.employee_id);
+  const param = `$${params.length}`;
+
+  if (scope === SCOPES.TEAM) {
+    return `(${column} = ${param} OR ${column} IN (SELECT employee_id FROM employees WHERE manager_id = ${param}))`;
+  }
+  return `${column} = ${param}`;
+};
+
+module.exports = {
+  isSelf,
+  canAccessEmployee,
+  scopeCondition
+};
@@ -0,0 +1,358 @@
+const pool = require('../config/database');
+const {
+  ACCRUAL_SCHEDULE,
+  ACCRUAL_SCHEDULER_ENABLED,
+  ACCRUAL_CHECK_INTERVAL_MINUTES,
+  YEAR_END_OPENS_MONTH
+} = require('../config/accrual');
+const { normalizeLeaveBalance } = require('./validation');
+const { balanceCap, isGenderEligible, monthsOfService } = require('./leaveTypes');
+const { LEDGER_ENTRY_TYPES, postLedgerEntry } = require('./ledger');
+
+const RUN_TYPES = {
+  PERIODIC: 'PERIODIC', // credits for one month, period 'YYYY-MM'
+  YEAR_END: 'YEAR_END'  // lapse and carry-forward closing a year, period 'YYYY'
+};
+
+// Split a run period into { year, month }, or null when it does not fit the run type
+const parsePeriod = (runType, period) => {
+  if (runType === RUN_TYPES.PERIODIC && /^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+    return { year: parseInt(period.substring(0, 4)), month: parseInt(period.substring(5, 7)) };
+  }
+  if (runType === RUN_TYPES.YEAR_END && /^\d{4}$/.test(period || '')) {
+    return { year: parseInt(period), month: null };
+  }
+  return null;
+};
+
+const currentPeriod = (now = new Date()) => {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const findCommittedRun = async (runType, period, client = pool) => {
+  const result = await client.query(
+    'SELECT * FROM accrual_runs WHERE run_type = $1 AND period = $2 AND status = \'COMMITTED\'',
+    [runType, period]
+  );
+  return result.rows[0] || null;
+};
+
+// Reason a run may not be committed yet, or null when it may
+const checkRunAllowed = async (runType, { year, month }, client = pool, now = new Date()) => {
+  const nowYear = now.getFullYear();
+  const nowMonth = now.getMonth() + 1;
+
+  if (runType === RUN_TYPES.YEAR_END) {
+    if (year > nowYear || (year === nowYear && nowMonth < YEAR_END_OPENS_MONTH)) {
+      return `The ${year} year-end run cannot be committed before ${year}-${String(YEAR_END_OPENS_MONTH).padStart(2, '0')}`;
+    }
+    return null;
+  }
+
+  if (year * 12 + month > nowYear * 12 + nowMonth) {
+    return 'Credits cannot be run for a future month';
+  }
+
+  // January credits open the new year, so the previous year must be closed first
+  if (month === 1 && !await findCommittedRun(RUN_TYPES.YEAR_END, String(year - 1), client)) {
+    return `The ${year - 1} year-end run must be committed before January ${year} credits`;
+  }
+
+  return null;
+};
+
+// Credits due for a month: each active leave type scheduled to accrue that month credits
+// its share of the yearly quota to every eligible employee hired before the month began,
+// without taking the balance above the leave type's cap
+const computePeriodicEntries = async ({ year, month }, client = pool) => {
+  const periodStart = new Date(year, month - 1, 1);
+
+  const result = await client.query(`
+    SELECT
+      e.employee_id,
+      e.gender,
+      e.hire_date,
+      t.code,
+      t.yearly_quota,
+      t.carry_forward,
+      t.max_carry_forward,
+      t.eligible_gender,
+      t.min_service_months,
+      t.accrual_frequency,
+      COALESCE(b.balance, 0) AS balance
+    FROM employees e
+    CROSS JOIN leave_types t
+    LEFT JOIN employee_leave_balances b ON b.employee_id = e.employee_id AND b.leave_type = t.code
+    WHERE t.is_active = TRUE
+    AND t.accrual_frequency <> 'NONE'
+    AND e.hire_date < $1
+    ORDER BY e.employee_id, t.code
+  `, [periodStart]);
+
+  const entries = [];
+  for (const row of result.rows) {
+    const schedule = ACCRUAL_SCHEDULE[row.accrual_frequency];
+    if (!schedule.months.includes(month)) continue;
+    if (!isGenderEligible(row, row)) continue;
+    if (monthsOfService(row.hire_date, periodStart) < row.min_service_months) continue;
+
+    const credit = normalizeLeaveBalance(row.yearly_quota * schedule.share);
+    const delta = Math.min(credit, Math.max(0, balanceCap(row) - row.balance));
+    if (delta <= 0) continue;
+
+    entries.push({
+      employee_id: row.employee_id,
+      leave_type: row.code,
+      reason: 'CREDIT',
+      balance_before: row.balance,
+      delta,
+      balance_after: row.balance + delta
+    });
+  }
+  return entries;
+};
+
+// Year-end lapses: leave types without carry-forward lapse entirely, the rest keep
+// up to their carry-forward cap
+const computeYearEndEntries = async (client = pool) => {
+  const result = await client.query(`
+    SELECT b.employee_id, b.leave_type, b.balance, t.carry_forward, t.max_carry_forward
+    FROM employee_leave_balances b
+    JOIN leave_types t ON b.leave_type = t.code
+    WHERE t.is_active = TRUE
+    AND b.balance > 0
+    ORDER BY b.employee_id, b.leave_type
+  `);
+
+  const entries = [];
+  for (const row of result.rows) {
+    const carried = row.carry_forward ? Math.min(row.balance, row.max_carry_forward) : 0;
+    const delta = carried - row.balance;
+    if (delta >= 0) continue;
+
+    entries.push({
+      employee_id: row.employee_id,
+      leave_type: row.leave_type,
+      reason: 'LAPSE',
+      balance_before: row.balance,
+      delta,
+      balance_after: carried
+    });
+  }
+  return entries;
+};
+
+const computeEntries = (runType, parsedPeriod, client = pool) => {
+  return runType === RUN_TYPES.YEAR_END
+    ? computeYearEndEntries(client)
+    : computePeriodicEntries(parsedPeriod, client);
+};
+
+// Totals per leave type for a set of entries
+const summarizeEntries = (entries) => {
+  const byType = {};
+  for (const entry of entries) {
+    const totals = byType[entry.leave_type] || { employees: 0, credited: 0, lapsed: 0 };
+    totals.employees += 1;
+    if (entry.delta > 0) totals.credited += entry.delta;
+    else totals.lapsed -= entry.delta;
+    byType[entry.leave_type] = totals;
+  }
+  return { entries: entries.length, by_type: byType };
+};
+
+// Work out a run without changing any balance.
+// Returns { entries, summary, blocked_reason } or { error } for a bad period.
+const previewRun = async (runType, period) => {
+  const parsedPeriod = parsePeriod(runType, period);
+  if (!parsedPeriod) {
+    return { error: 'Period must be YYYY-MM for PERIODIC runs and YYYY for YEAR_END runs' };
+  }
+
+  const existing = await findCommittedRun(runType, period);
+  const entries = await computeEntries(runType, parsedPeriod);
+
+  return {
+    entries,
+    summary: summarizeEntries(entries),
+    blocked_reason: existing
+      ? `Run #${existing.id} already committed this period`
+      : await checkRunAllowed(runType, parsedPeriod)
+  };
+};
+
+// Apply a run in one transaction and record every balance change against it.
+// Returns { run, entries } or { error } (with conflict set when the period is already committed).
+const commitRun = async (runType, period, runBy = null) => {
+  const parsedPeriod = parsePeriod(runType, period);
+  if (!parsedPeriod) {
+    return { error: 'Period must be YYYY-MM for PERIODIC runs and YYYY for YEAR_END runs' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Hold balances still while the run is computed and applied
+    await client.query('LOCK TABLE employee_leave_balances IN SHARE ROW EXCLUSIVE MODE');
+
+    const existing = await findCommittedRun(runType, period, client);
+    if (existing) {
+      await client.query('ROLLBACK');
+      return { error: `Run #${existing.id} already committed this period`, conflict: true };
+    }
+
+    const blockedReason = await checkRunAllowed(runType, parsedPeriod, client);
+    if (blockedReason) {
+      await client.query('ROLLBACK');
+      return { error: blockedReason };
+    }
+
+    const runResult = await client.query(`
+      INSERT INTO accrual_runs (run_type, period, run_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [runType, period, runBy]);
+    const run = runResult.rows[0];
+
+    const entries = await computeEntries(runType, parsedPeriod, client);
+    for (const entry of entries) {
+      entry.balance_after = await postLedgerEntry(client, {
+        employeeId: entry.employee_id,
+        leaveType: entry.leave_type,
+        delta: entry.delta,
+        entryType: entry.reason === 'LAPSE' ? LEDGER_ENTRY_TYPES.LAPSE : LEDGER_ENTRY_TYPES.ACCRUAL,
+        actorId: runBy,
+        accrualRunId: run.id,
+        remarks: `${runType === RUN_TYPES.YEAR_END ? 'Year-end' : 'Accrual'} run ${period}`
+      });
+      await client.query(`
+        INSERT INTO accrual_entries (run_id, employee_id, leave_type, reason, balance_before, delta, balance_after)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `, [run.id, entry.employee_id, entry.leave_type, entry.reason, entry.balance_before, entry.delta, entry.balance_after]);
+    }
+
+    await client.query('COMMIT');
+    return { run, entries, summary: summarizeEntries(entries) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return { error: 'This period has already been committed', conflict: true };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Undo a committed run by applying the opposite of each of its entries.
+// Runs are reversed newest first, and never where a balance would go negative
+// (days credited by the run have since been used). Returns { run } or { error }
+// (with notFound set when there is no such run).
+const reverseRun = async (runId, reversedBy) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('LOCK TABLE employee_leave_balances IN SHARE ROW EXCLUSIVE MODE');
+
+    const runResult = await client.query('SELECT * FROM accrual_runs WHERE id = $1 FOR UPDATE', [runId]);
+    const run = runResult.rows[0];
+
+    if (!run) {
+      await client.query('ROLLBACK');
+      return { error: 'Accrual run not found', notFound: true };
+    }
+
+    if (run.status !== 'COMMITTED') {
+      await client.query('ROLLBACK');
+      return { error: 'Run has already been reversed' };
+    }
+
+    const laterRun = await client.query(
+      'SELECT id FROM accrual_runs WHERE id > $1 AND status = \'COMMITTED\' ORDER BY id DESC LIMIT 1',
+      [runId]
+    );
+    if (laterRun.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { error: `Run #${laterRun.rows[0].id} was committed later and must be reversed first` };
+    }
+
+    const entries = await client.query('SELECT * FROM accrual_entries WHERE run_id = $1', [runId]);
+    for (const entry of entries.rows) {
+      const balance = await postLedgerEntry(client, {
+        employeeId: entry.employee_id,
+        leaveType: entry.leave_type,
+        delta: -entry.delta,
+        entryType: LEDGER_ENTRY_TYPES.ACCRUAL_REVERSAL,
+        actorId: reversedBy,
+        accrualRunId: run.id,
+        remarks: `Reversal of run #${run.id} (${run.period})`
+      });
+      if (balance < 0) {
+        await client.query('ROLLBACK');
+        return {
+          error: `Reversing would leave ${entry.employee_id} with a negative ${entry.leave_type} balance`
+        };
+      }
+    }
+
+    const result = await client.query(`
+      UPDATE accrual_runs
+      SET status = 'REVERSED', reversed_by = $1, reversed_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING *
+    `, [reversedBy, runId]);
+
+    await client.query('COMMIT');
+    return { run: result.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Commit the current month's credits unless the month has already been run (or run and
+// reversed). Safe to call from several instances: only one commit per period can succeed.
+const runScheduledAccrual = async () => {
+  try {
+    const period = currentPeriod();
+    const existing = await pool.query(
+      'SELECT id FROM accrual_runs WHERE run_type = $1 AND period = $2 LIMIT 1',
+      [RUN_TYPES.PERIODIC, period]
+    );
+    if (existing.rows.length > 0) return;
+
+    const result = await commitRun(RUN_TYPES.PERIODIC, period);
+    if (result.error) {
+      if (!result.conflict) console.log(`Scheduled accrual for ${period} skipped: ${result.error}`);
+      return;
+    }
+
+    console.log(`Scheduled accrual for ${period} credited ${result.entries.length} balances (run #${result.run.id})`);
+  } catch (err) {
+    console.error('Error in scheduled accrual:', err);
+  }
+};
+
+const startAccrualScheduler = () => {
+  if (!ACCRUAL_SCHEDULER_ENABLED) return;
+  runScheduledAccrual();
+  setInterval(runScheduledAccrual, ACCRUAL_CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  RUN_TYPES,
+  parsePeriod,
+  currentPeriod,
+  findCommittedRun,
+  checkRunAllowed,
+  computePeriodicEntries,
+  computeYearEndEntries,
+  previewRun,
+  commitRun,
+  reverseRun,
+  runScheduledAccrual,
+  startAccrualScheduler
+};
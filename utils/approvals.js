@@ -0,0 +1,78 @@
+const pool = require('../config/database');
+const { APPROVER_ROLES, getApprovalLevels } = require('../config/approvalChains');
+
+// Leave status while waiting on a given approval level (level 1 keeps the plain PENDING)
+const pendingStatusForLevel = (level) => (level === 1 ? 'PENDING' : `PENDING_L${level}`);
+
+const isPendingStatus = (status) => typeof status === 'string' && status.startsWith('PENDING');
+
+// Find who acts for an approver role on behalf of an applicant (null means HR admins)
+const resolveApprover = async (approverRole, employee) => {
+  if (approverRole === APPROVER_ROLES.REPORTING_OFFICER) {
+    return employee.manager_id || null;
+  }
+
+  if (approverRole === APPROVER_ROLES.HOD) {
+    const result = await pool.query(
+      'SELECT hod_id FROM department_heads WHERE LOWER(department) = LOWER($1)',
+      [employee.department]
+    );
+    return result.rows.length > 0 ? result.rows[0].hod_id : null;
+  }
+
+  return null;
+};
+
+// Resolve the approval chain for a leave, skipping levels that would repeat the
+// previous approver or send the leave back to the applicant
+const buildApprovalChain = async (employee, leaveType, days) => {
+  const chain = [];
+
+  for (const approverRole of getApprovalLevels(leaveType, days)) {
+    let approverId = await resolveApprover(approverRole, employee);
+    if (approverId === employee.employee_id) approverId = null;
+
+    const previous = chain[chain.length - 1];
+    if (previous && previous.approver_id === approverId) continue;
+
+    chain.push({ level: chain.length + 1, approver_role: approverRole, approver_id: approverId });
+  }
+
+  return chain;
+};
+
+// Record one pending approval row per chain level
+const createApprovalSteps = async (leaveId, chain, client = pool) => {
+  const steps = [];
+  for (const step of chain) {
+    const result = await client.query(`
+      INSERT INTO leave_approvals (leave_id, level, approver_role, approver_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [leaveId, step.level, step.approver_role, step.approver_id]);
+    steps.push(result.rows[0]);
+  }
+  return steps;
+};
+
+const getApprovalSteps = async (leaveId, client = pool) => {
+  const result = await client.query(`
+    SELECT
+      a.*,
+      e.full_name as approver_name
+    FROM leave_approvals a
+    LEFT JOIN employees e ON a.approver_id = e.employee_id
+    WHERE a.leave_id = $1
+    ORDER BY a.level
+  `, [leaveId]);
+  return result.rows;
+};
+
+module.exports = {
+  pendingStatusForLevel,
+  isPendingStatus,
+  resolveApprover,
+  buildApprovalChain,
+  createApprovalSteps,
+  getApprovalSteps
+};
@@ -0,0 +1,57 @@
+const pool = require('../config/database');
+
+// Fields never written to audit snapshots
+const REDACTED_FIELDS = ['password', 'password_hash', 'token_hash', 'refresh_token'];
+
+// Copy of a row or object with credentials removed
+const redact = (snapshot) => {
+  if (snapshot === null || snapshot === undefined) return null;
+  if (Array.isArray(snapshot)) return snapshot.map(redact);
+  if (typeof snapshot !== 'object' || snapshot instanceof Date) return snapshot;
+
+  return Object.fromEntries(
+    Object.entries(snapshot)
+      .filter(([key]) => !REDACTED_FIELDS.includes(key))
+      .map(([key, value]) => [key, redact(value)])
+  );
+};
+
+const recordAudit = async ({
+  actorId = null,
+  actorRole = null,
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  ipAddress = null,
+  userAgent = null,
+  method = null,
+  path = null,
+  statusCode = null
+}, client = pool) => {
+  await client.query(`
+    INSERT INTO audit_log (
+      actor_id, actor_role, action, entity_type, entity_id, before, after,
+      ip_address, user_agent, method, path, status_code
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+  `, [
+    actorId,
+    actorRole,
+    action,
+    entityType,
+    entityId === null ? null : String(entityId),
+    before === null ? null : JSON.stringify(redact(before)),
+    after === null ? null : JSON.stringify(redact(after)),
+    ipAddress,
+    userAgent,
+    method,
+    path,
+    statusCode
+  ]);
+};
+
+module.exports = {
+  redact,
+  recordAudit
+};
@@ -0,0 +1,74 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS) || 10;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Resolve the signing secret, refusing to fall back to a default in production
+const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'development-only-jwt-secret';
+};
+
+// Password hashing
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Compared against when there is no real hash, so a login for an unknown employee or one
+// without a password takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+const verifyPassword = async (password, passwordHash) => {
+  if (!password) return false;
+  if (!passwordHash) {
+    await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    return false;
+  }
+  return bcrypt.compare(password, passwordHash);
+};
+
+const validatePassword = (password) => {
+  return typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+};
+
+// Access tokens are short-lived signed JWTs carrying the employee identity
+const signAccessToken = (employee) => {
+  return jwt.sign(
+    { sub: employee.employee_id, role: employee.role, is_admin: employee.is_admin === true },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// Calendar feed tokens go in subscription URLs; like refresh tokens only the hash is stored
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  getJwtSecret,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  signAccessToken,
+  verifyAccessToken,
+  generateRefreshToken,
+  generateFeedToken,
+  hashToken,
+  refreshTokenExpiry
+};
@@ -0,0 +1,156 @@
+const pool = require('../config/database');
+const { WEEKEND_DAYS, RH_YEARLY_QUOTA, appliesSandwichRule } = require('../config/leaveCalendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalize a date string or a pg DATE value (local midnight) to 'YYYY-MM-DD'
+const toDateKey = (value) => {
+  if (typeof value === 'string') return value.substring(0, 10);
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Every date key from start to end inclusive
+const eachDateKey = (startDate, endDate) => {
+  const keys = [];
+  const end = Date.parse(toDateKey(endDate));
+  for (let time = Date.parse(toDateKey(startDate)); time <= end; time += DAY_MS) {
+    keys.push(new Date(time).toISOString().substring(0, 10));
+  }
+  return keys;
+};
+
+// Holidays of a type between two dates that apply to an office location (null location = all offices)
+const getHolidayKeys = async (startDate, endDate, location, type = 'GAZETTED') => {
+  const result = await pool.query(`
+    SELECT holiday_date::text AS holiday_date
+    FROM holidays
+    WHERE holiday_date BETWEEN $1 AND $2
+    AND type = $4
+    AND (location IS NULL OR LOWER(location) = LOWER($3))
+  `, [toDateKey(startDate), toDateKey(endDate), location || null, type]);
+  return new Set(result.rows.map(row => row.holiday_date));
+};
+
+const isWorkingDay = (dateKey, holidayKeys) => {
+  const weekday = new Date(dateKey).getUTCDay();
+  return !WEEKEND_DAYS.includes(weekday) && !holidayKeys.has(dateKey);
+};
+
+// Count chargeable days in a range. Weekends and holidays are skipped, except that
+// under the sandwich rule those falling between the first and last working day are charged.
+const countChargeableDays = (startDate, endDate, holidayKeys, sandwich = false) => {
+  const keys = eachDateKey(startDate, endDate);
+  const working = keys.map(key => isWorkingDay(key, holidayKeys));
+
+  if (!sandwich) {
+    return working.filter(Boolean).length;
+  }
+
+  const first = working.indexOf(true);
+  if (first === -1) return 0;
+  return working.lastIndexOf(true) - first + 1;
+};
+
+// Chargeable leave days for a leave type at an employee's office location.
+// A half-day session on a chargeable start or end date takes half a day off the count.
+const calculateChargeableDays = async (startDate, endDate, leaveType, location, sessions = {}) => {
+  const { startSession = 'FULL', endSession = 'FULL' } = sessions;
+  const holidayKeys = await getHolidayKeys(startDate, endDate, location);
+  let days = countChargeableDays(startDate, endDate, holidayKeys, appliesSandwichRule(leaveType));
+
+  const startKey = toDateKey(startDate);
+  const endKey = toDateKey(endDate);
+
+  if (startKey === endKey) {
+    if (days > 0 && startSession !== 'FULL') days -= 0.5;
+    return days;
+  }
+
+  if (startSession === 'SECOND_HALF' && isWorkingDay(startKey, holidayKeys)) days -= 0.5;
+  if (endSession === 'FIRST_HALF' && isWorkingDay(endKey, holidayKeys)) days -= 0.5;
+  return days;
+};
+
+// Half-day slot range a leave occupies (two slots per date: forenoon, afternoon),
+// used to detect overlaps between half-day leaves
+const SLOT_EPOCH = Date.UTC(2000, 0, 1);
+
+const sessionSlots = (startDate, endDate, startSession, endSession) => {
+  const startIndex = Math.round((Date.parse(toDateKey(startDate)) - SLOT_EPOCH) / DAY_MS) * 2;
+  const endIndex = Math.round((Date.parse(toDateKey(endDate)) - SLOT_EPOCH) / DAY_MS) * 2;
+  return [
+    startIndex + (startSession === 'SECOND_HALF' ? 1 : 0),
+    endIndex + (endSession === 'FIRST_HALF' ? 0 : 1)
+  ];
+};
+
+// Restricted holiday days an employee has taken or requested in a year. RH leave takes one
+// day per date, so each date is counted in its own year, even in a leave spanning New Year.
+const countRestrictedHolidaysTaken = async (employeeId, year, client = pool) => {
+  const result = await client.query(`
+    SELECT COUNT(*) AS taken
+    FROM leaves l
+    CROSS JOIN LATERAL generate_series(l.start_date, l.end_date, INTERVAL '1 day') AS d(day)
+    WHERE l.employee_id = $1
+    AND l.leave_type = 'RH'
+    AND l.status NOT IN ('REJECTED', 'CANCELLED')
+    AND EXTRACT(YEAR FROM d.day) = $2
+  `, [employeeId, year]);
+  return parseInt(result.rows[0].taken);
+};
+
+// Check the RH dates of a request against the yearly quota. Returns an error message when
+// it would be exceeded, otherwise null. To make the check hold until the leave is inserted,
+// run both in one transaction (`client`) holding a lock on the employee's row.
+const checkRestrictedHolidayQuota = async (employeeId, startDate, endDate, client = pool) => {
+  // Quota is per calendar year, so count each year in the range separately
+  const daysByYear = {};
+  for (const key of eachDateKey(startDate, endDate)) {
+    const year = key.substring(0, 4);
+    daysByYear[year] = (daysByYear[year] || 0) + 1;
+  }
+
+  for (const [year, requested] of Object.entries(daysByYear)) {
+    const taken = await countRestrictedHolidaysTaken(employeeId, parseInt(year), client);
+    if (taken + requested > RH_YEARLY_QUOTA) {
+      return `Restricted holiday quota exceeded for ${year}. Quota: ${RH_YEARLY_QUOTA}, Used: ${taken}, Requested: ${requested}`;
+    }
+  }
+
+  return null;
+};
+
+// Check an RH request against the official RH list and the yearly quota.
+// Returns { days } when valid, otherwise { error }.
+const checkRestrictedHolidayRequest = async (employee, startDate, endDate) => {
+  const keys = eachDateKey(startDate, endDate);
+  const restrictedKeys = await getHolidayKeys(startDate, endDate, employee.location, 'RESTRICTED');
+
+  const invalidDates = keys.filter(key => !restrictedKeys.has(key));
+  if (invalidDates.length > 0) {
+    return { error: `Not on the restricted holiday list: ${invalidDates.join(', ')}` };
+  }
+
+  const quotaError = await checkRestrictedHolidayQuota(employee.employee_id, startDate, endDate);
+  if (quotaError) {
+    return { error: quotaError };
+  }
+
+  return { days: keys.length };
+};
+
+module.exports = {
+  toDateKey,
+  eachDateKey,
+  getHolidayKeys,
+  isWorkingDay,
+  countChargeableDays,
+  calculateChargeableDays,
+  sessionSlots,
+  countRestrictedHolidaysTaken,
+  checkRestrictedHolidayQuota,
+  checkRestrictedHolidayRequest
+};
@@ -0,0 +1,94 @@
+// Parse CSV text (RFC 4180: comma-separated, double-quoted fields may contain commas,
+// line breaks and "" escaped quotes) into an array of rows, each an array of strings.
+// Blank lines are skipped. Throws on an unterminated quoted field.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Ignore a UTF-8 byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Parse CSV text whose first row is a header into { headers, records }, where each
+// record maps lower-cased header names to trimmed values and carries its row number
+// in the file (the header being row 1) as `line`.
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const headers = header.map(name => name.trim().toLowerCase());
+
+  const records = rows.map((row, index) => {
+    const record = { line: index + 2 };
+    headers.forEach((name, column) => {
+      record[name] = row[column] !== undefined ? row[column].trim() : '';
+    });
+    return record;
+  });
+
+  return { headers, records };
+};
+
+// Quote a value for CSV output. Values a spreadsheet would read as a formula get a
+// leading apostrophe so opening an export cannot run one.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows as CSV. `columns` is a list of { header, value(row) }.
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv
+};
@@ -0,0 +1,185 @@
+const pool = require('../config/database');
+const { SCOPES, getScope } = require('../config/permissions');
+const { DIGEST_TEMPLATE } = require('../config/notificationTemplates');
+const {
+  DIGEST_FREQUENCIES,
+  DIGEST_HOUR,
+  DIGEST_WEEKDAY,
+  DIGEST_SCHEDULER_ENABLED,
+  DIGEST_CHECK_INTERVAL_MINUTES,
+  DIGEST_MAX_ITEMS
+} = require('../config/notifications');
+const { toDateKey } = require('./calendar');
+const { renderTemplate } = require('./templates');
+const { createNotification } = require('./notifications');
+
+// When the latest digest of a frequency fell due, at or before `now`
+const lastDigestDue = (frequency, now = new Date()) => {
+  const due = new Date(now.getFullYear(), now.getMonth(), now.getDate(), DIGEST_HOUR);
+  const period = frequency === DIGEST_FREQUENCIES.WEEKLY ? 7 : 1;
+
+  if (period === 7) due.setDate(due.getDate() - (due.getDay() - DIGEST_WEEKDAY + 7) % 7);
+  if (due > now) due.setDate(due.getDate() - period);
+  return due;
+};
+
+// When the next digest of a frequency falls due, after `now`
+const nextDigestDue = (frequency, now = new Date()) => {
+  const due = lastDigestDue(frequency, now);
+  due.setDate(due.getDate() + (frequency === DIGEST_FREQUENCIES.WEEKLY ? 7 : 1));
+  return due;
+};
+
+// Leave and cancellation requests a user can act on, oldest first. As with the pending
+// approvals list, HR and system admins also pick up levels with no resolvable approver.
+const getPendingApprovals = async (user, client = pool) => {
+  const params = [user.employee_id, getScope(user.role, 'leaves:approve') === SCOPES.ALL];
+
+  const leaves = await client.query(`
+    SELECT
+      l.id as leave_id,
+      l.employee_id,
+      e.full_name as employee_name,
+      COALESCE(t.name, l.leave_type) as leave_type_name,
+      l.start_date,
+      l.end_date,
+      l.days,
+      COALESCE(prev.acted_at, l.created_at) as waiting_since
+    FROM leave_approvals a
+    JOIN leaves l ON a.leave_id = l.id
+    JOIN employees e ON l.employee_id = e.employee_id
+    LEFT JOIN leave_types t ON t.code = l.leave_type
+    LEFT JOIN leave_approvals prev ON prev.leave_id = a.leave_id AND prev.level = a.level - 1
+    WHERE a.status = 'PENDING'
+    AND l.status = CASE WHEN a.level = 1 THEN 'PENDING' ELSE 'PENDING_L' || a.level END
+    AND l.employee_id != $1
+    AND (a.approver_id = $1 OR ($2 AND a.approver_id IS NULL))
+  `, params);
+
+  // Cancellations go to the leave's approvers
+  const cancellations = await client.query(`
+    SELECT
+      c.leave_id,
+      l.employee_id,
+      e.full_name as employee_name,
+      COALESCE(t.name, l.leave_type) as leave_type_name,
+      l.start_date,
+      c.original_end_date as end_date,
+      c.days_to_restore as days,
+      c.created_at as waiting_since
+    FROM leave_cancellations c
+    JOIN leaves l ON c.leave_id = l.id
+    JOIN employees e ON l.employee_id = e.employee_id
+    LEFT JOIN leave_types t ON t.code = l.leave_type
+    WHERE c.status = 'PENDING'
+    AND l.employee_id != $1
+    AND EXISTS (
+      SELECT 1 FROM leave_approvals a
+      WHERE a.leave_id = l.id
+      AND (a.approver_id = $1 OR a.acted_by = $1 OR ($2 AND a.approver_id IS NULL))
+    )
+  `, params);
+
+  return [
+    ...leaves.rows.map(row => ({ kind: 'leave', ...row })),
+    ...cancellations.rows.map(row => ({ kind: 'cancellation', ...row }))
+  ].sort((a, b) => new Date(a.waiting_since) - new Date(b.waiting_since));
+};
+
+// The digest message for a list of pending approvals, or null when nothing is pending
+const renderDigest = (pending) => {
+  if (pending.length === 0) return null;
+
+  const items = pending.slice(0, DIGEST_MAX_ITEMS).map(item => renderTemplate(DIGEST_TEMPLATE.items[item.kind], {
+    ...item,
+    start_date: toDateKey(item.start_date),
+    end_date: toDateKey(item.end_date),
+    waiting_since: toDateKey(item.waiting_since)
+  }));
+  if (pending.length > DIGEST_MAX_ITEMS) {
+    items.push(renderTemplate(DIGEST_TEMPLATE.more, { more: pending.length - DIGEST_MAX_ITEMS }));
+  }
+
+  return renderTemplate(DIGEST_TEMPLATE.message, { count: pending.length, items: items.join('\n') });
+};
+
+// Send one user the digest due at `dueAt`, unless another run (or instance) already has.
+// A user with nothing pending is marked as sent without a notification.
+const sendDigest = async (userId, dueAt) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const claimed = await client.query(`
+      UPDATE notification_settings s
+      SET digest_sent_at = $2
+      FROM employees e
+      WHERE s.user_id = $1 AND e.employee_id = s.user_id
+      AND (s.digest_sent_at IS NULL OR s.digest_sent_at < $2)
+      RETURNING e.employee_id, e.role
+    `, [userId, dueAt]);
+
+    let notification = null;
+    if (claimed.rows.length > 0) {
+      const message = renderDigest(await getPendingApprovals(claimed.rows[0], client));
+      if (message) {
+        notification = await createNotification({ type: DIGEST_TEMPLATE.type, message, userId }, client);
+      }
+    }
+
+    await client.query('COMMIT');
+    return notification;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Send every digest that has come due. Returns the number of digest notifications created.
+const runDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (const frequency of [DIGEST_FREQUENCIES.DAILY, DIGEST_FREQUENCIES.WEEKLY]) {
+    const dueAt = lastDigestDue(frequency, now);
+    const due = await pool.query(`
+      SELECT user_id FROM notification_settings
+      WHERE digest_frequency = $1 AND (digest_sent_at IS NULL OR digest_sent_at < $2)
+    `, [frequency, dueAt]);
+
+    for (const { user_id: userId } of due.rows) {
+      try {
+        if (await sendDigest(userId, dueAt)) sent++;
+      } catch (err) {
+        console.error(`Error sending digest to ${userId}:`, err);
+      }
+    }
+  }
+
+  return sent;
+};
+
+const runScheduledDigests = async () => {
+  try {
+    const sent = await runDigests();
+    if (sent > 0) console.log(`Sent ${sent} approval digest(s)`);
+  } catch (err) {
+    console.error('Error in scheduled digests:', err);
+  }
+};
+
+const startDigestScheduler = () => {
+  if (!DIGEST_SCHEDULER_ENABLED) return;
+  runScheduledDigests();
+  setInterval(runScheduledDigests, DIGEST_CHECK_INTERVAL_MINUTES * 60 * 1000);
+};
+
+module.exports = {
+  lastDigestDue,
+  nextDigestDue,
+  getPendingApprovals,
+  renderDigest,
+  runDigests,
+  startDigestScheduler
+};
@@ -0,0 +1,179 @@
+const nodemailer = require('nodemailer');
+const pool = require('../config/database');
+const {
+  EMAIL_ENABLED,
+  SMTP_OPTIONS,
+  EMAIL_FROM,
+  APP_URL,
+  EMAIL_MAX_ATTEMPTS,
+  EMAIL_RETRY_BASE_MINUTES,
+  EMAIL_QUEUE_INTERVAL_SECONDS,
+  EMAIL_BATCH_SIZE,
+  EMAIL_SEND_TIMEOUT_MINUTES
+} = require('../config/email');
+const { EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const { renderTemplate } = require('./templates');
+
+const DELIVERY_CHANNELS = {
+  EMAIL: 'EMAIL'
+};
+
+const DELIVERY_STATUSES = {
+  PENDING: 'PENDING', // waiting for its next attempt
+  SENDING: 'SENDING', // claimed by a queue run
+  SENT: 'SENT',
+  FAILED: 'FAILED'    // gave up after EMAIL_MAX_ATTEMPTS
+};
+
+let transport = null;
+const getTransport = () => {
+  if (!transport) transport = nodemailer.createTransport(SMTP_OPTIONS);
+  return transport;
+};
+
+// Queue the email of a notification to the given users. Runs on the caller's client so
+// the queue rows commit with the notification.
+const queueNotificationEmail = async (notification, userIds, client = pool) => {
+  if (!EMAIL_ENABLED || userIds.length === 0) return 0;
+
+  const result = await client.query(`
+    INSERT INTO notification_deliveries (notification_id, channel, user_id, recipient)
+    SELECT $1, $2, employee_id, email
+    FROM employees
+    WHERE employee_id = ANY($3)
+    AND email IS NOT NULL AND email != ''
+    ON CONFLICT (notification_id, channel, user_id) DO NOTHING
+  `, [notification.id, DELIVERY_CHANNELS.EMAIL, userIds]);
+
+  return result.rowCount;
+};
+
+// Subject, text and HTML of a queued delivery
+const renderEmail = (delivery) => {
+  const template = EMAIL_TEMPLATES[delivery.type] || EMAIL_TEMPLATES.default;
+  const data = {
+    employee_name: delivery.employee_name || delivery.user_id,
+    employee_id: delivery.user_id,
+    type: delivery.type,
+    message: delivery.message,
+    created_at: new Date(delivery.notification_created_at).toISOString().substring(0, 16).replace('T', ' '),
+    app_url: APP_URL
+  };
+
+  return {
+    subject: renderTemplate(template.subject, data),
+    text: renderTemplate(template.text, data),
+    html: renderTemplate(template.html, data, { html: true })
+  };
+};
+
+// Minutes to wait before retrying after the given number of failed attempts
+const retryDelayMinutes = (attempts) => EMAIL_RETRY_BASE_MINUTES * Math.pow(2, attempts - 1);
+
+// Claim due deliveries so that concurrent queue runs (or instances) never send the
+// same email twice, and count the attempt up front
+const claimDueDeliveries = async () => {
+  const result = await pool.query(`
+    UPDATE notification_deliveries d
+    SET status = $1, attempts = d.attempts + 1, updated_at = CURRENT_TIMESTAMP
+    FROM notifications n, employees e
+    WHERE d.id IN (
+      SELECT id FROM notification_deliveries
+      WHERE channel = $2
+      AND (
+        (status = $3 AND next_attempt_at <= CURRENT_TIMESTAMP)
+        OR (status = $1 AND updated_at < CURRENT_TIMESTAMP - $4::int * INTERVAL '1 minute')
+      )
+      ORDER BY next_attempt_at
+      LIMIT $5
+      FOR UPDATE SKIP LOCKED
+    )
+    AND n.id = d.notification_id
+    AND e.employee_id = d.user_id
+    RETURNING d.*, n.type, n.message, n.created_at as notification_created_at, e.full_name as employee_name
+  `, [
+    DELIVERY_STATUSES.SENDING,
+    DELIVERY_CHANNELS.EMAIL,
+    DELIVERY_STATUSES.PENDING,
+    EMAIL_SEND_TIMEOUT_MINUTES,
+    EMAIL_BATCH_SIZE
+  ]);
+  return result.rows;
+};
+
+// Send one claimed delivery and record the outcome
+const sendDelivery = async (delivery) => {
+  try {
+    await getTransport().sendMail({ from: EMAIL_FROM, to: delivery.recipient, ...renderEmail(delivery) });
+
+    await pool.query(`
+      UPDATE notification_deliveries
+      SET status = $1, sent_at = CURRENT_TIMESTAMP, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [DELIVERY_STATUSES.SENT, delivery.id]);
+    return true;
+  } catch (err) {
+    const giveUp = delivery.attempts >= EMAIL_MAX_ATTEMPTS;
+
+    await pool.query(`
+      UPDATE notification_deliveries
+      SET status = $1, last_error = $2,
+        next_attempt_at = CURRENT_TIMESTAMP + $3::int * INTERVAL '1 minute',
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [
+      giveUp ? DELIVERY_STATUSES.FAILED : DELIVERY_STATUSES.PENDING,
+      err.message,
+      retryDelayMinutes(delivery.attempts),
+      delivery.id
+    ]);
+    return false;
+  }
+};
+
+// Send every due email, batch by batch. Returns { sent, failed } counts of attempts.
+const processEmailQueue = async () => {
+  const outcome = { sent: 0, failed: 0 };
+
+  for (;;) {
+    const deliveries = await claimDueDeliveries();
+    for (const delivery of deliveries) {
+      if (await sendDelivery(delivery)) outcome.sent++;
+      else outcome.failed++;
+    }
+    if (deliveries.length < EMAIL_BATCH_SIZE) break;
+  }
+
+  return outcome;
+};
+
+let queueRunning = false;
+const runEmailQueue = async () => {
+  if (queueRunning) return;
+  queueRunning = true;
+  try {
+    const { sent, failed } = await processEmailQueue();
+    if (sent > 0 || failed > 0) {
+      console.log(`Email queue: ${sent} sent, ${failed} failed`);
+    }
+  } catch (err) {
+    console.error('Error processing email queue:', err);
+  } finally {
+    queueRunning = false;
+  }
+};
+
+const startEmailQueue = () => {
+  if (!EMAIL_ENABLED) return;
+  runEmailQueue();
+  setInterval(runEmailQueue, EMAIL_QUEUE_INTERVAL_SECONDS * 1000);
+};
+
+module.exports = {
+  DELIVERY_CHANNELS,
+  DELIVERY_STATUSES,
+  queueNotificationEmail,
+  renderEmail,
+  processEmailQueue,
+  startEmailQueue
+};
@@ -0,0 +1,72 @@
+const { toDateKey } = require('./calendar');
+
+const PRODUCT_ID = '-//BUIDCO//Employee Nexus Leave Calendar//EN';
+
+// Escape TEXT values (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 20260314 form of a date
+const formatDate = (value) => toDateKey(value).replace(/-/g, '');
+
+// 20260314T101500Z form of a timestamp
+const formatTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (value) => {
+  const [year, month, day] = toDateKey(value).split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().substring(0, 10);
+};
+
+// Build an iCalendar document of all-day events. Each event is
+// { uid, start, end (inclusive), summary, description, updatedAt, sequence }.
+const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatTimestamp(event.updatedAt)}`,
+      `LAST-MODIFIED:${formatTimestamp(event.updatedAt)}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `DTSTART;VALUE=DATE:${formatDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(event.end))}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'STATUS:CONFIRMED', 'END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { buildCalendar };
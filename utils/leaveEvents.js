@@ -0,0 +1,40 @@
+const EventEmitter = require('events');
+
+// Leave lifecycle events, emitted by the leaves router once a change is committed
+const LEAVE_EVENTS = {
+  SUBMITTED: 'leave.submitted',                           // new leave request filed
+  FORWARDED: 'leave.forwarded',                           // approved at one level, waiting on the next
+  APPROVED: 'leave.approved',                             // final approval
+  REJECTED: 'leave.rejected',                             // rejected at any level
+  WITHDRAWN: 'leave.withdrawn',                           // pending request deleted
+  CANCELLATION_REQUESTED: 'leave.cancellation_requested',
+  CANCELLATION_APPROVED: 'leave.cancellation_approved',
+  CANCELLATION_REJECTED: 'leave.cancellation_rejected'
+};
+
+const leaveEvents = new EventEmitter();
+
+// Emit a leave event. The payload is { leave, approvals, actorId, remarks?, level?,
+// cancellation? }; `leave` and `approvals` are the state after the change (before it,
+// for a withdrawn leave).
+const emitLeaveEvent = (event, payload) => {
+  leaveEvents.emit(event, { event, ...payload });
+};
+
+// Run `handler` for every leave event. Handlers may be async; their failures are
+// logged and never reach the request that emitted the event.
+const onLeaveEvent = (handler) => {
+  for (const event of Object.values(LEAVE_EVENTS)) {
+    leaveEvents.on(event, (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(err => console.error(`Error handling ${event} event:`, err));
+    });
+  }
+};
+
+module.exports = {
+  LEAVE_EVENTS,
+  emitLeaveEvent,
+  onLeaveEvent
+};
@@ -0,0 +1,93 @@
+const pool = require('../config/database');
+const { LEDGER_ENTRY_TYPES, setLedgerBalance } = require('./ledger');
+
+// SQL for the most a balance may hold for a leave type (aliased `t`): the yearly
+// quota plus, where carry-forward is allowed, the carry-forward cap
+const BALANCE_CAP_SQL = 't.yearly_quota + CASE WHEN t.carry_forward THEN t.max_carry_forward ELSE 0 END';
+
+const balanceCap = (leaveType) => {
+  return leaveType.yearly_quota + (leaveType.carry_forward ? leaveType.max_carry_forward : 0);
+};
+
+const getLeaveType = async (code, { activeOnly = true } = {}) => {
+  if (!code) return null;
+  const result = await pool.query(
+    `SELECT * FROM leave_types WHERE code = $1 ${activeOnly ? 'AND is_active = TRUE' : ''}`,
+    [code]
+  );
+  return result.rows[0] || null;
+};
+
+const getActiveLeaveTypes = async () => {
+  const result = await pool.query('SELECT * FROM leave_types WHERE is_active = TRUE ORDER BY code');
+  return result.rows;
+};
+
+// Whole months between hire date and a reference date
+const monthsOfService = (hireDate, asOf = new Date()) => {
+  const hired = new Date(hireDate);
+  let months = (asOf.getFullYear() - hired.getFullYear()) * 12 + (asOf.getMonth() - hired.getMonth());
+  if (asOf.getDate() < hired.getDate()) months -= 1;
+  return Math.max(0, months);
+};
+
+const isGenderEligible = (leaveType, employee) => {
+  return !leaveType.eligible_gender || leaveType.eligible_gender === employee.gender;
+};
+
+// Reason an employee may not take a leave type, or null when eligible
+const checkEligibility = (leaveType, employee) => {
+  if (!isGenderEligible(leaveType, employee)) {
+    return `${leaveType.name} is only available to ${leaveType.eligible_gender.toLowerCase()} employees`;
+  }
+  if (monthsOfService(employee.hire_date) < leaveType.min_service_months) {
+    return `${leaveType.name} requires at least ${leaveType.min_service_months} months of service`;
+  }
+  return null;
+};
+
+// Balances of an employee keyed by leave type code
+const getBalances = async (employeeId, client = pool) => {
+  const result = await client.query(
+    'SELECT leave_type, balance FROM employee_leave_balances WHERE employee_id = $1 ORDER BY leave_type',
+    [employeeId]
+  );
+  return Object.fromEntries(result.rows.map(row => [row.leave_type, row.balance]));
+};
+
+const getBalance = async (employeeId, code, client = pool) => {
+  const result = await client.query(
+    'SELECT balance FROM employee_leave_balances WHERE employee_id = $1 AND leave_type = $2',
+    [employeeId, code]
+  );
+  return result.rows.length > 0 ? result.rows[0].balance : 0;
+};
+
+// Open a balance for every active leave type the employee is eligible for,
+// at the yearly quota unless an opening balance is given
+const initializeBalances = async (client, employee, openingBalances = {}, actorId = null) => {
+  const leaveTypes = await getActiveLeaveTypes();
+  for (const leaveType of leaveTypes) {
+    if (!isGenderEligible(leaveType, employee) && openingBalances[leaveType.code] === undefined) continue;
+    const opening = openingBalances[leaveType.code] !== undefined
+      ? openingBalances[leaveType.code]
+      : leaveType.yearly_quota;
+    await setLedgerBalance(client, employee.employee_id, leaveType.code, opening, {
+      entryType: LEDGER_ENTRY_TYPES.OPENING,
+      actorId
+    });
+  }
+};
+
+module.exports = {
+  BALANCE_CAP_SQL,
+  balanceCap,
+  getLeaveType,
+  getActiveLeaveTypes,
+  monthsOfService,
+  isGenderEligible,
+  checkEligibility,
+  getBalances,
+  getBalance,
+  initializeBalances
+};
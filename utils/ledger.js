@@ -0,0 +1,100 @@
+const pool = require('../config/database');
+
+// Why a balance changed
+const LEDGER_ENTRY_TYPES = {
+  OPENING: 'OPENING',                   // balance opened for a new employee or leave type
+  ACCRUAL: 'ACCRUAL',                   // periodic credit
+  LAPSE: 'LAPSE',                       // year-end lapse beyond the carry-forward cap
+  ACCRUAL_REVERSAL: 'ACCRUAL_REVERSAL', // undoing an accrual run
+  LEAVE_APPROVED: 'LEAVE_APPROVED',     // debit at final approval
+  CANCELLATION: 'CANCELLATION',         // credit for cancelled leave days
+  ADJUSTMENT: 'ADJUSTMENT',             // manual change by HR
+  INTEGRITY_FIX: 'INTEGRITY_FIX'        // an admin's correction of a drifted or out-of-range balance
+};
+
+// Apply a balance change and record it in the ledger. The employee_leave_balances row
+// is the running total of the ledger; every change must come through here.
+// Returns the new balance.
+const postLedgerEntry = async (client, {
+  employeeId,
+  leaveType,
+  delta,
+  entryType,
+  actorId = null,
+  leaveId = null,
+  accrualRunId = null,
+  remarks = null
+}) => {
+  const result = await client.query(`
+    INSERT INTO employee_leave_balances (employee_id, leave_type, balance)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (employee_id, leave_type)
+    DO UPDATE SET balance = employee_leave_balances.balance + EXCLUDED.balance, updated_at = CURRENT_TIMESTAMP
+    RETURNING balance
+  `, [employeeId, leaveType, delta]);
+  const balance = result.rows[0].balance;
+
+  await client.query(`
+    INSERT INTO leave_ledger (
+      employee_id, leave_type, entry_type, delta, balance_after,
+      leave_id, accrual_run_id, remarks, actor_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `, [employeeId, leaveType, entryType, delta, balance, leaveId, accrualRunId, remarks, actorId]);
+
+  return balance;
+};
+
+// Set a balance to a value by posting the difference. Nothing is posted when the
+// balance already holds the value. Returns the new balance.
+const setLedgerBalance = async (client, employeeId, leaveType, balance, entry) => {
+  const current = await client.query(
+    'SELECT balance FROM employee_leave_balances WHERE employee_id = $1 AND leave_type = $2 FOR UPDATE',
+    [employeeId, leaveType]
+  );
+
+  const delta = balance - (current.rows.length > 0 ? current.rows[0].balance : 0);
+  if (delta === 0 && current.rows.length > 0) return balance;
+
+  return postLedgerEntry(client, { ...entry, employeeId, leaveType, delta });
+};
+
+// Balances that differ from the sum of their ledger entries, optionally of one employee
+const findLedgerMismatches = async (client = pool, employeeId = null) => {
+  const result = await client.query(`
+    SELECT b.employee_id, b.leave_type, b.balance, COALESCE(SUM(l.delta), 0) AS ledger_balance
+    FROM employee_leave_balances b
+    LEFT JOIN leave_ledger l ON l.employee_id = b.employee_id AND l.leave_type = b.leave_type
+    WHERE $1::varchar IS NULL OR b.employee_id = $1
+    GROUP BY b.employee_id, b.leave_type, b.balance
+    HAVING b.balance <> COALESCE(SUM(l.delta), 0)
+  `, [employeeId]);
+  return result.rows;
+};
+
+// Reset a balance that drifted from its ledger (a row of findLedgerMismatches) to the
+// ledger total. The ledger already holds the truth, so the reset is recorded as an
+// integrity fix with no delta, naming the actor. Returns the new balance.
+const resetToLedgerBalance = async (client, mismatch, actorId) => {
+  const { employee_id: employeeId, leave_type: leaveType, balance, ledger_balance: ledgerBalance } = mismatch;
+
+  await client.query(`
+    UPDATE employee_leave_balances
+    SET balance = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE employee_id = $2 AND leave_type = $3
+  `, [ledgerBalance, employeeId, leaveType]);
+
+  await client.query(`
+    INSERT INTO leave_ledger (employee_id, leave_type, entry_type, delta, balance_after, remarks, actor_id)
+    VALUES ($1, $2, $3, 0, $4, $5, $6)
+  `, [employeeId, leaveType, LEDGER_ENTRY_TYPES.INTEGRITY_FIX, ledgerBalance, `Reset from ${balance} to the ledger total`, actorId]);
+
+  return ledgerBalance;
+};
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  postLedgerEntry,
+  setLedgerBalance,
+  findLedgerMismatches,
+  resetToLedgerBalance
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named <version>_<name>.js, e.g. 002_add_leave_remarks.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Held while migrating so two processes never apply migrations at the same time
+const MIGRATION_LOCK_ID = 724501;
+
+// Migration files in version order, each exporting up(client) and down(client)
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: parseInt(match[1]), name: match[2], file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  const versions = migrations.map(migration => migration.version);
+  const duplicate = versions.find((version, index) => versions.indexOf(version) !== index);
+  if (duplicate !== undefined) {
+    throw new Error(`Duplicate migration version ${duplicate}`);
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client = pool) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getAppliedMigrations = async (client = pool) => {
+  await ensureMigrationsTable(client);
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Every known migration with whether it has been applied, plus any applied
+// version whose file is missing
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const status = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    applied_at: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+  }));
+
+  const missing = applied
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .map(row => ({ version: row.version, name: row.name, applied: true, applied_at: row.applied_at, missing: true }));
+
+  return [...status, ...missing].sort((a, b) => a.version - b.version);
+};
+
+const getPendingMigrations = async () => {
+  const applied = await getAppliedMigrations();
+  const appliedVersions = new Set(applied.map(row => row.version));
+  return loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+};
+
+// Run fn while holding the migration lock on a dedicated connection
+const withMigrationLock = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+// Apply pending migrations in order, each in its own transaction, up to and
+// including version `to` when given. Returns the migrations applied.
+const migrate = async ({ to } = {}) => {
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = loadMigrations()
+      .filter(migration => !appliedVersions.has(migration.version))
+      .filter(migration => to === undefined || migration.version <= to);
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+        console.log(`Applied migration ${migration.file}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+      }
+    }
+
+    return pending;
+  });
+};
+
+// Undo the most recently applied migrations, newest first. Returns the migrations rolled back.
+const rollback = async ({ steps = 1 } = {}) => {
+  return withMigrationLock(async (client) => {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations(client);
+    const toRollBack = applied.slice(-steps).reverse();
+
+    const rolledBack = [];
+    for (const row of toRollBack) {
+      const migration = migrations.find(m => m.version === row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back version ${row.version} (${row.name}): migration file not found`);
+      }
+
+      try {
+        await client.query('BEGIN');
+        await migration.down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        console.log(`Rolled back migration ${migration.file}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${migration.file} failed: ${err.message}`);
+      }
+      rolledBack.push(migration);
+    }
+
+    return rolledBack;
+  });
+};
+
+// Throw when the database schema is behind the migration files
+const assertNoPendingMigrations = async () => {
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    throw new Error(
+      `Database has ${pending.length} pending migration(s): ${pending.map(m => m.file).join(', ')}. ` +
+      'Run `npm run migrate` first.'
+    );
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrate,
+  rollback,
+  assertNoPendingMigrations
+};
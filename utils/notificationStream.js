@@ -0,0 +1,214 @@
+const pool = require('../config/database');
+const { getUnreadCount } = require('./notifications');
+
+// Postgres channel the notification_recipients triggers announce changes on
+const NOTIFICATION_CHANNEL = 'notification_events';
+
+// Most notifications replayed to a reconnecting client; beyond that it is told to resync
+const REPLAY_LIMIT = 200;
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_SECONDS = 25;
+
+// Unread counts are recomputed once per burst of changes (e.g. "mark all as read")
+const UNREAD_COUNT_DELAY_MS = 200;
+
+const LISTENER_RETRY_SECONDS = 5;
+
+// Open streams per user ID
+const streams = new Map();
+
+// A recipient's view of their notifications (aliases n = notifications, r = notification_recipients)
+const RECIPIENT_NOTIFICATIONS = `
+  SELECT n.*, r.read_at IS NOT NULL as is_read, r.read_at, r.archived_at
+  FROM notification_recipients r
+  JOIN notifications n ON n.id = r.notification_id
+`;
+
+// Writes racing a disconnect are dropped
+const write = (stream, frame) => {
+  if (!stream.res.writableEnded && !stream.res.destroyed) stream.res.write(frame);
+};
+
+const writeEvent = (stream, event, data, id) => {
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  frame += `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  write(stream, frame);
+};
+
+const sendNotification = (stream, notification) => {
+  writeEvent(stream, 'notification', notification, notification.id);
+  stream.lastId = Math.max(stream.lastId, notification.id);
+};
+
+const sendUnreadCount = async (stream) => {
+  writeEvent(stream, 'unread_count', { count: await getUnreadCount(stream.userId) });
+};
+
+// Send the stream's user every notification after its last event ID. Live events that
+// arrive meanwhile are held back and sent afterwards, skipping any already replayed.
+const replay = async (stream) => {
+  stream.held = [];
+  const sent = new Set();
+
+  try {
+    const result = await pool.query(`
+      ${RECIPIENT_NOTIFICATIONS}
+      WHERE r.user_id = $1 AND r.dismissed_at IS NULL AND n.id > $2
+      ORDER BY n.id
+      LIMIT $3
+    `, [stream.userId, stream.lastId, REPLAY_LIMIT + 1]);
+
+    // Too much was missed: the client should reload its list instead
+    if (result.rows.length > REPLAY_LIMIT) {
+      writeEvent(stream, 'resync', { reason: `More than ${REPLAY_LIMIT} notifications were missed` });
+    }
+
+    for (const notification of result.rows.slice(0, REPLAY_LIMIT)) {
+      sendNotification(stream, notification);
+      sent.add(notification.id);
+    }
+  } finally {
+    const held = stream.held;
+    stream.held = null;
+    for (const notification of held) {
+      if (!sent.has(notification.id)) sendNotification(stream, notification);
+    }
+  }
+};
+
+const forEachStream = (userId, fn) => {
+  [...(streams.get(userId) || [])].forEach(fn);
+};
+
+// Users whose unread count changed
+const staleCounts = new Set();
+let countTimer = null;
+
+const scheduleUnreadCounts = (userId) => {
+  staleCounts.add(userId);
+  if (countTimer) return;
+
+  countTimer = setTimeout(() => {
+    const userIds = [...staleCounts];
+    staleCounts.clear();
+    countTimer = null;
+
+    for (const userId of userIds) {
+      forEachStream(userId, stream => sendUnreadCount(stream).catch(err => {
+        console.error('Error pushing unread count:', err);
+      }));
+    }
+  }, UNREAD_COUNT_DELAY_MS);
+};
+
+// Push one recipient's change to their streams on this instance
+const handleEvent = async ({ op, id, user_id: userId }) => {
+  if (!streams.has(userId)) return;
+
+  if (op === 'INSERT') {
+    const result = await pool.query(
+      `${RECIPIENT_NOTIFICATIONS} WHERE r.notification_id = $1 AND r.user_id = $2`,
+      [id, userId]
+    );
+    const notification = result.rows[0];
+
+    if (notification) {
+      forEachStream(userId, stream => {
+        if (stream.held) stream.held.push(notification);
+        else sendNotification(stream, notification);
+      });
+    }
+  }
+
+  scheduleUnreadCounts(userId);
+};
+
+// Hold a dedicated connection LISTENing for notification changes from every instance.
+// After a dropped connection, open streams catch up on what they missed.
+const startNotificationListener = async () => {
+  let client;
+  try {
+    client = await pool.connect();
+  } catch (err) {
+    console.error('Error connecting notification listener:', err.message);
+    setTimeout(startNotificationListener, LISTENER_RETRY_SECONDS * 1000);
+    return;
+  }
+
+  let released = false;
+  const reconnect = (err) => {
+    if (released) return;
+    released = true;
+    console.error('Notification listener disconnected:', err.message);
+    client.release(err);
+    setTimeout(startNotificationListener, LISTENER_RETRY_SECONDS * 1000);
+  };
+
+  client.on('error', reconnect);
+  client.on('notification', (message) => {
+    if (message.channel !== NOTIFICATION_CHANNEL) return;
+    handleEvent(JSON.parse(message.payload)).catch(err => {
+      console.error('Error pushing notification event:', err);
+    });
+  });
+
+  try {
+    await client.query(`LISTEN ${NOTIFICATION_CHANNEL}`);
+  } catch (err) {
+    reconnect(err);
+    return;
+  }
+
+  for (const userStreams of streams.values()) {
+    for (const stream of userStreams) {
+      replay(stream)
+        .then(() => sendUnreadCount(stream))
+        .catch(err => console.error('Error replaying notifications:', err));
+    }
+  }
+};
+
+// Serve an event stream of the user's notifications until the client disconnects or,
+// given `expiresAt`, until then (the client reconnects with a fresh token). Replays from
+// `lastEventId` when the client is resuming.
+const openNotificationStream = async (req, res, { userId, lastEventId = 0, expiresAt = null }) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const stream = { userId, res, lastId: lastEventId, held: null };
+  write(stream, `retry: ${LISTENER_RETRY_SECONDS * 1000}\n\n`);
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(stream);
+
+  const heartbeat = setInterval(() => write(stream, ': keep-alive\n\n'), HEARTBEAT_SECONDS * 1000);
+  const expiry = expiresAt
+    ? setTimeout(() => {
+      writeEvent(stream, 'token_expired', { message: 'Access token expired; reconnect with a new token' });
+      res.end();
+    }, Math.max(expiresAt - Date.now(), 0))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    const userStreams = streams.get(userId);
+    userStreams.delete(stream);
+    if (userStreams.size === 0) streams.delete(userId);
+  });
+
+  if (lastEventId > 0) await replay(stream);
+  await sendUnreadCount(stream);
+};
+
+module.exports = {
+  NOTIFICATION_CHANNEL,
+  startNotificationListener,
+  openNotificationStream
+};
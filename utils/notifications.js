@@ -0,0 +1,171 @@
+const pool = require('../config/database');
+const { ROLES } = require('../config/permissions');
+const { NOTIFICATION_TEMPLATES } = require('../config/notificationTemplates');
+const { DIGEST_FREQUENCIES, DIGEST_TYPES } = require('../config/notifications');
+const { LEAVE_EVENTS, onLeaveEvent } = require('./leaveEvents');
+const { toDateKey } = require('./calendar');
+const { renderTemplate } = require('./templates');
+const { queueNotificationEmail } = require('./email');
+
+// Employees a notification reaches (aliases n = notifications, e = employees): its
+// user, or for a broadcast everyone matching its audience department and role
+const RECIPIENTS_JOIN = `
+  e.employee_id = n.user_id
+  OR (
+    n.user_id IS NULL
+    AND (n.audience_department IS NULL OR LOWER(e.department) = LOWER(n.audience_department))
+    AND (n.audience_role IS NULL OR e.role = n.audience_role)
+  )
+`;
+
+// Number of employees a broadcast to the given audience would reach
+const countAudience = async ({ department = null, role = null }) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM employees
+    WHERE ($1::varchar IS NULL OR LOWER(department) = LOWER($1))
+    AND ($2::varchar IS NULL OR role = $2)
+  `, [department, role]);
+  return parseInt(result.rows[0].count);
+};
+
+// Insert a notification with a recipient row per employee it reaches, and queue its
+// emails. No user means a broadcast, to everyone or to a department and/or role. Each
+// employee's preferences for the type pick the channels, and pending-approval types are
+// held back from employees on a digest.
+const createNotification = async ({ type, message, userId = null, department = null, role = null }, client = pool) => {
+  const result = await client.query(`
+    WITH n AS (
+      INSERT INTO notifications (type, message, user_id, audience_department, audience_role)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    ), reached AS (
+      SELECT n.id, e.employee_id, COALESCE(p.in_app, TRUE) as in_app, COALESCE(p.email, TRUE) as email
+      FROM n
+      JOIN employees e ON ${RECIPIENTS_JOIN}
+      LEFT JOIN notification_preferences p ON p.user_id = e.employee_id AND p.type = n.type
+      LEFT JOIN notification_settings s ON s.user_id = e.employee_id
+      WHERE NOT (n.type = ANY($6) AND COALESCE(s.digest_frequency, $7) != $7)
+    ), recipients AS (
+      INSERT INTO notification_recipients (notification_id, user_id)
+      SELECT id, employee_id FROM reached WHERE in_app
+      RETURNING user_id
+    )
+    SELECT n.*,
+      (SELECT COUNT(*) FROM recipients)::int as recipient_count,
+      ARRAY(SELECT employee_id FROM reached WHERE email) as email_user_ids
+    FROM n
+  `, [
+    type,
+    message,
+    userId,
+    userId ? null : department,
+    userId ? null : role,
+    DIGEST_TYPES,
+    DIGEST_FREQUENCIES.OFF
+  ]);
+
+  const { email_user_ids: emailUserIds, ...notification } = result.rows[0];
+  await queueNotificationEmail(notification, emailUserIds, client);
+  return notification;
+};
+
+// Unread notifications of a user; dismissed and archived ones do not count
+const getUnreadCount = async (userId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) as count
+    FROM notification_recipients
+    WHERE user_id = $1 AND read_at IS NULL AND dismissed_at IS NULL AND archived_at IS NULL
+  `, [userId]);
+  return parseInt(result.rows[0].count);
+};
+
+const getHrAdminIds = async () => {
+  const result = await pool.query('SELECT employee_id FROM employees WHERE role = $1', [ROLES.HR_ADMIN]);
+  return result.rows.map(row => row.employee_id);
+};
+
+// Who a leave event is addressed to, by template audience
+const getRecipients = async (audience, { event, leave, approvals = [] }) => {
+  if (audience === 'employee') return [leave.employee_id];
+
+  // The approvers of the leave for a cancellation, otherwise the level it waits on
+  let approverIds;
+  if (event === LEAVE_EVENTS.CANCELLATION_REQUESTED) {
+    approverIds = approvals.filter(step => step.status === 'APPROVED').map(step => step.approver_id || step.acted_by);
+  } else {
+    const pendingStep = approvals.find(step => step.status === 'PENDING');
+    approverIds = pendingStep ? [pendingStep.approver_id] : [];
+  }
+
+  // Levels without a resolvable approver go to HR admins
+  if (approverIds.length === 0 || approverIds.includes(null)) {
+    approverIds = [...approverIds.filter(Boolean), ...await getHrAdminIds()];
+  }
+  return approverIds;
+};
+
+const getTemplateData = async ({ leave, actorId, remarks, level, cancellation }) => {
+  const result = await pool.query(`
+    SELECT
+      (SELECT full_name FROM employees WHERE employee_id = $1) as employee_name,
+      (SELECT full_name FROM employees WHERE employee_id = $2) as actor_name,
+      (SELECT name FROM leave_types WHERE code = $3) as leave_type_name
+  `, [leave.employee_id, actorId, leave.leave_type]);
+  const names = result.rows[0];
+
+  return {
+    employee_id: leave.employee_id,
+    employee_name: names.employee_name || leave.employee_id,
+    leave_id: leave.id,
+    leave_type: leave.leave_type,
+    leave_type_name: names.leave_type_name || leave.leave_type,
+    start_date: toDateKey(leave.start_date),
+    end_date: toDateKey(leave.end_date),
+    days: leave.days,
+    status: leave.status,
+    actor_id: actorId,
+    actor_name: names.actor_name || actorId,
+    remarks,
+    level,
+    reason: cancellation ? cancellation.reason : leave.reason,
+    new_end_date: cancellation && cancellation.new_end_date ? toDateKey(cancellation.new_end_date) : null,
+    days_restored: cancellation ? cancellation.days_to_restore : null
+  };
+};
+
+// Create the notifications a leave event's templates call for. Nobody is told about
+// their own action.
+const notifyLeaveEvent = async (payload) => {
+  const templates = NOTIFICATION_TEMPLATES[payload.event];
+  if (!templates) return [];
+
+  const data = await getTemplateData(payload);
+  const notifications = [];
+
+  for (const [audience, template] of Object.entries(templates)) {
+    const recipients = new Set(await getRecipients(audience, payload));
+    recipients.delete(payload.actorId);
+
+    for (const userId of recipients) {
+      notifications.push(await createNotification({
+        type: template.type,
+        message: renderTemplate(template.message, data),
+        userId
+      }));
+    }
+  }
+
+  return notifications;
+};
+
+// Generate notifications from leave events
+const registerLeaveNotifications = () => onLeaveEvent(notifyLeaveEvent);
+
+module.exports = {
+  countAudience,
+  createNotification,
+  getUnreadCount,
+  notifyLeaveEvent,
+  registerLeaveNotifications
+};
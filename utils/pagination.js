@@ -0,0 +1,51 @@
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Read limit/offset query parameters, clamping limit to MAX_LIMIT
+const parsePagination = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset };
+};
+
+// Build an ORDER BY clause from sort/order query parameters. `columns` maps each
+// sortable field name to its SQL expression; `tieBreaker` keeps pages stable when
+// sort values repeat. Returns { orderBy } when valid, otherwise { error }.
+const parseSort = (query, columns, { defaultSort, defaultOrder = 'asc', tieBreaker }) => {
+  const sort = query.sort ? String(query.sort).trim() : defaultSort;
+  const order = query.order ? String(query.order).toLowerCase().trim() : defaultOrder;
+
+  if (!Object.prototype.hasOwnProperty.call(columns, sort)) {
+    return { error: `Sort must be one of ${Object.keys(columns).join(', ')}` };
+  }
+
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Order must be asc or desc' };
+  }
+
+  const direction = order.toUpperCase();
+  return { orderBy: `${columns[sort]} ${direction}, ${tieBreaker} ${direction}` };
+};
+
+// Split a comma-separated query value into trimmed, upper-cased, non-empty items
+const parseList = (value) => String(value)
+  .split(',')
+  .map(item => item.trim().toUpperCase())
+  .filter(Boolean);
+
+// Pagination details for a response envelope
+const paginationInfo = (total, { limit, offset }) => ({
+  total,
+  limit,
+  offset,
+  has_more: offset + limit < total
+});
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  parseSort,
+  parseList,
+  paginationInfo
+};
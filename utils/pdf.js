@@ -0,0 +1,89 @@
+const PDFDocument = require('pdfkit');
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+const FONT_SIZE = 8;
+const CELL_PADDING = 3;
+const MARGIN = 30;
+
+// Render a printable table report (A4 landscape) into a writable stream such as an
+// Express response. `columns` is a list of { header, width, value(row) }; widths are
+// relative and scaled to the page. Cell text wraps, and the header row is repeated on
+// every page.
+const renderTablePdf = (stream, { title, subtitle, columns, rows }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: MARGIN, bufferPages: true });
+  doc.pipe(stream);
+
+  const tableWidth = doc.page.width - MARGIN * 2;
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => (column.width / totalWidth) * tableWidth);
+  const bottom = () => doc.page.height - MARGIN - 20;
+
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(FONT_SIZE);
+    return Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - CELL_PADDING * 2 })))
+      + CELL_PADDING * 2;
+  };
+
+  const drawRow = (cells, font, y, { fill } = {}) => {
+    const height = rowHeight(cells, font);
+    let x = MARGIN;
+
+    if (fill) {
+      doc.rect(MARGIN, y, tableWidth, height).fill(fill).fillColor('black');
+    }
+
+    doc.font(font).fontSize(FONT_SIZE);
+    cells.forEach((text, i) => {
+      doc.text(text, x + CELL_PADDING, y + CELL_PADDING, { width: widths[i] - CELL_PADDING * 2, lineBreak: true });
+      x += widths[i];
+    });
+
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + tableWidth, y + height).lineWidth(0.5).strokeColor('#999999').stroke();
+    return y + height;
+  };
+
+  const headerCells = columns.map(column => column.header);
+
+  doc.font(BOLD_FONT).fontSize(14).text(title, MARGIN, MARGIN);
+  if (subtitle) {
+    doc.font(FONT).fontSize(9).text(subtitle);
+  }
+  doc.moveDown(0.5);
+
+  let y = drawRow(headerCells, BOLD_FONT, doc.y, { fill: '#e6e6e6' });
+
+  for (const row of rows) {
+    const cells = columns.map(column => {
+      const value = column.value(row);
+      return value === null || value === undefined ? '' : String(value);
+    });
+
+    if (y + rowHeight(cells, FONT) > bottom()) {
+      doc.addPage();
+      y = drawRow(headerCells, BOLD_FONT, MARGIN, { fill: '#e6e6e6' });
+    }
+    y = drawRow(cells, FONT, y);
+  }
+
+  if (rows.length === 0) {
+    doc.font(FONT).fontSize(FONT_SIZE).text('No records', MARGIN + CELL_PADDING, y + CELL_PADDING);
+  }
+
+  // Page numbers, written once the page count is known
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    doc.page.margins.bottom = 0;
+    doc.font(FONT).fontSize(7).text(
+      `Page ${i - start + 1} of ${count}`,
+      MARGIN,
+      doc.page.height - MARGIN - 8,
+      { width: tableWidth, align: 'right' }
+    );
+  }
+
+  doc.end();
+};
+
+module.exports = { renderTablePdf };
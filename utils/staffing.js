@@ -0,0 +1,143 @@
+const pool = require('../config/database');
+const { toDateKey, eachDateKey, getHolidayKeys, isWorkingDay } = require('./calendar');
+
+// Kinds of staffing conflict
+const STAFFING_RULES = {
+  BLACKOUT: 'BLACKOUT',       // leave falls in a blackout period
+  MAX_ABSENT: 'MAX_ABSENT',   // too many of the department away at once
+  MIN_PRESENT: 'MIN_PRESENT'  // too few of the department left at work
+};
+
+const getStaffingRule = async (department, client = pool) => {
+  const result = await client.query(
+    'SELECT * FROM department_staffing_rules WHERE LOWER(department) = LOWER($1)',
+    [department]
+  );
+  return result.rows[0] || null;
+};
+
+// Share of a date a leave takes: half a day on a half-day start or end session
+const shareOnDate = (leave, dateKey) => {
+  if (dateKey === toDateKey(leave.start_date) && leave.start_session !== 'FULL') return 0.5;
+  if (dateKey === toDateKey(leave.end_date) && leave.end_session !== 'FULL') return 0.5;
+  return 1;
+};
+
+// Check a leave against its department's blackout periods and staffing rule, counting
+// the department's other approved leaves. `leave` needs start/end dates and sessions,
+// and its id when it already exists. Returns the list of conflicts, empty when none.
+const checkStaffing = async (employee, leave, client = pool) => {
+  const conflicts = [];
+  const startDate = toDateKey(leave.start_date);
+  const endDate = toDateKey(leave.end_date);
+
+  const blackouts = await client.query(`
+    SELECT * FROM department_blackouts
+    WHERE (department IS NULL OR LOWER(department) = LOWER($1))
+    AND start_date <= $3 AND end_date >= $2
+    ORDER BY start_date
+  `, [employee.department, startDate, endDate]);
+
+  for (const blackout of blackouts.rows) {
+    const from = toDateKey(blackout.start_date) > startDate ? toDateKey(blackout.start_date) : startDate;
+    const to = toDateKey(blackout.end_date) < endDate ? toDateKey(blackout.end_date) : endDate;
+    conflicts.push({
+      rule: STAFFING_RULES.BLACKOUT,
+      message: `Leave falls in the blackout period ${toDateKey(blackout.start_date)} to ${toDateKey(blackout.end_date)}: ${blackout.reason}`,
+      blackout,
+      dates: eachDateKey(from, to)
+    });
+  }
+
+  const rule = await getStaffingRule(employee.department, client);
+  if (!rule || (rule.max_absent === null && rule.min_present === null)) return conflicts;
+
+  const headcountResult = await client.query(
+    'SELECT COUNT(*) AS headcount FROM employees WHERE LOWER(department) = LOWER($1)',
+    [employee.department]
+  );
+  const headcount = parseInt(headcountResult.rows[0].headcount);
+
+  const others = (await client.query(`
+    SELECT
+      l.id as leave_id, l.employee_id, l.leave_type, l.status,
+      l.start_date, l.end_date, l.start_session, l.end_session,
+      e.full_name as employee_name
+    FROM leaves l
+    JOIN employees e ON l.employee_id = e.employee_id
+    WHERE LOWER(e.department) = LOWER($1)
+    AND l.status = 'APPROVED'
+    AND l.employee_id != $2
+    AND ($3::int IS NULL OR l.id != $3)
+    AND l.start_date <= $5 AND l.end_date >= $4
+  `, [employee.department, employee.employee_id, leave.id || null, startDate, endDate])).rows;
+
+  // Only days the applicant would otherwise work count against the rule
+  const holidayKeys = await getHolidayKeys(startDate, endDate, employee.location);
+  const violations = { [STAFFING_RULES.MAX_ABSENT]: [], [STAFFING_RULES.MIN_PRESENT]: [] };
+  const overlapping = new Map();
+
+  for (const dateKey of eachDateKey(startDate, endDate).filter(key => isWorkingDay(key, holidayKeys))) {
+    const away = others.filter(other => toDateKey(other.start_date) <= dateKey && toDateKey(other.end_date) >= dateKey);
+
+    const awayByEmployee = new Map();
+    for (const other of away) {
+      awayByEmployee.set(other.employee_id, Math.min((awayByEmployee.get(other.employee_id) || 0) + shareOnDate(other, dateKey), 1));
+    }
+    const absent = [...awayByEmployee.values()].reduce((sum, share) => sum + share, 0) + shareOnDate(leave, dateKey);
+
+    const exceedsMax = rule.max_absent !== null && absent > rule.max_absent;
+    const belowMin = rule.min_present !== null && headcount - absent < rule.min_present;
+    if (exceedsMax) violations[STAFFING_RULES.MAX_ABSENT].push(dateKey);
+    if (belowMin) violations[STAFFING_RULES.MIN_PRESENT].push(dateKey);
+
+    if (exceedsMax || belowMin) {
+      for (const other of away) overlapping.set(other.leave_id, other);
+    }
+  }
+
+  const people = [...overlapping.values()].map(other => ({
+    employee_id: other.employee_id,
+    employee_name: other.employee_name,
+    leave_id: other.leave_id,
+    leave_type: other.leave_type,
+    start_date: toDateKey(other.start_date),
+    end_date: toDateKey(other.end_date)
+  }));
+
+  if (violations[STAFFING_RULES.MAX_ABSENT].length > 0) {
+    conflicts.push({
+      rule: STAFFING_RULES.MAX_ABSENT,
+      message: `At most ${rule.max_absent} of ${employee.department} may be on leave at once`,
+      limit: rule.max_absent,
+      dates: violations[STAFFING_RULES.MAX_ABSENT],
+      overlapping: people
+    });
+  }
+
+  if (violations[STAFFING_RULES.MIN_PRESENT].length > 0) {
+    conflicts.push({
+      rule: STAFFING_RULES.MIN_PRESENT,
+      message: `At least ${rule.min_present} of ${employee.department}'s ${headcount} employees must be present`,
+      limit: rule.min_present,
+      dates: violations[STAFFING_RULES.MIN_PRESENT],
+      overlapping: people
+    });
+  }
+
+  return conflicts;
+};
+
+// Serialise staffing decisions for a department until the current transaction ends, so
+// two approvals in the same department cannot both pass on the same headroom
+const lockDepartmentStaffing = (client, department) => client.query(
+  "SELECT pg_advisory_xact_lock(hashtext('staffing:' || LOWER($1)))",
+  [department]
+);
+
+module.exports = {
+  STAFFING_RULES,
+  getStaffingRule,
+  checkStaffing,
+  lockDepartmentStaffing
+};
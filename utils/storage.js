@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  STORAGE_DRIVERS,
+  STORAGE_DRIVER,
+  LOCAL_STORAGE_DIR,
+  S3_OPTIONS,
+  DOCUMENT_CONTENT_TYPES,
+  DOCUMENT_URL_TTL_SECONDS
+} = require('../config/storage');
+const { getJwtSecret } = require('./auth');
+
+// Documents on this server's disk, under LOCAL_STORAGE_DIR. Keys never resolve outside it.
+const createLocalStorage = (root) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid document key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    put: async (key, body) => {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    get: async (key) => {
+      const file = resolve(key);
+      try {
+        const stat = await fs.promises.stat(file);
+        return { body: fs.createReadStream(file), size: stat.size };
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolve(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+
+    // Served through the application instead (see signDocumentUrl)
+    presign: null
+  };
+};
+
+// Documents in an S3 bucket. The SDK is only loaded when this driver is in use.
+const createS3Storage = (options) => {
+  if (!options.bucket) throw new Error('S3_BUCKET must be set for the s3 storage driver');
+
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+  const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+  const clientOptions = {
+    region: options.region,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.credentials
+  };
+  const client = new S3Client({ ...clientOptions, endpoint: options.endpoint });
+  const presignClient = new S3Client({ ...clientOptions, endpoint: options.publicEndpoint });
+
+  return {
+    put: async (key, body, { contentType }) => {
+      await client.send(new PutObjectCommand({ Bucket: options.bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: options.bucket, Key: key }));
+        return { body: object.Body, size: object.ContentLength };
+      } catch (err) {
+        if (err.name === 'NoSuchKey') return null;
+        throw err;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: options.bucket, Key: key }));
+    },
+
+    presign: (key, { filename, expiresIn }) => getSignedUrl(presignClient, new GetObjectCommand({
+      Bucket: options.bucket,
+      Key: key,
+      ResponseContentDisposition: contentDisposition(key, filename),
+      ResponseContentType: documentContentType(key)
+    }), { expiresIn })
+  };
+};
+
+let storage = null;
+
+// The configured storage driver. Throws on a misconfiguration, so call it at startup.
+const getStorage = () => {
+  if (storage) return storage;
+
+  if (STORAGE_DRIVER === STORAGE_DRIVERS.LOCAL) storage = createLocalStorage(LOCAL_STORAGE_DIR);
+  else if (STORAGE_DRIVER === STORAGE_DRIVERS.S3) storage = createS3Storage(S3_OPTIONS);
+  else throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+
+  return storage;
+};
+
+// Content type of a document from its extension, or octet-stream for anything unknown
+const documentContentType = (name) => {
+  return DOCUMENT_CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+};
+
+// Images are shown inline; anything else is downloaded, so the browser never renders it
+// on the API's origin. Keeps the original file name, with an ASCII fallback.
+const contentDisposition = (key, filename) => {
+  const type = documentContentType(key).startsWith('image/') ? 'inline' : 'attachment';
+  if (!filename) return type;
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// Original name of an uploaded file. Multer decodes the name's UTF-8 bytes as Latin-1.
+const uploadedFileName = (file) => Buffer.from(file.originalname, 'latin1').toString('utf8').substring(0, 255);
+
+// Store an uploaded (multer memory storage) file under a fresh key in `folder`. Returns the key.
+const storeDocument = async (folder, file) => {
+  const key = `${folder}/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${path.extname(file.originalname).toLowerCase()}`;
+  await getStorage().put(key, file.buffer, { contentType: documentContentType(key) });
+  return key;
+};
+
+// Stream a stored document as the response. Returns false when it is missing.
+const sendDocument = async (res, key, { filename }) => {
+  const object = await getStorage().get(key);
+  if (!object) return false;
+
+  res.set({
+    'Content-Type': documentContentType(key),
+    'Content-Disposition': contentDisposition(key, filename),
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, no-store'
+  });
+  if (object.size !== undefined) res.set('Content-Length', String(object.size));
+
+  object.body.on('error', (err) => {
+    console.error('Error streaming document:', err);
+    res.destroy(err);
+  });
+  object.body.pipe(res);
+  return true;
+};
+
+const removeDocument = (key) => getStorage().remove(key);
+
+const signature = (key, expires) => crypto
+  .createHmac('sha256', getJwtSecret())
+  .update(`document:${key}:${expires}`)
+  .digest('hex');
+
+// A time-limited URL for a document. The S3 driver signs a URL to the object itself;
+// local documents are served from `localUrl` with an expiry and signature appended.
+const signDocumentUrl = async (key, { filename, localUrl }) => {
+  const expiresAt = new Date(Date.now() + DOCUMENT_URL_TTL_SECONDS * 1000);
+  const { presign } = getStorage();
+
+  if (presign) {
+    return { url: await presign(key, { filename, expiresIn: DOCUMENT_URL_TTL_SECONDS }), expires_at: expiresAt };
+  }
+
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return { url: `${localUrl}?expires=${expires}&signature=${signature(key, expires)}`, expires_at: expiresAt };
+};
+
+// Whether a signed local URL for `key` is genuine and unexpired
+const verifyDocumentSignature = (key, expires, givenSignature) => {
+  if (!/^\d+$/.test(String(expires)) || parseInt(expires) * 1000 < Date.now()) return false;
+  if (typeof givenSignature !== 'string') return false;
+
+  const expected = Buffer.from(signature(key, expires));
+  const given = Buffer.from(givenSignature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+module.exports = {
+  getStorage,
+  documentContentType,
+  storeDocument,
+  sendDocument,
+  removeDocument,
+  uploadedFileName,
+  signDocumentUrl,
+  verifyDocumentSignature
+};
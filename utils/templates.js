@@ -0,0 +1,16 @@
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Fill {placeholders} in a template; missing values show as '-'. With `html`, values
+// are escaped for an HTML document.
+const renderTemplate = (template, data, { html = false } = {}) => template.replace(/\{(\w+)\}/g, (match, key) => {
+  const value = data[key];
+  const text = value === null || value === undefined || value === '' ? '-' : String(value);
+  return html ? escapeHtml(text) : text;
+});
+
+module.exports = { escapeHtml, renderTemplate };
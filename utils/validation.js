@@ -1,16 +1,20 @@
 // Validation functions
+// Leave type codes are short uppercase identifiers such as CL or ML
+const LEAVE_TYPE_CODE_PATTERN = /^[A-Z0-9_]{1,10}$/;
+
 const validateLeaveType = (type) => {
-  const normalizedType = (type || '').toUpperCase().trim();
-  return ['CL', 'RH', 'EL'].includes(normalizedType);
+  const normalizedType = String(type || '').toUpperCase().trim();
+  return LEAVE_TYPE_CODE_PATTERN.test(normalizedType);
 };
 
 const validateLeaveBalance = (balance) => {
   return typeof balance === 'number' && balance >= 0 && balance <= 365; // Max 1 year
 };
 
+// Balances are kept in half days
 const normalizeLeaveBalance = (balance) => {
   if (balance === null || balance === undefined) return 0;
-  const numBalance = parseInt(balance);
+  const numBalance = Math.round(parseFloat(balance) * 2) / 2;
   return isNaN(numBalance) ? 0 : Math.max(0, numBalance);
 };
 
@@ -23,39 +27,43 @@ const validateDateRange = (startDate, endDate) => {
   return start >= today && end >= start;
 };
 
-const calculateLeaveDays = (startDate, endDate) => {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Set time to midnight to avoid timezone issues
-  start.setHours(0, 0, 0, 0);
-  end.setHours(0, 0, 0, 0);
-  
-  const days = Math.floor((end - start) / (1000 * 60 * 60 * 24)) + 1;
-  return Math.max(1, days); // Minimum 1 day
+const validateDate = (date) => {
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(Date.parse(date));
 };
 
 const normalizeLeaveType = (type) => {
-  const normalizedType = (type || '').toUpperCase().trim();
-  if (['CL', 'RH', 'EL'].includes(normalizedType)) {
+  const normalizedType = String(type || '').toUpperCase().trim();
+  if (LEAVE_TYPE_CODE_PATTERN.test(normalizedType)) {
     return normalizedType;
   }
   return null;
 };
 
-const validateLeaveDays = (days, leaveType) => {
-  if (typeof days !== 'number' || days < 1) {
+// Days must be at least half a day and within the leave type's per-request limit
+const validateLeaveDays = (days, maxPerRequest) => {
+  if (typeof days !== 'number' || days < 0.5) {
     return false;
   }
   
-  // Set reasonable limits for different leave types
-  const maxDays = {
-    'CL': 30, // Max 30 days for casual leave
-    'RH': 15, // Max 15 days for restricted holiday
-    'EL': 60  // Max 60 days for earned leave
-  };
-  
-  return days <= maxDays[leaveType] || 30; // Default max 30 days
+  return days <= maxPerRequest;
+};
+
+const LEAVE_SESSIONS = ['FULL', 'FIRST_HALF', 'SECOND_HALF'];
+
+const normalizeLeaveSession = (session) => {
+  if (session === undefined || session === null || session === '') return 'FULL';
+  const normalizedSession = String(session).toUpperCase().trim();
+  return LEAVE_SESSIONS.includes(normalizedSession) ? normalizedSession : null;
+};
+
+// A multi-day leave may start in the afternoon and end in the forenoon;
+// a single-day leave is a full day or one half
+const validateLeaveSessions = (startDate, endDate, startSession, endSession) => {
+  if (!startSession || !endSession) return false;
+  if (startDate === endDate) {
+    return startSession === endSession || endSession === 'FULL';
+  }
+  return startSession !== 'FIRST_HALF' && endSession !== 'SECOND_HALF';
 };
 
 const validateEmployeeId = (employeeId) => {
@@ -77,9 +85,11 @@ module.exports = {
   validateLeaveBalance,
   normalizeLeaveBalance,
   validateDateRange,
-  calculateLeaveDays,
+  validateDate,
   normalizeLeaveType,
   validateLeaveDays,
+  normalizeLeaveSession,
+  validateLeaveSessions,
   validateEmployeeId,
   validateEmail,
   sanitizeInput